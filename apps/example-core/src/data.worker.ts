@@ -0,0 +1,4 @@
+// Data worker of the benchmark: MockServer generation and binning off the main thread
+import { serveDataWorker } from '@canvas-graph/mock-server';
+
+serveDataWorker(self);
@@ -1,6 +1,6 @@
 // @ts-nocheck
 // This is the original benchmark demo, minimally adapted to use library imports.
-import { MockServer } from '@canvas-graph/mock-server';
+import { MockServer, WorkerDataService } from '@canvas-graph/mock-server';
 import { Viewport, Benchmark, ThreeRenderer } from '@canvas-graph/engine';
 import { CanvasRenderer } from '@canvas-graph/old-renderers/CanvasRenderer.js';
 import { Pane } from 'tweakpane';
@@ -21,7 +21,8 @@ async function main() {
     lineWidth: 2,
     maxBins: 3000,
     sampleRate: 100,
-    showMarkers: true
+    showMarkers: true,
+    dataWorker: false
   };
 
   const StressLevels = {
@@ -49,7 +50,14 @@ async function main() {
   generateMarkers();
 
   // --- Core ---
-  const server = new MockServer(config.nSeries, config.nPoints);
+  // Same data service API in-thread and in a worker (generation and binning off the main thread)
+  const localServer = new MockServer(config.nSeries, config.nPoints);
+  const workerServer = new WorkerDataService(
+      new Worker(new URL('./data.worker.ts', import.meta.url), { type: 'module' }),
+      config.nSeries,
+      config.nPoints
+  );
+  let server = localServer;
   await server.init();
 
   const viewport = new Viewport(config.nPoints);
@@ -157,6 +165,12 @@ async function main() {
           pane.refresh();
       });
 
+  folderStress.addBinding(config, 'dataWorker', { label: 'Data in Worker' })
+      .on('change', (ev) => {
+          server = ev.value ? workerServer : localServer;
+          setGenerator(config.generator);
+      });
+
   folderStress.addButton({ title: 'Regenerate Data' }).on('click', () => {
       setGenerator(config.generator);
   });
@@ -193,7 +207,10 @@ async function main() {
     const canvasWidth = container.clientWidth;
     const targetBins = config.maxBins;
     const lod = Math.max(1, Math.ceil(range.range / targetBins)); 
+    const requestStart = performance.now();
     const data = await server.getData(range.start, range.end, lod, config.sampleRate);
+    // Includes the simulated latency; in-thread binning also shows up as dropped frames (FPS panel)
+    benchmark.recordTiming(config.dataWorker ? 'WORKER' : 'MAIN', performance.now() - requestStart);
     currentDataChunk = data;
     
     if (activeRenderer) {
@@ -1,8 +1,11 @@
 import { Component, ViewChild, AfterViewInit } from '@angular/core';
 import { CommonModule } from '@angular/common';
 import { GraphViewComponent } from '@canvas-graph/ng-canvas-graph';
-import { MockServer } from '@canvas-graph/mock-server';
-import { InteractionMode } from '@canvas-graph/engine';
+import { Subscription } from 'rxjs';
+import { MockServer, ProtocolServer } from '@canvas-graph/mock-server';
+import {
+  ClientMessage, DataProviderOptions, DownsampleAlgorithm, InteractionMode, RemoteDataProvider, ServerMessage, TileCache, createLoopback
+} from '@canvas-graph/engine';
 
 @Component({
   selector: 'app-root',
@@ -14,18 +17,35 @@ import { InteractionMode } from '@canvas-graph/engine';
 export class App implements AfterViewInit {
   @ViewChild('graphView') graphView!: GraphViewComponent;
   
-  dataTypes = ['random-walk', 'variable-sine', 'pulse-wave', 'multi-wave', 'sparse-sine'];
+  dataTypes = ['random-walk', 'variable-sine', 'pulse-wave', 'multi-wave', 'sparse-sine', 'live'];
   currentDataType = 'random-walk';
+  algorithms: DownsampleAlgorithm[] = ['minmax', 'm4', 'lttb', 'average'];
+  currentAlgorithm: DownsampleAlgorithm = 'minmax';
   
   currentMode: 'pan' | 'box-zoom' | 'x-zoom' = 'pan';
   private server: MockServer;
+  private remote: RemoteDataProvider;
+  private cache: TileCache;
+  private liveSub: Subscription | null = null;
 
   constructor() {
     this.server = new MockServer(100, 100000);
+    // The graph talks to the server through the protocol client a real backend would use,
+    // over an in-process loopback instead of a WebSocket
+    const [client, host] = createLoopback<ClientMessage, ServerMessage>();
+    new ProtocolServer(this.server).accept(host);
+    this.remote = new RemoteDataProvider(client);
+    this.cache = new TileCache(this.remote);
   }
 
   async ngAfterViewInit() {
     await this.server.init();
+    // The engine fetches (and re-bins) data itself whenever the range changes
+    // (through a tile cache, so panning only fetches the newly exposed edges)
+    this.graphView.setDataProvider(this.cache, this.providerOptions());
+    this.graphView.setSeries(
+      Array.from({ length: this.server.nSeries }, (_, i) => ({ id: `ch${i}`, name: `Channel ${i}`, unit: 'mV' }))
+    );
     await this.regenerateData(this.currentDataType);
   }
 
@@ -33,10 +53,48 @@ export class App implements AfterViewInit {
     if (type) {
       this.currentDataType = type;
     }
+    if (this.currentDataType === 'live') {
+      this.startLive();
+      return;
+    }
+    this.stopLive();
     await this.server.generateData(this.currentDataType);
-    const data = await this.server.getData(0, this.server.nPoints, 1, 100);
-    this.graphView.setData(data);
-    this.graphView.setRange(0, this.server.nPoints);
+    this.cache.clear();
+    // Sparse data is timestamped in ms, label it as dates / times
+    this.graphView.setConfig({ xScale: this.currentDataType === 'sparse-sine' ? 'time' : 'linear' });
+    this.graphView.refreshData();
+    // Show the whole dataset; pan / zoom stay within it (the provider's extent)
+    this.graphView.resetZoom();
+  }
+
+  // Four channels at 100 Hz pushed by the server, following the last 10 s (pan back to pause, "Live" to resume)
+  private startLive() {
+    this.liveSub?.unsubscribe();
+    this.graphView.setDataProvider(null);
+    this.graphView.clearLiveData();
+    this.graphView.setConfig({ xScale: 'time', stream: { capacity: 6000, sampleRate: 100 } });
+    this.liveSub = this.remote.live$().subscribe(update => this.graphView.appendData(update.seriesIndex, update.x, update.y));
+    this.graphView.setFollow(10000);
+  }
+
+  private stopLive() {
+    if (!this.liveSub) return;
+    this.liveSub.unsubscribe();
+    this.liveSub = null;
+    this.graphView.setFollow(null);
+    this.graphView.clearLiveData();
+    this.graphView.setDataProvider(this.cache, this.providerOptions());
+  }
+
+  // Downsampling done by the server for this chart; tiles are cached per algorithm
+  setAlgorithm(algorithm: DownsampleAlgorithm) {
+    this.currentAlgorithm = algorithm;
+    if (this.liveSub) return; // Applied when live mode ends
+    this.graphView.setDataProvider(this.cache, this.providerOptions());
+  }
+
+  private providerOptions(): DataProviderOptions {
+    return { sampleRate: 100, algorithm: this.currentAlgorithm };
   }
 
   setMode(modeStr: 'pan' | 'box-zoom' | 'x-zoom') {
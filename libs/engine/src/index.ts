@@ -1,10 +1,39 @@
 export * from './lib/GraphEngine';
+export * from './lib/GraphGroup';
 export * from './lib/Renderer';
 export * from './lib/Benchmark'
 export * from './lib/interfaces';
 export * from './lib/InputHandler';
+export * from './lib/CrosshairOverlay';
+export * from './lib/LegendOverlay';
+export * from './lib/Navigator';
+export * from './lib/MarkerLabelEditor';
+export * from './lib/SeriesUtils';
+export * from './lib/TimeScale';
+export * from './lib/Scale';
+export * from './lib/ViewHistory';
 export * from './lib/Viewport';
+export * from './lib/ViewportUtils';
+export * from './lib/ConstraintUtils';
+export * from './lib/RangeAnimator';
+export * from './lib/SeriesGeometry';
+export * from './lib/SvgExporter';
+export * from './lib/DataExporter';
+export * from './lib/AnnotationLayout';
+export * from './lib/ChunkUtils';
+export * from './lib/TileCache';
+export * from './lib/ChunkCodec';
+export * from './lib/RingBuffer';
+export * from './lib/RemoteProtocol';
+export * from './lib/Transport';
+export * from './lib/RemoteDataProvider';
 export * from './lib/renderers/three/ThreeRenderer';
 export * from './lib/renderers/three/ThreeGrid';
 export * from './lib/renderers/three/ThreeMarkers';
+export * from './lib/renderers/three/ThreeAnnotations';
 export * from './lib/renderers/three/ThreeDataLayer';
+export * from './lib/renderers/canvas/CanvasRenderer';
+export * from './lib/renderers/canvas/CanvasGrid';
+export * from './lib/renderers/canvas/CanvasMarkers';
+export * from './lib/renderers/canvas/CanvasAnnotations';
+export * from './lib/renderers/canvas/CanvasDataLayer';
@@ -0,0 +1,150 @@
+import { EventAnnotation, LineDash, ThresholdLine, ViewportRange } from './interfaces';
+import { AxisLayout } from './Renderer';
+import { scaleFraction } from './Scale';
+
+export const EVENT_COLOR = '#ffaa00';
+export const THRESHOLD_COLOR = '#ff5555';
+
+/** Events closer together than this (px) share one icon */
+export const EVENT_CLUSTER_DISTANCE = 14;
+
+/** Event icons: circles along the top of the plot */
+export const EVENT_ICON_Y = 10;
+export const EVENT_ICON_RADIUS = 7;
+
+/** Threshold labels sit above their line, below it when closer than this to the top */
+export const THRESHOLD_LABEL_HEIGHT = 14;
+
+/** Dash / gap lengths in px, as for CanvasRenderingContext2D.setLineDash */
+export const DASH_PATTERNS: Record<LineDash, number[]> = {
+    solid: [],
+    dashed: [6, 4],
+    dotted: [2, 3]
+};
+
+/**
+ * Visible events that share an icon. `x` is the screen position (px) of the icon.
+ */
+export interface EventCluster {
+    x: number;
+    events: EventAnnotation[];
+}
+
+/**
+ * Screen position (px from the top) of a threshold line; `clamped` tells which edge a
+ * line outside the visible Y range is pinned to.
+ */
+export interface ThresholdPlacement {
+    threshold: ThresholdLine;
+    y: number;
+    clamped: 'above' | 'below' | null;
+}
+
+/**
+ * Events ordered by x, as clusterEvents and eventsNear expect them.
+ */
+export function sortEvents(events: EventAnnotation[]): EventAnnotation[] {
+    return events.filter(e => isFinite(e.x)).sort((a, b) => a.x - b.x);
+}
+
+// First index with x >= value
+function lowerBound(events: EventAnnotation[], value: number): number {
+    let lo = 0;
+    let hi = events.length;
+    while (lo < hi) {
+        const mid = (lo + hi) >> 1;
+        if (events[mid].x < value) lo = mid + 1;
+        else hi = mid;
+    }
+    return lo;
+}
+
+/**
+ * Groups the visible events (sorted by x) into clusters no wider than EVENT_CLUSTER_DISTANCE.
+ */
+export function clusterEvents(
+    events: EventAnnotation[],
+    range: Pick<ViewportRange, 'start' | 'end'>,
+    width: number
+): EventCluster[] {
+    const { start, end } = range;
+    const toPx = (x: number) => (x - start) / (end - start) * width;
+    const clusters: { first: number; last: number; events: EventAnnotation[] }[] = [];
+    let current: typeof clusters[number] | null = null;
+
+    for (let i = lowerBound(events, start); i < events.length && events[i].x <= end; i++) {
+        const px = toPx(events[i].x);
+        if (current && px - current.first <= EVENT_CLUSTER_DISTANCE) {
+            current.events.push(events[i]);
+            current.last = px;
+        } else {
+            current = { first: px, last: px, events: [events[i]] };
+            clusters.push(current);
+        }
+    }
+    return clusters.map(c => ({ x: (c.first + c.last) / 2, events: c.events }));
+}
+
+/**
+ * Events (sorted by x) within `tolerance` of x, all in data units.
+ */
+export function eventsNear(events: EventAnnotation[], x: number, tolerance: number): EventAnnotation[] {
+    const result: EventAnnotation[] = [];
+    for (let i = lowerBound(events, x - tolerance); i < events.length && events[i].x <= x + tolerance; i++) {
+        result.push(events[i]);
+    }
+    return result;
+}
+
+/**
+ * Positions the thresholds on their axes; lines outside the visible range are pinned half
+ * a pixel inside the nearest edge. Values the axis scale cannot show (e.g. <= 0 on log) are skipped.
+ */
+export function placeThresholds(
+    thresholds: ThresholdLine[],
+    axes: AxisLayout[],
+    height: number
+): ThresholdPlacement[] {
+    const placements: ThresholdPlacement[] = [];
+    for (const threshold of thresholds) {
+        const layout = axes.find(a => a.axis.id === threshold.axisId) ?? axes[0];
+        if (!layout) continue;
+        const fraction = scaleFraction(layout.scale, layout.range.yStart, layout.range.yEnd, threshold.value);
+        if (!isFinite(fraction)) continue;
+
+        const y = height - fraction * height;
+        if (y < 0) {
+            placements.push({ threshold, y: 0.5, clamped: 'above' });
+        } else if (y > height) {
+            placements.push({ threshold, y: height - 0.5, clamped: 'below' });
+        } else {
+            placements.push({ threshold, y, clamped: null });
+        }
+    }
+    return placements;
+}
+
+/**
+ * Label text of a threshold, with an arrow towards the actual value when the line is pinned.
+ */
+export function thresholdLabel(placement: ThresholdPlacement): string {
+    const text = placement.threshold.label ?? String(placement.threshold.value);
+    if (placement.clamped === 'above') return `▲ ${text}`;
+    if (placement.clamped === 'below') return `▼ ${text}`;
+    return text;
+}
+
+/**
+ * Splits [0, length] into the drawn segments of a dash pattern.
+ */
+export function dashSegments(length: number, dash: LineDash | undefined): [number, number][] {
+    const pattern = DASH_PATTERNS[dash ?? 'solid'];
+    if (pattern.length === 0) return [[0, length]];
+
+    const [on, off] = pattern;
+    const segments: [number, number][] = [];
+    for (let pos = 0; pos < length; pos += on + off) {
+        segments.push([pos, Math.min(length, pos + on)]);
+    }
+    return segments;
+}
@@ -3,6 +3,7 @@ import Stats from 'stats.js';
 export class Benchmark {
   private stats: Stats;
   private memPanel: Stats.Panel | null = null;
+  private timingPanels = new Map<string, { panel: Stats.Panel; max: number }>();
 
   constructor(container: HTMLElement) {
     this.stats = new Stats();
@@ -31,4 +32,17 @@ export class Benchmark {
   end(): void {
     this.stats.end();
   }
+
+  /**
+   * Plots a duration in the panel `name` (added on first use; click the stats to cycle panels).
+   */
+  recordTiming(name: string, ms: number): void {
+    let timing = this.timingPanels.get(name);
+    if (!timing) {
+      timing = { panel: this.stats.addPanel(new Stats.Panel(name, '#fa0', '#220')), max: 0 };
+      this.timingPanels.set(name, timing);
+    }
+    timing.max = Math.max(timing.max, ms);
+    timing.panel.update(ms, timing.max);
+  }
 }
@@ -0,0 +1,92 @@
+import { CHUNK_CODEC_VERSION, decodeChunk, encodeChunk } from './ChunkCodec';
+import { DataChunk } from './interfaces';
+
+const T0 = 1_700_000_000_000; // ms timestamps, beyond Float32 precision
+
+function sparseChunk(type: 'sparse' | 'lttb'): DataChunk {
+  return {
+    type,
+    data: [Float32Array.from([1.5, -2, 3.25]), new Float32Array(0), Float32Array.from([7])],
+    x: [Float64Array.from([T0, T0 + 10, T0 + 20]), new Float64Array(0), Float64Array.from([T0 + 5])],
+    start: T0 - 5,
+    end: T0 + 25,
+    sampleRate: 100
+  };
+}
+
+const chunks: DataChunk[] = [
+  { type: 'raw', data: [Float32Array.from([0, 1, 2, 3]), Float32Array.from([-1, NaN, Infinity, 4])], start: 10, end: 14 },
+  sparseChunk('sparse'),
+  { type: 'aggregated', data: [Float32Array.from([-1, 1, -2, 2])], start: 0, end: 200, step: 100 },
+  { type: 'sparse-aggregated', data: [Float32Array.from([0, 0, -3, 5])], start: T0, end: T0 + 2048, step: 1024, sampleRate: 100 },
+  { type: 'm4', data: [Float32Array.from([1, -2, 5, 3, 4, 0, 9, 9])], start: 0, end: 8, step: 4 },
+  sparseChunk('lttb'),
+  { type: 'average', data: [Float32Array.from([1.75, 4.25])], start: 0, end: 8, step: 4 }
+];
+
+describe('ChunkCodec', () => {
+  it.each(chunks.map(chunk => [chunk.type, chunk] as const))('should round-trip %s chunks', (_, chunk) => {
+    expect(decodeChunk(encodeChunk(chunk))).toEqual(chunk);
+  });
+
+  it('should decode into typed arrays viewing the encoded buffer', () => {
+    const buffer = encodeChunk(sparseChunk('sparse'));
+    const decoded = decodeChunk(buffer);
+    expect(decoded.data[0]).toBeInstanceOf(Float32Array);
+    expect(decoded.data[0].buffer).toBe(buffer);
+    expect(decoded.x?.[0]).toBeInstanceOf(Float64Array);
+    expect(decoded.x?.[0].buffer).toBe(buffer);
+  });
+
+  it('should write a little-endian header', () => {
+    const view = new DataView(encodeChunk(chunks[2]));
+    expect(String.fromCharCode(...new Uint8Array(view.buffer, 0, 4))).toBe('CGDC');
+    expect(view.getUint8(4)).toBe(CHUNK_CODEC_VERSION);
+    expect(view.getUint32(8, true)).toBe(1);
+    expect(view.getFloat64(24, true)).toBe(200);
+    expect(view.getFloat64(32, true)).toBe(100);
+  });
+
+  it('should round-trip delta-encoded timestamps', () => {
+    const chunk = sparseChunk('sparse');
+    expect(decodeChunk(encodeChunk(chunk, { deltaX: true }))).toEqual(chunk);
+  });
+
+  it('should shrink the X payload with delta encoding', () => {
+    const x = Float64Array.from({ length: 1000 }, (_, i) => T0 + i * 10);
+    const chunk: DataChunk = { type: 'sparse', data: [new Float32Array(1000)], x: [x], start: T0, end: T0 + 10000 };
+    const plain = encodeChunk(chunk);
+    const delta = encodeChunk(chunk, { deltaX: true });
+    expect(plain.byteLength - delta.byteLength).toBeGreaterThan(3900);
+    expect(decodeChunk(delta)).toEqual(chunk);
+  });
+
+  it('should keep delta-encoded timestamps from drifting when steps are not Float32 exact', () => {
+    const x = Float64Array.from({ length: 1000 }, (_, i) => T0 + i * 0.1);
+    const chunk: DataChunk = { type: 'sparse', data: [new Float32Array(1000)], x: [x], start: T0, end: T0 + 100 };
+    const decoded = decodeChunk(encodeChunk(chunk, { deltaX: true })).x?.[0] ?? new Float64Array(0);
+    const maxError = Math.max(...x.map((value, i) => Math.abs(decoded[i] - value)));
+    expect(maxError).toBeLessThan(1e-3);
+  });
+
+  it('should decode from a misaligned view', () => {
+    const encoded = new Uint8Array(encodeChunk(chunks[0]));
+    const shifted = new Uint8Array(encoded.byteLength + 3);
+    shifted.set(encoded, 3);
+    expect(decodeChunk(shifted.subarray(3))).toEqual(chunks[0]);
+  });
+
+  it('should reject foreign, truncated and future data', () => {
+    const encoded = encodeChunk(chunks[0]);
+    expect(() => decodeChunk(new Uint8Array(64))).toThrow('not an encoded chunk');
+    expect(() => decodeChunk(encoded.slice(0, encoded.byteLength - 4))).toThrow('truncated payload');
+    const future = new Uint8Array(encoded.slice(0));
+    future[4] = CHUNK_CODEC_VERSION + 1;
+    expect(() => decodeChunk(future)).toThrow('unsupported version');
+  });
+
+  it('should reject X values not matching the series', () => {
+    const chunk = { ...sparseChunk('sparse'), x: [Float64Array.from([T0])] };
+    expect(() => encodeChunk(chunk)).toThrow('X series');
+  });
+});
@@ -0,0 +1,234 @@
+import { DataChunk } from './interfaces';
+
+/**
+ * Binary encoding of a DataChunk, version CHUNK_CODEC_VERSION. All numbers little-endian:
+ *
+ * | offset | size  | field                                                       |
+ * |--------|-------|-------------------------------------------------------------|
+ * | 0      | 4     | magic `CGDC`                                                |
+ * | 4      | u8    | version                                                     |
+ * | 5      | u8    | chunk type (CHUNK_TYPES index)                              |
+ * | 6      | u8    | flags: 1 step, 2 sampleRate, 4 X values, 8 delta X          |
+ * | 7      | u8    | reserved (0)                                                |
+ * | 8      | u32   | series count n                                              |
+ * | 12     | 4     | reserved (0)                                                |
+ * | 16     | f64   | start                                                       |
+ * | 24     | f64   | end                                                         |
+ * | 32     | f64   | step (0 without the flag)                                   |
+ * | 40     | f64   | sampleRate (0 without the flag)                             |
+ * | 48     | u32×n | values per series, padded to 8 bytes                        |
+ *
+ * Then the payloads, each section aligned for its element type so that decoding can
+ * view them in place:
+ * - X values: Float64 per series, concatenated; with delta X instead one Float64 first
+ *   value per series here and Float32 steps after the Y values
+ * - Y values: Float32 per series, concatenated
+ * - delta X steps: Float32, (length - 1) per series
+ */
+export const CHUNK_CODEC_VERSION = 1;
+
+const MAGIC = 0x43444743; // 'CGDC' read as little-endian u32
+const HEADER_BYTES = 48;
+
+const FLAG_STEP = 1;
+const FLAG_SAMPLE_RATE = 2;
+const FLAG_X = 4;
+const FLAG_DELTA_X = 8;
+
+// Typed arrays use the platform byte order: on little-endian platforms payloads are copied
+// and viewed as a whole, elsewhere they go value by value through a DataView
+const LITTLE_ENDIAN = new Uint8Array(new Uint16Array([1]).buffer)[0] === 1;
+
+const CHUNK_TYPES: readonly DataChunk['type'][] = ['raw', 'sparse', 'aggregated', 'sparse-aggregated', 'm4', 'lttb', 'average'];
+
+export interface ChunkEncodeOptions {
+    /**
+     * Store X values as a Float64 first value and Float32 steps (about half the X payload).
+     * Exact when the steps are representable in a Float32 (e.g. integer ms below 2^24);
+     * otherwise each X is off by at most the rounding of one step (default: false)
+     */
+    deltaX?: boolean;
+}
+
+/**
+ * Encodes `chunk` (see CHUNK_CODEC_VERSION for the layout).
+ * Series with X values must have as many X values as Y values.
+ */
+export function encodeChunk(chunk: DataChunk<ArrayLike<number>>, options: ChunkEncodeOptions = {}): ArrayBuffer {
+    const typeCode = CHUNK_TYPES.indexOf(chunk.type);
+    if (typeCode === -1) throw new Error(`ChunkCodec: unknown chunk type '${chunk.type}'`);
+
+    const n = chunk.data.length;
+    const lengths = chunk.data.map(series => series.length);
+    const xs = chunk.x;
+    if (xs) {
+        if (xs.length !== n) throw new Error(`ChunkCodec: ${xs.length} X series for ${n} series`);
+        xs.forEach((x, i) => {
+            if (x.length !== lengths[i]) throw new Error(`ChunkCodec: series ${i} has ${x.length} X values for ${lengths[i]} values`);
+        });
+    }
+    const delta = !!xs && options.deltaX === true;
+    const totalValues = lengths.reduce((sum, len) => sum + len, 0);
+    const totalSteps = lengths.reduce((sum, len) => sum + Math.max(0, len - 1), 0);
+
+    const lengthsOffset = HEADER_BYTES;
+    const xOffset = align(lengthsOffset + n * 4, 8);
+    const xBytes = !xs ? 0 : delta ? n * 8 : totalValues * 8;
+    const yOffset = xOffset + xBytes;
+    const stepsOffset = yOffset + totalValues * 4;
+    const byteLength = stepsOffset + (delta ? totalSteps * 4 : 0);
+
+    const buffer = new ArrayBuffer(byteLength);
+    const view = new DataView(buffer);
+    const flags = (chunk.step !== undefined ? FLAG_STEP : 0)
+        | (chunk.sampleRate !== undefined ? FLAG_SAMPLE_RATE : 0)
+        | (xs ? FLAG_X : 0)
+        | (delta ? FLAG_DELTA_X : 0);
+
+    view.setUint32(0, MAGIC, true);
+    view.setUint8(4, CHUNK_CODEC_VERSION);
+    view.setUint8(5, typeCode);
+    view.setUint8(6, flags);
+    view.setUint32(8, n, true);
+    view.setFloat64(16, chunk.start, true);
+    view.setFloat64(24, chunk.end, true);
+    view.setFloat64(32, chunk.step ?? 0, true);
+    view.setFloat64(40, chunk.sampleRate ?? 0, true);
+    lengths.forEach((len, i) => view.setUint32(lengthsOffset + i * 4, len, true));
+
+    let offset = xOffset;
+    let stepOffset = stepsOffset;
+    for (let i = 0; xs && i < n; i++) {
+        const x = xs[i];
+        if (!delta) {
+            writeFloat64(buffer, view, offset, x);
+            offset += x.length * 8;
+            continue;
+        }
+        view.setFloat64(offset, x.length > 0 ? x[0] : 0, true);
+        offset += 8;
+        // Steps from the value the decoder will have reconstructed, so rounding does not accumulate
+        let decoded = x.length > 0 ? x[0] : 0;
+        for (let j = 1; j < x.length; j++, stepOffset += 4) {
+            const step = Math.fround(x[j] - decoded);
+            view.setFloat32(stepOffset, step, true);
+            decoded += step;
+        }
+    }
+
+    offset = yOffset;
+    for (const series of chunk.data) {
+        writeFloat32(buffer, view, offset, series);
+        offset += series.length * 4;
+    }
+    return buffer;
+}
+
+/**
+ * Decodes a chunk written by encodeChunk. On little-endian platforms (all common ones)
+ * Y values and undeltaed X values are views into `bytes`, not copies; a misaligned
+ * view (e.g. a slice of a network buffer) is copied once first.
+ */
+export function decodeChunk(bytes: ArrayBuffer | ArrayBufferView): DataChunk {
+    let buffer: ArrayBufferLike;
+    let base: number;
+    let byteLength: number;
+    if (ArrayBuffer.isView(bytes)) {
+        ({ buffer, byteOffset: base, byteLength } = bytes);
+        if (base % 8 !== 0) {
+            buffer = buffer.slice(base, base + byteLength);
+            base = 0;
+        }
+    } else {
+        buffer = bytes;
+        base = 0;
+        byteLength = bytes.byteLength;
+    }
+
+    if (byteLength < HEADER_BYTES) throw new Error('ChunkCodec: truncated header');
+    const view = new DataView(buffer, base, byteLength);
+    if (view.getUint32(0, true) !== MAGIC) throw new Error('ChunkCodec: not an encoded chunk');
+    const version = view.getUint8(4);
+    if (version !== CHUNK_CODEC_VERSION) throw new Error(`ChunkCodec: unsupported version ${version}`);
+    const type = CHUNK_TYPES[view.getUint8(5)];
+    if (!type) throw new Error(`ChunkCodec: unknown chunk type code ${view.getUint8(5)}`);
+
+    const flags = view.getUint8(6);
+    const n = view.getUint32(8, true);
+    const hasX = (flags & FLAG_X) !== 0;
+    const delta = (flags & FLAG_DELTA_X) !== 0;
+
+    const lengthsOffset = HEADER_BYTES;
+    if (lengthsOffset + n * 4 > byteLength) throw new Error('ChunkCodec: truncated series lengths');
+    const lengths = Array.from({ length: n }, (_, i) => view.getUint32(lengthsOffset + i * 4, true));
+    const totalValues = lengths.reduce((sum, len) => sum + len, 0);
+    const totalSteps = lengths.reduce((sum, len) => sum + Math.max(0, len - 1), 0);
+
+    const xOffset = align(lengthsOffset + n * 4, 8);
+    const xBytes = !hasX ? 0 : delta ? n * 8 : totalValues * 8;
+    const yOffset = xOffset + xBytes;
+    const stepsOffset = yOffset + totalValues * 4;
+    if (stepsOffset + (delta ? totalSteps * 4 : 0) > byteLength) throw new Error('ChunkCodec: truncated payload');
+
+    const chunk: DataChunk = {
+        type,
+        data: [],
+        start: view.getFloat64(16, true),
+        end: view.getFloat64(24, true)
+    };
+    if (flags & FLAG_STEP) chunk.step = view.getFloat64(32, true);
+    if (flags & FLAG_SAMPLE_RATE) chunk.sampleRate = view.getFloat64(40, true);
+
+    let offset = yOffset;
+    for (const len of lengths) {
+        chunk.data.push(readFloat32(buffer, view, base, offset, len));
+        offset += len * 4;
+    }
+
+    if (hasX) {
+        chunk.x = [];
+        offset = xOffset;
+        let stepOffset = stepsOffset;
+        for (const len of lengths) {
+            if (!delta) {
+                chunk.x.push(readFloat64(buffer, view, base, offset, len));
+                offset += len * 8;
+                continue;
+            }
+            const x = new Float64Array(len);
+            if (len > 0) x[0] = view.getFloat64(offset, true);
+            offset += 8;
+            for (let j = 1; j < len; j++, stepOffset += 4) x[j] = x[j - 1] + view.getFloat32(stepOffset, true);
+            chunk.x.push(x);
+        }
+    }
+    return chunk;
+}
+
+function align(offset: number, bytes: number): number {
+    return Math.ceil(offset / bytes) * bytes;
+}
+
+function readFloat32(buffer: ArrayBufferLike, view: DataView, base: number, offset: number, len: number): Float32Array {
+    if (LITTLE_ENDIAN) return new Float32Array(buffer, base + offset, len);
+    const out = new Float32Array(len);
+    for (let j = 0; j < len; j++) out[j] = view.getFloat32(offset + j * 4, true);
+    return out;
+}
+
+function readFloat64(buffer: ArrayBufferLike, view: DataView, base: number, offset: number, len: number): Float64Array {
+    if (LITTLE_ENDIAN) return new Float64Array(buffer, base + offset, len);
+    const out = new Float64Array(len);
+    for (let j = 0; j < len; j++) out[j] = view.getFloat64(offset + j * 8, true);
+    return out;
+}
+
+function writeFloat32(buffer: ArrayBuffer, view: DataView, offset: number, values: ArrayLike<number>): void {
+    if (LITTLE_ENDIAN) new Float32Array(buffer, offset, values.length).set(values);
+    else for (let j = 0; j < values.length; j++) view.setFloat32(offset + j * 4, values[j], true);
+}
+
+function writeFloat64(buffer: ArrayBuffer, view: DataView, offset: number, values: ArrayLike<number>): void {
+    if (LITTLE_ENDIAN) new Float64Array(buffer, offset, values.length).set(values);
+    else for (let j = 0; j < values.length; j++) view.setFloat64(offset + j * 8, values[j], true);
+}
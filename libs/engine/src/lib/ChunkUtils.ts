@@ -0,0 +1,160 @@
+import { DataChunk, SeriesValue } from './interfaces';
+import { Scale } from './Scale';
+
+type NumericChunk = DataChunk<ArrayLike<number>>;
+
+/**
+ * What each value of a bin holds, see binFields.
+ */
+export type BinField = 'min' | 'max' | 'first' | 'last' | 'mean';
+
+const MINMAX_FIELDS: readonly BinField[] = ['min', 'max'];
+const M4_FIELDS: readonly BinField[] = ['first', 'min', 'max', 'last'];
+const AVERAGE_FIELDS: readonly BinField[] = ['mean'];
+
+/**
+ * The values of one bin of a binned chunk type, in order; null for chunks of samples
+ * (raw / sparse / lttb).
+ */
+export function binFields(type: DataChunk['type']): readonly BinField[] | null {
+    switch (type) {
+        case 'aggregated':
+        case 'sparse-aggregated':
+            return MINMAX_FIELDS;
+        case 'm4':
+            return M4_FIELDS;
+        case 'average':
+            return AVERAGE_FIELDS;
+        default:
+            return null;
+    }
+}
+
+/**
+ * Lower bound: index of the first element >= target (arr.length if none).
+ */
+export function binarySearch(arr: ArrayLike<number>, target: number): number {
+    let l = 0, r = arr.length - 1;
+    while (l <= r) {
+        const m = (l + r) >> 1;
+        if (arr[m] < target) l = m + 1;
+        else r = m - 1;
+    }
+    return l;
+}
+
+/**
+ * Min / max of every series in `chunk` within the X window [start, end].
+ * Binned chunks contribute every value of each overlapping bin.
+ * Series rejected by `seriesFilter` (e.g. hidden ones) are skipped.
+ * With a `scale` the extent is in scaled units and values the scale cannot
+ * represent (non-positive values on a log scale) are ignored.
+ * Returns null when no finite sample lies in the window.
+ */
+export function computeYExtent<TData>(
+    dataChunk: DataChunk<TData>,
+    start: number,
+    end: number,
+    seriesFilter?: (seriesIndex: number) => boolean,
+    scale?: Scale
+): { min: number; max: number } | null {
+    const chunk = dataChunk as unknown as NumericChunk;
+    let min = Infinity;
+    let max = -Infinity;
+
+    const include = (val: number) => {
+        if (scale) {
+            if (!scale.isValid(val)) return;
+            val = scale.forward(val);
+        }
+        if (!Number.isFinite(val)) return;
+        if (val < min) min = val;
+        if (val > max) max = val;
+    };
+
+    for (let i = 0; i < chunk.data.length; i++) {
+        if (seriesFilter && !seriesFilter(i)) continue;
+        const series = chunk.data[i];
+
+        if (chunk.type === 'raw') {
+            const from = Math.max(0, Math.floor(start - chunk.start));
+            const to = Math.min(series.length - 1, Math.ceil(end - chunk.start));
+            for (let j = from; j <= to; j++) include(series[j]);
+
+        } else if (chunk.type === 'sparse' || chunk.type === 'lttb') {
+            const seriesX = chunk.x?.[i];
+            if (!seriesX) continue;
+            const from = binarySearch(seriesX, start);
+            let to = binarySearch(seriesX, end);
+            while (to < series.length && seriesX[to] === end) to++;
+            for (let j = from; j < Math.min(to, series.length); j++) include(series[j]);
+
+        } else {
+            const stride = binFields(chunk.type)?.length ?? 2;
+            const step = chunk.step || 1;
+            const binCount = Math.floor(series.length / stride);
+            const from = Math.max(0, Math.floor((start - chunk.start) / step));
+            const to = Math.min(binCount - 1, Math.ceil((end - chunk.start) / step) - 1);
+            for (let j = from * stride; j < (to + 1) * stride; j++) include(series[j]);
+        }
+    }
+
+    return min <= max ? { min, max } : null;
+}
+
+/**
+ * Index of the element of a sorted array closest to target (-1 if empty).
+ */
+export function binarySearchClosest(arr: ArrayLike<number>, target: number): number {
+    if (arr.length === 0) return -1;
+    const i = binarySearch(arr, target);
+    if (i === 0) return 0;
+    if (i >= arr.length) return arr.length - 1;
+    return (target - arr[i - 1] <= arr[i] - target) ? i - 1 : i;
+}
+
+/**
+ * Per-series value at X: the nearest sample for raw / sparse / lttb chunks
+ * (binary search over `x` for sparse / lttb), the min / max of the bin for aggregated
+ * and m4 chunks, the bin mean for average chunks.
+ * Series without data at X are omitted.
+ */
+export function sampleAt<TData>(dataChunk: DataChunk<TData>, x: number): SeriesValue[] {
+    const chunk = dataChunk as unknown as NumericChunk;
+    const values: SeriesValue[] = [];
+
+    for (let i = 0; i < chunk.data.length; i++) {
+        const series = chunk.data[i];
+        if (series.length === 0) continue;
+
+        if (chunk.type === 'raw') {
+            const j = Math.round(x - chunk.start);
+            if (j < 0 || j >= series.length) continue;
+            values.push({ seriesIndex: i, x: chunk.start + j, value: series[j] });
+
+        } else if (chunk.type === 'sparse' || chunk.type === 'lttb') {
+            const seriesX = chunk.x?.[i];
+            if (!seriesX) continue;
+            const j = binarySearchClosest(seriesX, x);
+            if (j === -1) continue;
+            values.push({ seriesIndex: i, x: seriesX[j], value: series[j] });
+
+        } else {
+            const fields = binFields(chunk.type) ?? MINMAX_FIELDS;
+            const step = chunk.step || 1;
+            const j = Math.floor((x - chunk.start) / step);
+            const offset = j * fields.length;
+            if (j < 0 || offset + fields.length > series.length) continue;
+            const binX = chunk.start + j * step;
+            if (fields.includes('min')) {
+                const min = series[offset + fields.indexOf('min')];
+                const max = series[offset + fields.indexOf('max')];
+                values.push({ seriesIndex: i, x: binX, min, max });
+            } else {
+                values.push({ seriesIndex: i, x: binX, value: series[offset] });
+            }
+        }
+    }
+
+    return values;
+}
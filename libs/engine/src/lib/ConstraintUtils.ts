@@ -0,0 +1,103 @@
+import { ViewConstraints, ViewportRange, YAxisConfig } from './interfaces';
+import { resolveAxes, resolveAxisRange, withAxisRange } from './ViewportUtils';
+
+export const DEFAULT_OVERSCROLL = 0.1;
+
+/**
+ * Default minimum span, relative to the magnitude of the range's values.
+ * Below it the renderers run out of floating point precision.
+ */
+const MIN_RELATIVE_SPAN = 1e-9;
+
+type XRange = Pick<ViewportRange, 'start' | 'end'>;
+
+function minSpanFor(a: number, b: number, configured: number | undefined): number {
+    return configured ?? (Math.max(Math.abs(a), Math.abs(b)) * MIN_RELATIVE_SPAN || MIN_RELATIVE_SPAN);
+}
+
+/**
+ * Clamps the X span to [minXSpan, maxXSpan] and keeps the range within the extent
+ * plus overscroll. A span clamp keeps the zoom pivot (the point that stays put between
+ * `previous` and `range`) in place, so zooming against a limit does not drift.
+ */
+export function clampXRange(range: XRange, constraints: ViewConstraints, previous?: XRange): XRange {
+    let { start, end } = range;
+    if (!(end > start)) return previous ? { start: previous.start, end: previous.end } : { start, end };
+
+    const { extent } = constraints;
+    const span = end - start;
+    const minSpan = minSpanFor(start, end, constraints.minXSpan);
+    const maxSpan = Math.max(minSpan, constraints.maxXSpan ?? (extent ? extent.end - extent.start : Infinity));
+    const clampedSpan = Math.min(Math.max(span, minSpan), maxSpan);
+
+    if (clampedSpan !== span) {
+        const ratio = previous ? zoomPivotRatio(range, previous) : 0.5;
+        start = start + ratio * span - ratio * clampedSpan;
+        end = start + clampedSpan;
+    }
+
+    if (extent) {
+        const margin = (constraints.overscroll ?? DEFAULT_OVERSCROLL) * clampedSpan;
+        const lo = extent.start - margin;
+        const hi = extent.end + margin;
+        if (hi - lo <= clampedSpan) {
+            start = (lo + hi - clampedSpan) / 2;
+        } else if (start < lo) {
+            start = lo;
+        } else if (end > hi) {
+            start = hi - clampedSpan;
+        }
+        end = start + clampedSpan;
+    }
+    return { start, end };
+}
+
+/**
+ * Position (0..1 of the span) of the point that maps to itself between `previous` and `range`;
+ * the center when the span did not change (a pan).
+ */
+function zoomPivotRatio(range: XRange, previous: XRange): number {
+    const span = range.end - range.start;
+    const prevSpan = previous.end - previous.start;
+    if (span === prevSpan) return 0.5;
+    const pivot = (range.start * prevSpan - previous.start * span) / (prevSpan - span);
+    return Math.min(1, Math.max(0, (pivot - range.start) / span));
+}
+
+/**
+ * Widens every Y axis narrower than minYSpan around its center.
+ */
+export function clampYSpans(range: ViewportRange, constraints: ViewConstraints, axes: YAxisConfig[] | undefined): ViewportRange {
+    let result = range;
+    for (const axis of resolveAxes(axes)) {
+        const { yStart, yEnd } = resolveAxisRange(range, axis.id, axes);
+        const minSpan = minSpanFor(yStart, yEnd, constraints.minYSpan);
+        if (Math.abs(yEnd - yStart) >= minSpan) continue;
+
+        const center = (yStart + yEnd) / 2;
+        const half = (yEnd >= yStart ? minSpan : -minSpan) / 2;
+        result = withAxisRange(result, axis.id, { yStart: center - half, yEnd: center + half }, axes);
+    }
+    return result;
+}
+
+/**
+ * Applies all constraints to a requested range. `previous` is the range currently shown;
+ * locked axes keep its values.
+ */
+export function constrainRange(
+    range: ViewportRange,
+    previous: ViewportRange,
+    constraints: ViewConstraints,
+    axes: YAxisConfig[] | undefined
+): ViewportRange {
+    const x = constraints.lockX
+        ? { start: previous.start, end: previous.end }
+        : clampXRange(range, constraints, previous);
+
+    const y = constraints.lockY
+        ? { yStart: previous.yStart, yEnd: previous.yEnd, yRanges: previous.yRanges }
+        : { yStart: range.yStart, yEnd: range.yEnd, yRanges: range.yRanges };
+
+    return clampYSpans({ ...range, ...x, ...y }, constraints, axes);
+}
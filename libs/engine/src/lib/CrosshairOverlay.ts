@@ -0,0 +1,160 @@
+import { HoverInfo, SeriesConfig, SeriesValue } from './interfaces';
+import { resolveSeries } from './SeriesUtils';
+import { EVENT_COLOR } from './AnnotationLayout';
+
+/**
+ * DOM overlay for the crosshair: a vertical line and a horizontal guide at the
+ * pointer, plus a tooltip listing the value of every series under the cursor
+ * (name, color and unit taken from the engine's series metadata) and the event
+ * annotations under it.
+ */
+export class CrosshairOverlay {
+    private vLine: HTMLDivElement;
+    private hLine: HTMLDivElement;
+    private tooltip: HTMLDivElement;
+
+    private readonly MAX_ROWS = 20;
+
+    constructor(
+        private container: HTMLElement
+    ) {
+        const lineStyle = {
+            position: 'absolute',
+            pointerEvents: 'none',
+            display: 'none',
+            zIndex: '90'
+        };
+
+        this.vLine = document.createElement('div');
+        Object.assign(this.vLine.style, lineStyle, {
+            top: '0',
+            width: '0',
+            borderLeft: '1px dashed rgba(255, 255, 255, 0.5)'
+        });
+
+        this.hLine = document.createElement('div');
+        Object.assign(this.hLine.style, lineStyle, {
+            left: '0',
+            height: '0',
+            borderTop: '1px dashed rgba(255, 255, 255, 0.3)'
+        });
+
+        this.tooltip = document.createElement('div');
+        Object.assign(this.tooltip.style, {
+            position: 'absolute',
+            pointerEvents: 'none',
+            display: 'none',
+            zIndex: '110',
+            padding: '4px 6px',
+            background: 'rgba(30, 30, 30, 0.9)',
+            border: '1px solid #3e3e3e',
+            borderRadius: '4px',
+            color: 'rgba(255, 255, 255, 0.85)',
+            fontSize: '11px',
+            fontFamily: 'monospace',
+            whiteSpace: 'pre'
+        });
+
+        this.container.appendChild(this.vLine);
+        this.container.appendChild(this.hLine);
+        this.container.appendChild(this.tooltip);
+    }
+
+    /**
+     * Without `py` (a cursor mirrored from a linked chart) only the vertical line is drawn
+     * and the tooltip sits at the top.
+     */
+    public show(
+        px: number,
+        py: number | null,
+        width: number,
+        height: number,
+        info: HoverInfo | null,
+        series: SeriesConfig[] = []
+    ): void {
+        Object.assign(this.vLine.style, { display: 'block', left: `${px}px`, height: `${height}px` });
+        if (py === null) {
+            this.hLine.style.display = 'none';
+        } else {
+            Object.assign(this.hLine.style, { display: 'block', top: `${py}px`, width: `${width}px` });
+        }
+
+        if (!info || (info.seriesValues.length === 0 && !info.events?.length)) {
+            this.tooltip.style.display = 'none';
+            return;
+        }
+
+        this.renderTooltip(info, series);
+        this.tooltip.style.display = 'block';
+
+        // Keep the tooltip inside the container
+        const offset = 12;
+        const tipW = this.tooltip.offsetWidth;
+        const tipH = this.tooltip.offsetHeight;
+        const left = (px + offset + tipW > width) ? px - offset - tipW : px + offset;
+        const tipY = py ?? 0;
+        const top = (tipY + offset + tipH > height) ? Math.max(0, height - tipH) : tipY + offset;
+        this.tooltip.style.left = `${Math.max(0, left)}px`;
+        this.tooltip.style.top = `${top}px`;
+    }
+
+    public hide(): void {
+        this.vLine.style.display = 'none';
+        this.hLine.style.display = 'none';
+        this.tooltip.style.display = 'none';
+    }
+
+    private renderTooltip(info: HoverInfo, series: SeriesConfig[]): void {
+        this.tooltip.replaceChildren();
+        this.addRow(`X: ${this.formatNumber(info.x)}`);
+
+        const values = info.seriesValues.slice(0, this.MAX_ROWS);
+        for (const v of values) {
+            const config = resolveSeries(series[v.seriesIndex], v.seriesIndex);
+            const unit = config.unit ? ` ${config.unit}` : '';
+            this.addRow(`${config.name}: ${this.formatSeriesValue(v)}${unit}`, config.color);
+        }
+
+        const more = info.seriesValues.length - values.length;
+        if (more > 0) this.addRow(`… +${more} more`);
+
+        const events = info.events ?? [];
+        for (const e of events.slice(0, this.MAX_ROWS)) {
+            const icon = e.icon ? `${e.icon} ` : '';
+            this.addRow(`${icon}${e.label ?? this.formatNumber(e.x)}`, e.color ?? EVENT_COLOR);
+        }
+        if (events.length > this.MAX_ROWS) this.addRow(`… +${events.length - this.MAX_ROWS} more events`);
+    }
+
+    private addRow(text: string, color?: string): void {
+        const row = document.createElement('div');
+        if (color) {
+            const swatch = document.createElement('span');
+            Object.assign(swatch.style, {
+                display: 'inline-block',
+                width: '8px',
+                height: '8px',
+                marginRight: '4px',
+                background: color
+            });
+            row.appendChild(swatch);
+        }
+        row.appendChild(document.createTextNode(text));
+        this.tooltip.appendChild(row);
+    }
+
+    private formatSeriesValue(v: SeriesValue): string {
+        if (v.value !== undefined) return this.formatNumber(v.value);
+        return `${this.formatNumber(v.min ?? NaN)} … ${this.formatNumber(v.max ?? NaN)}`;
+    }
+
+    private formatNumber(value: number): string {
+        return Number.isInteger(value) ? value.toString() : value.toFixed(2);
+    }
+
+    public destroy(): void {
+        this.vLine.remove();
+        this.hLine.remove();
+        this.tooltip.remove();
+    }
+}
@@ -0,0 +1,151 @@
+import { DataChunk, DataExportFormat, SeriesConfig } from './interfaces';
+import { binFields } from './ChunkUtils';
+
+type Cell = number | string | null;
+
+function csvCell(value: Cell): string {
+    if (value === null) return '';
+    const text = String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Writes chunks as CSV or JSON text, one row per X. Columns are the X value (an ISO 8601
+ * `timestamp` for time data) and one column per exported series, named after the series;
+ * binned chunks get a column per bin value and series (e.g. min and max).
+ *
+ * Text comes out in blocks of at most BATCH_ROWS rows, so callers can yield to the
+ * event loop between blocks on large exports.
+ */
+export class DataExporter {
+    private columns: string[] | null = null;
+    private rowCount = 0;
+
+    private readonly BATCH_ROWS = 10000;
+
+    constructor(
+        private readonly format: DataExportFormat,
+        private readonly series: SeriesConfig[],
+        private readonly seriesIndices: number[],
+        /** Format X as timestamps even for raw / aggregated chunks (GraphConfig.xScale 'time') */
+        private readonly timeAxis: boolean
+    ) {}
+
+    public get rowsWritten(): number {
+        return this.rowCount;
+    }
+
+    /**
+     * The rows of `chunk` with X in [from, to), or [from, to] with `includeEnd`.
+     * The first chunk determines the columns.
+     */
+    public *write(chunk: DataChunk<ArrayLike<number>>, from: number, to: number, includeEnd = false): Generator<string> {
+        const isTime = this.timeAxis || chunk.type === 'sparse' || chunk.type === 'sparse-aggregated';
+        const inRange = (x: number) => x >= from && (x < to || (includeEnd && x === to));
+        let text = this.columns ? '' : this.header(chunk, isTime);
+        let batch = 0;
+
+        for (const [x, ...values] of this.rows(chunk, inRange)) {
+            text += this.formatRow([isTime ? new Date(x as number).toISOString() : x, ...values]);
+            if (++batch === this.BATCH_ROWS) {
+                yield text;
+                text = '';
+                batch = 0;
+            }
+        }
+        if (text) yield text;
+    }
+
+    /**
+     * Closing text (and the header if no chunk was written).
+     */
+    public finish(): string {
+        const header = this.columns ? '' : this.header(null, this.timeAxis);
+        return this.format === 'json' ? `${header}\n]}\n` : header;
+    }
+
+    private header(chunk: DataChunk<ArrayLike<number>> | null, isTime: boolean): string {
+        const fields = chunk ? binFields(chunk.type) : null;
+        const names = this.seriesIndices.map(i => this.series[i]?.name ?? `Series ${i + 1}`);
+        this.columns = [
+            isTime ? 'timestamp' : 'x',
+            ...(fields ? names.flatMap(name => fields.map(field => `${name} (${field})`)) : names)
+        ];
+
+        if (this.format === 'csv') return this.columns.map(csvCell).join(',') + '\n';
+        const series = this.seriesIndices.map((i, k) => {
+            const { id, name, unit } = this.series[i] ?? { id: `series-${i}`, name: names[k] };
+            return { id, name, unit };
+        });
+        return `{"columns":${JSON.stringify(this.columns)},"series":${JSON.stringify(series)},"rows":[`;
+    }
+
+    private formatRow(row: Cell[]): string {
+        const first = this.rowCount++ === 0;
+        if (this.format === 'csv') return row.map(csvCell).join(',') + '\n';
+        // NaN / Infinity are not valid JSON numbers
+        const json = JSON.stringify(row.map(v => typeof v === 'number' && !isFinite(v) ? null : v));
+        return `${first ? '\n' : ',\n'}${json}`;
+    }
+
+    private *rows(chunk: DataChunk<ArrayLike<number>>, inRange: (x: number) => boolean): Generator<Cell[]> {
+        const data = this.seriesIndices.map(i => chunk.data[i] ?? []);
+
+        if (chunk.type === 'raw') {
+            const len = Math.max(0, ...data.map(d => d.length));
+            for (let j = 0; j < len; j++) {
+                const x = chunk.start + j;
+                if (inRange(x)) yield [x, ...data.map(d => j < d.length ? d[j] : null)];
+            }
+        } else if (chunk.type === 'sparse' || chunk.type === 'lttb') {
+            yield* this.mergeSparse(chunk, data, inRange);
+        } else {
+            // Bins of `stride` interleaved values, labelled with the bin start
+            const stride = binFields(chunk.type)?.length ?? 2;
+            const step = chunk.step || 1;
+            const bins = Math.max(0, ...data.map(d => Math.floor(d.length / stride)));
+            const bin = (d: ArrayLike<number>, j: number): Cell[] => Array.from({ length: stride },
+                (_, k) => (j + 1) * stride <= d.length ? d[j * stride + k] : null);
+            for (let j = 0; j < bins; j++) {
+                const x = chunk.start + j * step;
+                if (!inRange(x)) continue;
+                yield [x, ...data.flatMap(d => bin(d, j))];
+            }
+        }
+    }
+
+    // Each sparse series has its own timestamps: merge them, leaving the cells of series without a sample empty
+    private *mergeSparse(
+        chunk: DataChunk<ArrayLike<number>>,
+        data: ArrayLike<number>[],
+        inRange: (x: number) => boolean
+    ): Generator<Cell[]> {
+        const xs = this.seriesIndices.map(i => chunk.x?.[i] ?? new Float64Array(0));
+        const next = xs.map(() => 0);
+
+        for (;;) {
+            let x = Infinity;
+            for (let s = 0; s < xs.length; s++) {
+                if (next[s] < xs[s].length && xs[s][next[s]] < x) x = xs[s][next[s]];
+            }
+            if (x === Infinity) return;
+
+            const row: Cell[] = [x];
+            for (let s = 0; s < xs.length; s++) {
+                if (next[s] < xs[s].length && xs[s][next[s]] === x) {
+                    row.push(data[s][next[s]++]);
+                } else {
+                    row.push(null);
+                }
+            }
+            if (inRange(x)) yield row;
+        }
+    }
+}
+
+/**
+ * Lets rendering and input run between export batches.
+ */
+export function yieldToEventLoop(): Promise<void> {
+    return new Promise(resolve => setTimeout(resolve));
+}
@@ -1,8 +1,64 @@
 
-import { BehaviorSubject, Subject, Subscription } from 'rxjs';
-import { DataChunk, GraphConfig, ViewportRange, MarkerConfig } from './interfaces';
-import { Renderer } from './Renderer';
+import {
+  BehaviorSubject,
+  Observable,
+  Subject,
+  Subscription,
+  animationFrameScheduler,
+  auditTime,
+  merge,
+  combineLatest,
+  debounceTime,
+  distinctUntilChanged,
+  map,
+  switchMap,
+  takeUntil,
+  filter
+} from 'rxjs';
+import {
+  DataChunk,
+  GraphConfig,
+  ViewportRange,
+  MarkerConfig,
+  AutoscaleMode,
+  DataProvider,
+  DataProviderOptions,
+  DownsampleAlgorithm,
+  DataRequest,
+  HoverInfo,
+  SeriesConfig,
+  YAxisConfig,
+  DataExtent,
+  ViewConstraints,
+  RangeChangeOptions,
+  ImageExportOptions,
+  DataExportOptions,
+  MarkerEvent,
+  EventAnnotation,
+  ThresholdLine,
+  FollowState
+} from './interfaces';
+import { Renderer, RendererConstructor } from './Renderer';
+import { Navigator } from './Navigator';
 import { InputHandler, InteractionMode } from './InputHandler';
+import { computeYExtent, sampleAt } from './ChunkUtils';
+import { interpolateRange, padExtent, resolveAxes, resolveAxisRange, resolveAxisScale, withAxisRange } from './ViewportUtils';
+import { LOG_FLOOR, ScaleType } from './Scale';
+import { resolveSeries, seriesAxisId } from './SeriesUtils';
+import { LegendOverlay } from './LegendOverlay';
+import { ViewHistory, ViewHistoryState, isSameView } from './ViewHistory';
+import { constrainRange } from './ConstraintUtils';
+import { RangeAnimator } from './RangeAnimator';
+import { renderSvg } from './SvgExporter';
+import { DataExporter, yieldToEventLoop } from './DataExporter';
+import { eventsNear, sortEvents } from './AnnotationLayout';
+import { RingBuffer } from './RingBuffer';
+
+const DEFAULT_ANIMATION_MS = 250;
+/** Target raw samples per provider request of a native resolution data export */
+const EXPORT_PAGE_ROWS = 100000;
+/** Samples kept per live series unless `config.stream.capacity` says otherwise */
+const DEFAULT_STREAM_CAPACITY = 10000;
 
 /**
  * The main entry point for the Graph Library.
@@ -13,6 +69,18 @@ export class GraphEngine<TConfig extends GraphConfig = GraphConfig> {
   public readonly range$: BehaviorSubject<ViewportRange>;
   public readonly config$: BehaviorSubject<TConfig>;
   public readonly error$ = new Subject<Error>();
+  /** Values under the pointer while the crosshair is enabled; null when the pointer leaves */
+  public readonly hover$ = new Subject<HoverInfo | null>();
+  /** Resolved series metadata, one entry per series of the loaded data (at least) */
+  public readonly series$ = new BehaviorSubject<SeriesConfig[]>([]);
+  /** Whether back() / forward() have an entry to go to */
+  public readonly history$: BehaviorSubject<ViewHistoryState>;
+  /** Current marker regions (every marker has an id) */
+  public readonly markers$ = new BehaviorSubject<MarkerConfig[]>([]);
+  /** Marker edits and selection changes */
+  public readonly markerEvents$ = new Subject<MarkerEvent>();
+  /** Whether the view follows the newest live samples (setFollow) */
+  public readonly follow$ = new BehaviorSubject<FollowState>('off');
   
   // Internal
   private readonly destroy$ = new Subject<void>();
@@ -20,18 +88,72 @@ export class GraphEngine<TConfig extends GraphConfig = GraphConfig> {
   private container: HTMLElement;
   private inputHandler: InputHandler;
   private rangeSub: Subscription;
+  private currentChunk: DataChunk<unknown> | null = null;
+  private selectedMarkerId: string | null = null;
+  private events: EventAnnotation[] = [];
+  private thresholds: ThresholdLine[] = [];
+  private rendererConstructor: RendererConstructor<TConfig> | null = null;
+  private navigator: Navigator<TConfig> | null = null;
+  private navigatorContainer: HTMLElement | null = null;
+  private nextMarkerId = 1;
+  private provider: DataProvider<unknown> | null = null;
+  private providerOptions: DataProviderOptions = {};
+  private providerSub: Subscription | null = null;
+  /** Extent reported by the data provider, the default constraint extent */
+  private dataExtent: DataExtent | null = null;
+  private readonly history = new ViewHistory();
+  private readonly refresh$ = new Subject<void>();
+  private readonly animator: RangeAnimator;
+  /** Ranges to fetch while range$ is animating: the target on start, the reached range on interruption */
+  private readonly animationFetch$ = new Subject<ViewportRange>();
+  private width: number;
+  private legend: LegendOverlay;
+  private legendSub: Subscription;
+  private highlightedSeries: number | null = null;
+  /** Live data per series (appendData), null for series without any */
+  private streams: (RingBuffer | null)[] = [];
+  /** Samples appended per series since the last live chunk */
+  private streamAppended: number[] = [];
+  private readonly streamFlush$ = new Subject<void>();
+  /** X span shown by follow mode */
+  private followSpan = 0;
+  /** X range follow mode last moved the view to (after the constraints) */
+  private followWindow: DataExtent | null = null;
+  /** Set while follow mode moves the view, which must not pause it */
+  private followUpdating = false;
 
   constructor(container: HTMLElement, initialConfig: TConfig) {
     this.container = container;
+    this.width = container.clientWidth;
     this.config$ = new BehaviorSubject<TConfig>(initialConfig);
     this.range$ = new BehaviorSubject<ViewportRange>({ start: 0, end: 100 });
+    this.history$ = this.history.state$;
+    this.animator = new RangeAnimator(
+        range => this.applyRange(range),
+        (from, to, t) => interpolateRange(from, to, t, this.config$.getValue())
+    );
     
     // Initialize Input Handler
     this.inputHandler = new InputHandler(this.container, this);
     
     // Re-render on range changes (zoom, pan, etc.)
-    this.rangeSub = this.range$.subscribe(() => {
+    this.rangeSub = this.range$.subscribe(range => {
       this.renderer?.render();
+      this.checkFollow(range);
+    });
+
+    // Appends are shown once per animation frame, however many arrive in between
+    this.streamFlush$.pipe(
+        auditTime(0, animationFrameScheduler),
+        takeUntil(this.destroy$)
+    ).subscribe(() => this.flushStreams());
+
+    this.legend = new LegendOverlay(this.container, {
+        onToggle: index => this.toggleSeries(index),
+        onHighlight: index => this.highlightSeries(index)
+    });
+    this.legendSub = combineLatest([this.series$, this.config$]).subscribe(([series, config]) => {
+        this.legend.update(config.showLegend ? series : []);
     });
   }
 
@@ -41,54 +163,883 @@ export class GraphEngine<TConfig extends GraphConfig = GraphConfig> {
    * To keep Core dependency-free, we might want to pass the Renderer Constructor?
    * Or just import them if they are part of the core package.
    */
-  public setRenderer(rendererConstructor: new (c: HTMLElement, cfg: BehaviorSubject<TConfig>, rng: BehaviorSubject<ViewportRange>) => Renderer<TConfig>): void {
+  public setRenderer(rendererConstructor: RendererConstructor<TConfig>): void {
       if (this.renderer) {
           this.renderer.destroy();
       }
+      this.rendererConstructor = rendererConstructor;
       try {
         this.renderer = new rendererConstructor(this.container, this.config$, this.range$);
+        this.renderer.setSeries(this.series$.getValue());
+        this.renderer.setHighlight(this.highlightedSeries);
+        this.renderer.setMarkers(this.markers$.getValue());
+        this.renderer.setSelectedMarker(this.selectedMarkerId);
+        this.renderer.setEvents(this.events);
+        this.renderer.setThresholds(this.thresholds);
+        if (this.currentChunk) this.renderer.setData(this.currentChunk);
         this.resize(this.container.clientWidth, this.container.clientHeight);
       } catch (err) {
           this.error$.next(err as Error);
       }
+      this.createNavigator();
   }
 
   public setData<TData>(chunk: DataChunk<TData>): void {
+    this.applyData(chunk, null);
+  }
+
+  // `appended`: for live data, the samples each series gained over the previous chunk
+  private applyData<TData>(chunk: DataChunk<TData>, appended: number[] | null): void {
     try {
+        this.currentChunk = chunk;
+        if (chunk.data.length > this.series$.getValue().length) {
+            this.applySeries(this.series$.getValue());
+        }
+        // Without a provider the host's data is the whole dataset
+        if (!this.provider) {
+            if (appended) this.navigator?.appendData(chunk, appended);
+            else this.navigator?.setData(chunk);
+        }
+        if (appended && this.follow$.getValue() === 'following') this.followTail();
         if (!this.renderer) return;
-        this.renderer.setData(chunk);
+        if (appended) this.renderer.appendData(chunk, appended);
+        else this.renderer.setData(chunk);
+        this.autoscaleOnData();
     } catch (err) {
         this.error$.next(err as Error);
     }
   }
 
+  /**
+   * Appends live samples to a series. Each series keeps the newest `config.stream.capacity`
+   * samples in a ring buffer; the buffers are shown as one sparse chunk, updated once per
+   * animation frame. `x` must be ascending and continue after the series' previous samples.
+   * Live data replaces data set by the host and cannot be combined with a data provider.
+   */
+  public appendData(seriesIndex: number, x: ArrayLike<number>, y: ArrayLike<number>): void {
+      if (this.provider) {
+          this.error$.next(new Error('GraphEngine.appendData: detach the data provider before streaming'));
+          return;
+      }
+      if (x.length !== y.length) {
+          this.error$.next(new Error(`GraphEngine.appendData: ${x.length} x values for ${y.length} y values`));
+          return;
+      }
+      if (x.length === 0) return;
+
+      let buffer = this.streams[seriesIndex];
+      if (!buffer) {
+          buffer = new RingBuffer(this.config$.getValue().stream?.capacity ?? DEFAULT_STREAM_CAPACITY);
+          this.streams[seriesIndex] = buffer;
+      }
+      let previous = buffer.lastX ?? -Infinity;
+      for (let i = 0; i < x.length; i++) {
+          if (!(x[i] >= previous)) {
+              this.error$.next(new Error(`GraphEngine.appendData: x must be ascending (series ${seriesIndex})`));
+              return;
+          }
+          previous = x[i];
+      }
+
+      buffer.push(x, y);
+      this.streamAppended[seriesIndex] = (this.streamAppended[seriesIndex] ?? 0) + x.length;
+      this.streamFlush$.next();
+  }
+
+  /**
+   * Drops all live data (the display keeps the last chunk until new data is set or appended).
+   */
+  public clearLiveData(): void {
+      this.streams = [];
+      this.streamAppended = [];
+  }
+
+  // Builds the live chunk from the ring buffers
+  private flushStreams(): void {
+      const data: Float32Array[] = [];
+      const x: Float64Array[] = [];
+      let start = Infinity;
+      let end = -Infinity;
+      for (let i = 0; i < this.streams.length; i++) {
+          const arrays = this.streams[i]?.toArrays() ?? { x: new Float64Array(0), y: new Float32Array(0) };
+          data.push(arrays.y);
+          x.push(arrays.x);
+          if (arrays.x.length === 0) continue;
+          start = Math.min(start, arrays.x[0]);
+          end = Math.max(end, arrays.x[arrays.x.length - 1]);
+      }
+      // A single sample (or none) spans no range yet
+      if (!(end > start)) return;
+
+      const appended = this.streams.map((_, i) => this.streamAppended[i] ?? 0);
+      this.streamAppended = [];
+      const sampleRate = this.config$.getValue().stream?.sampleRate;
+      this.applyData({ type: 'sparse', data, x, start, end, sampleRate }, appended);
+  }
+
+  /**
+   * Keeps the newest `span` (X units) of the live data in view as samples arrive; null turns
+   * it off. Moving the view away from the newest sample (e.g. panning back) pauses follow
+   * mode until resumeFollow(); zooming out while following widens the span.
+   */
+  public setFollow(span: number | null): void {
+      if (span === null || !(span > 0)) {
+          this.follow$.next('off');
+          return;
+      }
+      this.followSpan = span;
+      this.resumeFollow();
+  }
+
+  /**
+   * Jumps back to the newest live data and follows it again, with the span of the last setFollow.
+   */
+  public resumeFollow(): void {
+      if (!(this.followSpan > 0)) return;
+      this.follow$.next('following');
+      this.followTail();
+  }
+
+  private followTail(): void {
+      const chunk = this.currentChunk;
+      if (!chunk) return;
+      this.followUpdating = true;
+      try {
+          this.updateRange({ ...this.range$.getValue(), start: chunk.end - this.followSpan, end: chunk.end });
+      } finally {
+          this.followUpdating = false;
+      }
+      const { start, end } = this.range$.getValue();
+      this.followWindow = { start, end };
+  }
+
+  // Compared to the window follow mode set, as the constraints may keep it short of the newest sample
+  private checkFollow(range: ViewportRange): void {
+      const window = this.followWindow;
+      if (this.followUpdating || !window || this.follow$.getValue() !== 'following') return;
+      if (range.start === window.start && range.end === window.end) return; // Y only (e.g. autoscale)
+      if (range.end < window.end) {
+          this.follow$.next('paused');
+      } else {
+          this.followSpan = range.end - range.start;
+      }
+  }
+
+  /**
+   * Lets the engine fetch data itself: range changes are debounced, turned into a
+   * DataRequest with a bin size derived from the pixel width, and the resulting chunk
+   * is passed to setData. A newer request aborts the pending one, so stale responses
+   * are never rendered. Failures are reported on error$.
+   * Pass null to detach the current provider.
+   */
+  public setDataProvider<TData>(provider: DataProvider<TData> | null, options: DataProviderOptions = {}): void {
+      this.providerSub?.unsubscribe();
+      this.providerSub = null;
+      this.provider = provider;
+      this.providerOptions = options;
+      this.dataExtent = null;
+      if (provider) this.clearLiveData();
+      this.loadOverview();
+      if (!provider) return;
+      this.loadExtent();
+
+      const { debounceMs = 150, binsPerPixel = 1, sampleRate, algorithm } = options;
+
+      // Animation frames are not fetched individually; the target is fetched when the animation starts
+      const rangeChanges$ = merge(
+          this.range$.pipe(filter(() => !this.animator.active)),
+          this.animationFetch$
+      ).pipe(
+          // Y-only changes (autoscale, vertical pan) never need new data
+          distinctUntilChanged((a, b) => a.start === b.start && a.end === b.end)
+      );
+      const refreshes$ = this.refresh$.pipe(map(() => this.range$.getValue()));
+
+      this.providerSub = merge(rangeChanges$, refreshes$).pipe(
+          debounceTime(debounceMs),
+          map(range => this.createRequest(range, binsPerPixel, sampleRate, algorithm)),
+          switchMap(request => this.fetchChunk(provider, request)),
+          takeUntil(this.destroy$)
+      ).subscribe(chunk => this.setData(chunk));
+  }
+
+  /**
+   * Re-fetches the current range from the data provider (e.g. after the source data changed).
+   */
+  public refreshData(): void {
+      this.loadExtent();
+      this.loadOverview();
+      this.refresh$.next();
+  }
+
+  /**
+   * Shows an overview of the whole dataset in `container` (a strip under the plot) with a
+   * brush for the visible range, drawn by the same renderer class as the plot; null removes it.
+   * The overview is fetched from the data provider once (per provider / refreshData) at about
+   * one bin per pixel of the strip.
+   */
+  public setNavigator(container: HTMLElement | null): void {
+      this.navigatorContainer = container;
+      this.createNavigator();
+  }
+
+  private createNavigator(): void {
+      this.navigator?.destroy();
+      this.navigator = null;
+      if (!this.navigatorContainer || !this.rendererConstructor) return;
+      try {
+          this.navigator = new Navigator(this.navigatorContainer, this, this.rendererConstructor,
+              (range, chunk) => this.fitRange(range, chunk));
+          this.loadOverview();
+      } catch (err) {
+          this.error$.next(err as Error);
+      }
+  }
+
+  private async loadOverview(): Promise<void> {
+      const navigator = this.navigator;
+      const provider = this.provider;
+      if (!navigator) return;
+      if (!provider) {
+          if (this.currentChunk) navigator.setData(this.currentChunk);
+          return;
+      }
+      try {
+          const extent = await provider.getExtent?.();
+          if (!extent || provider !== this.provider || navigator !== this.navigator) return;
+          // The strip may not be laid out yet; it is as wide as the plot
+          const width = Math.max(1, navigator.width || this.width);
+          const binSize = Math.max(1, Math.ceil((extent.end - extent.start) / width));
+          const chunk = await provider.fetchChunk({
+              start: extent.start,
+              end: extent.end,
+              binSize,
+              sampleRate: this.providerOptions.sampleRate,
+              algorithm: this.providerOptions.algorithm
+          });
+          if (provider !== this.provider || navigator !== this.navigator) return; // Replaced meanwhile
+          navigator.setData(chunk as DataChunk<unknown>);
+      } catch (err) {
+          this.error$.next(err instanceof Error ? err : new Error(String(err)));
+      }
+  }
+
+  /**
+   * Fetches the provider's extent and re-applies the constraints once it is known.
+   */
+  private async loadExtent(): Promise<void> {
+      const provider = this.provider;
+      if (!provider?.getExtent) return;
+      try {
+          const extent = await provider.getExtent();
+          if (provider !== this.provider) return; // Replaced meanwhile
+          this.dataExtent = extent;
+          this.updateRange(this.range$.getValue());
+      } catch (err) {
+          this.error$.next(err instanceof Error ? err : new Error(String(err)));
+      }
+  }
+
+  private createRequest(
+      range: ViewportRange,
+      binsPerPixel: number,
+      sampleRate?: number,
+      algorithm?: DownsampleAlgorithm
+  ): DataRequest {
+      const targetBins = Math.max(1, this.width * binsPerPixel);
+      const binSize = Math.max(1, Math.ceil((range.end - range.start) / targetBins));
+      return { start: range.start, end: range.end, binSize, sampleRate, algorithm };
+  }
+
+  private fetchChunk<TData>(provider: DataProvider<TData>, request: DataRequest): Observable<DataChunk<TData>> {
+      return new Observable<DataChunk<TData>>(subscriber => {
+          const controller = new AbortController();
+
+          // A provider throwing synchronously takes the rejection path too, instead of erroring
+          // the request stream and ending data loading
+          Promise.resolve().then(() => provider.fetchChunk(request, controller.signal)).then(
+              chunk => {
+                  subscriber.next(chunk);
+                  subscriber.complete();
+              },
+              err => {
+                  // Aborted requests were superseded, not failed
+                  if (!controller.signal.aborted) {
+                      this.error$.next(err instanceof Error ? err : new Error(String(err)));
+                  }
+                  subscriber.complete();
+              }
+          );
+
+          // Unsubscribing (switchMap on a newer request, destroy) cancels this one
+          return () => controller.abort();
+      });
+  }
+
+  /**
+   * Sets the series metadata, matched to the chunk's series by index.
+   * Series without an entry get a default name and color.
+   */
+  public setSeries(series: SeriesConfig[]): void {
+      this.applySeries(series);
+  }
+
+  public setSeriesVisible(seriesIndex: number, visible: boolean): void {
+      const series = this.series$.getValue().slice();
+      if (!series[seriesIndex] || series[seriesIndex].visible === visible) return;
+      series[seriesIndex] = { ...series[seriesIndex], visible };
+      if (!visible && this.highlightedSeries === seriesIndex) this.highlightSeries(null);
+      this.applySeries(series);
+  }
+
+  public toggleSeries(seriesIndex: number): void {
+      const series = this.series$.getValue()[seriesIndex];
+      if (series) this.setSeriesVisible(seriesIndex, series.visible === false);
+  }
+
+  /**
+   * Emphasizes one series and dims the others. Pass null to clear.
+   */
+  public highlightSeries(seriesIndex: number | null): void {
+      if (seriesIndex === this.highlightedSeries) return;
+      this.highlightedSeries = seriesIndex;
+      this.renderer?.setHighlight(seriesIndex);
+  }
+
+  private applySeries(series: SeriesConfig[]): void {
+      const count = Math.max(series.length, this.currentChunk?.data.length ?? 0);
+      const resolved: SeriesConfig[] = [];
+      for (let i = 0; i < count; i++) resolved.push(resolveSeries(series[i], i));
+
+      this.series$.next(resolved);
+      this.renderer?.setSeries(resolved);
+
+      // Vertices are built in the scale of each series' axis, which may have changed
+      if (this.currentChunk && this.hasNonLinearAxes()) {
+          this.renderer?.setData(this.currentChunk);
+      }
+
+      // Visibility affects the fitted extent
+      if (this.getAutoscaleMode() === 'always') {
+          this.updateRange(this.range$.getValue());
+      }
+  }
+
+  /**
+   * Declares the Y axes (the first one is the primary axis) and seeds their ranges
+   * from `yStart / yEnd` where given. Series are assigned through `SeriesConfig.axisId`.
+   */
+  public setYAxes(axes: YAxisConfig[]): void {
+      const cur = this.range$.getValue();
+      const oldAxes = this.config$.getValue().yAxes;
+      this.updateConfig({ yAxes: axes } as Partial<TConfig>);
+
+      let range: ViewportRange = { start: cur.start, end: cur.end, yStart: cur.yStart, yEnd: cur.yEnd };
+      for (const axis of resolveAxes(axes)) {
+          const seeded = (axis.yStart !== undefined && axis.yEnd !== undefined)
+              ? { yStart: axis.yStart, yEnd: axis.yEnd }
+              : resolveAxisRange(cur, axis.id, oldAxes);
+          range = withAxisRange(range, axis.id, seeded, axes);
+      }
+      this.updateRange(range);
+
+      // Axis scales may have changed
+      if (this.currentChunk) this.setData(this.currentChunk);
+  }
+
+  /**
+   * Sets the Y scale of every axis without its own `scale`. Vertices are rebuilt in the
+   * new scale; on a log scale a manual range that reaches zero or below is raised to
+   * stay above zero.
+   */
+  public setYScale(type: ScaleType): void {
+      if (type === (this.config$.getValue().yScale ?? 'linear')) return;
+      this.updateConfig({ yScale: type } as Partial<TConfig>);
+
+      const config = this.config$.getValue();
+      let range = this.range$.getValue();
+      for (const axis of resolveAxes(config.yAxes)) {
+          if (resolveAxisScale(config, axis.id).type !== 'log') continue;
+          const { yStart, yEnd } = resolveAxisRange(range, axis.id, config.yAxes);
+          if (yStart > 0) continue;
+          const top = yEnd > 0 ? yEnd : 1;
+          range = withAxisRange(range, axis.id, { yStart: Math.max(top * 1e-6, LOG_FLOOR), yEnd: top }, config.yAxes);
+      }
+      this.updateRange(range);
+
+      if (this.currentChunk) this.setData(this.currentChunk);
+  }
+
+  private hasNonLinearAxes(): boolean {
+      const config = this.config$.getValue();
+      return resolveAxes(config.yAxes).some(axis => resolveAxisScale(config, axis.id).type !== 'linear');
+  }
+
+  private isSeriesVisible(seriesIndex: number): boolean {
+      return this.series$.getValue()[seriesIndex]?.visible !== false;
+  }
+
+  /**
+   * Looks up the per-series values at X in the loaded chunk, and the events within
+   * `eventTolerance` (data units) of X, and emits them on hover$.
+   * Hidden series are omitted. Pass null to clear the hover state.
+   */
+  public updateHover(x: number | null, eventTolerance = 0): HoverInfo | null {
+      let info: HoverInfo | null = null;
+      if (x !== null && (this.currentChunk || this.events.length > 0)) {
+          const seriesValues = this.currentChunk
+              ? sampleAt(this.currentChunk, x).filter(v => this.isSeriesVisible(v.seriesIndex))
+              : [];
+          const events = eventsNear(this.events, x, eventTolerance);
+          info = events.length > 0 ? { x, seriesValues, events } : { x, seriesValues };
+      }
+      this.hover$.next(info);
+      return info;
+  }
+
+  /**
+   * Point-in-time events, drawn as vertical lines with an icon; their labels show in the crosshair tooltip.
+   */
+  public setEvents(events: EventAnnotation[]): void {
+      this.events = sortEvents(events);
+      this.renderer?.setEvents(this.events);
+  }
+
+  public getEvents(): EventAnnotation[] {
+      return this.events;
+  }
+
+  /**
+   * Horizontal reference lines (alarm limits, setpoints) on the Y axes.
+   */
+  public setThresholds(thresholds: ThresholdLine[]): void {
+      this.thresholds = thresholds;
+      this.renderer?.setThresholds(thresholds);
+  }
+
+  public getThresholds(): ThresholdLine[] {
+      return this.thresholds;
+  }
+
+  /**
+   * Replaces all markers (no marker events). Markers without an id get one.
+   */
   public setMarkers(markers: MarkerConfig[]): void {
+      const withIds = markers.map(m => this.withMarkerId(m));
+      if (!withIds.some(m => m.id === this.selectedMarkerId)) this.selectedMarkerId = null;
+      this.renderer?.setSelectedMarker(this.selectedMarkerId);
+      this.applyMarkers(withIds);
+  }
+
+  public getMarker(id: string): MarkerConfig | undefined {
+      return this.markers$.getValue().find(m => m.id === id);
+  }
+
+  public addMarker(marker: MarkerConfig): MarkerConfig {
+      const created = this.withMarkerId(marker);
+      this.applyMarkers([...this.markers$.getValue(), created]);
+      this.markerEvents$.next({ type: 'created', marker: created });
+      return created;
+  }
+
+  /**
+   * Changes a marker's range or label; other fields (metadata) are kept.
+   */
+  public updateMarker(id: string, changes: Partial<MarkerConfig>): void {
+      const updated = this.replaceMarker(id, changes);
+      if (updated) this.markerEvents$.next({ type: 'updated', marker: updated });
+  }
+
+  /**
+   * Like updateMarker, without an event: live feedback while a marker is dragged.
+   * The drag ends with updateMarker.
+   */
+  public previewMarker(id: string, changes: Partial<MarkerConfig>): void {
+      this.replaceMarker(id, changes);
+  }
+
+  public deleteMarker(id: string): void {
+      const marker = this.getMarker(id);
+      if (!marker) return;
+      if (id === this.selectedMarkerId) this.selectMarker(null);
+      this.applyMarkers(this.markers$.getValue().filter(m => m.id !== id));
+      this.markerEvents$.next({ type: 'deleted', marker });
+  }
+
+  public selectMarker(id: string | null): void {
+      if (id === this.selectedMarkerId) return;
+      const marker = id === null ? null : this.getMarker(id) ?? null;
+      this.selectedMarkerId = marker?.id ?? null;
+      this.renderer?.setSelectedMarker(this.selectedMarkerId);
+      this.markerEvents$.next({ type: 'selected', marker });
+  }
+
+  public getSelectedMarkerId(): string | null {
+      return this.selectedMarkerId;
+  }
+
+  private replaceMarker(id: string, changes: Partial<MarkerConfig>): MarkerConfig | null {
+      const markers = this.markers$.getValue();
+      const index = markers.findIndex(m => m.id === id);
+      if (index < 0) return null;
+
+      const updated = { ...markers[index], ...changes, id };
+      const next = markers.slice();
+      next[index] = updated;
+      this.applyMarkers(next);
+      return updated;
+  }
+
+  private applyMarkers(markers: MarkerConfig[]): void {
+      this.markers$.next(markers);
       this.renderer?.setMarkers(markers);
   }
 
+  private withMarkerId(marker: MarkerConfig): MarkerConfig {
+      return marker.id ? marker : { ...marker, id: `marker-${this.nextMarkerId++}` };
+  }
+
+  /**
+   * Exports the numbers behind the chart for [start, end] (default: the visible range) as CSV or JSON.
+   * Native resolution fetches raw samples from the data provider in pages sized to the data density;
+   * text is generated in batches with the event loop yielded in between, so large selections
+   * do not freeze the page. Abort through `signal`.
+   */
+  public async exportData(options: DataExportOptions = {}): Promise<Blob> {
+      const range = this.range$.getValue();
+      const {
+          format = 'csv',
+          start = range.start,
+          end = range.end,
+          resolution = 'native',
+          includeHidden = false,
+          onProgress,
+          signal
+      } = options;
+
+      const series = this.series$.getValue();
+      const indices = series.map((_, i) => i).filter(i => includeHidden || this.isSeriesVisible(i));
+      const exporter = new DataExporter(format, series, indices, this.config$.getValue().xScale === 'time');
+      const parts: string[] = [];
+
+      const write = async (chunk: DataChunk<unknown>, from: number, to: number, includeEnd: boolean) => {
+          for (const text of exporter.write(chunk as DataChunk<ArrayLike<number>>, from, to, includeEnd)) {
+              parts.push(text);
+              await yieldToEventLoop();
+              signal?.throwIfAborted();
+          }
+      };
+
+      const provider = this.provider;
+      const { binsPerPixel = 1, sampleRate, algorithm } = this.providerOptions;
+      if (!provider) {
+          if (this.currentChunk) await write(this.currentChunk, start, end, true);
+      } else if (resolution === 'displayed') {
+          // The bin size of the current view, applied to the exported interval
+          const request = { ...this.createRequest(range, binsPerPixel, sampleRate, algorithm), start, end };
+          await write(await provider.fetchChunk(request, signal), start, end, true);
+      } else {
+          let from = start;
+          let pageSpan = EXPORT_PAGE_ROWS;
+          do {
+              const to = Math.min(end, from + pageSpan);
+              const before = exporter.rowsWritten;
+              const chunk = await provider.fetchChunk({ start: from, end: to, binSize: 1, sampleRate }, signal);
+              await write(chunk, from, to, to >= end);
+
+              // Resize the next page to about EXPORT_PAGE_ROWS samples
+              const rows = exporter.rowsWritten - before;
+              pageSpan *= rows > 0 ? Math.min(10, Math.max(0.1, EXPORT_PAGE_ROWS / rows)) : 10;
+              onProgress?.((to - start) / (end - start || 1));
+              from = to;
+          } while (from < end);
+      }
+
+      onProgress?.(1);
+      parts.push(exporter.finish());
+      return new Blob(parts, { type: format === 'csv' ? 'text/csv' : 'application/json' });
+  }
+
+  /**
+   * Renders the current view offscreen at any size: a PNG with the data, grid, markers and
+   * labels composited, or an SVG with the series as vector paths.
+   */
+  public async exportImage(options: ImageExportOptions = {}): Promise<Blob> {
+      const renderer = this.renderer;
+      if (!renderer) throw new Error('GraphEngine.exportImage: no renderer is set');
+
+      const {
+          format = 'png',
+          width = this.container.clientWidth,
+          height = this.container.clientHeight,
+          scale = 1
+      } = options;
+      const range = this.range$.getValue();
+
+      if (format === 'svg') {
+          const lineWidth = this.config$.getValue().lineWidth ?? 1;
+          const svg = renderSvg(
+              renderer, this.currentChunk, this.markers$.getValue(), this.events, this.thresholds, range, width, height, lineWidth
+          );
+          return new Blob([svg], { type: 'image/svg+xml' });
+      }
+
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.round(width * scale);
+      canvas.height = Math.round(height * scale);
+      const ctx = canvas.getContext('2d');
+      if (!ctx) throw new Error('GraphEngine.exportImage: 2D context is not available');
+      renderer.renderToContext(ctx, width, height, scale);
+
+      return new Promise((resolve, reject) => canvas.toBlob(
+          blob => blob ? resolve(blob) : reject(new Error('GraphEngine.exportImage: PNG encoding failed')),
+          'image/png'
+      ));
+  }
+
   public resize(width: number, height: number): void {
+      const widthChanged = width !== this.width;
+      this.width = width;
       this.renderer?.resize(width, height);
+
+      // The bin size depends on the pixel width (the data itself and the overview did not change)
+      if (widthChanged) this.refresh$.next();
   }
 
-  public setRange(start: number, end: number): void {
-      const cur = this.range$.getValue();
-      this.range$.next({ ...cur, start, end });
+  /**
+   * Moves the view to [start, end] and records it in the view history.
+   */
+  public setRange(start: number, end: number, options: RangeChangeOptions = {}): void {
+      const range = { ...this.getTargetRange(), start, end };
+      this.recordView();
+      if (options.animate) {
+          this.animateTo(range, options.duration);
+      } else {
+          this.updateRange(range);
+      }
+      this.recordView();
+  }
+
+  /**
+   * Records the current range as a view history entry. Input gestures call this when
+   * they start and once they are committed (box / X selection, settled wheel zoom);
+   * setRange records automatically.
+   */
+  public recordView(): void {
+      this.history.record(this.getTargetRange(), this.getAutoscaleMode() === 'always');
+  }
+
+  /**
+   * Returns to the previous recorded view. Changes that were never recorded
+   * (e.g. a pan) are undone first.
+   */
+  public back(): void {
+      const current = this.history.current();
+      const range = this.getTargetRange();
+      const uncommitted = current && !isSameView(current, range, this.getAutoscaleMode() === 'always');
+      const target = uncommitted ? current : this.history.back();
+      if (target) this.updateRange(target);
+  }
+
+  public forward(): void {
+      const target = this.history.forward();
+      if (target) this.updateRange(target);
+  }
+
+  /**
+   * Shows the whole X extent of the data, as reported by the data provider or,
+   * without one, covered by the loaded chunk. The Y range is fitted unless autoscale
+   * already handles it.
+   */
+  public async resetToExtent(): Promise<void> {
+      let extent: DataExtent | null = null;
+      try {
+          extent = await this.getDataExtent();
+      } catch (err) {
+          this.error$.next(err instanceof Error ? err : new Error(String(err)));
+      }
+      if (!extent || !(extent.end > extent.start)) return;
+
+      let range: ViewportRange = { ...this.getTargetRange(), start: extent.start, end: extent.end };
+      if (this.getAutoscaleMode() !== 'always') range = this.fitRange(range);
+
+      this.recordView();
+      this.animateTo(range);
+      this.recordView();
+  }
+
+  private async getDataExtent(): Promise<DataExtent | null> {
+      const fromProvider = this.provider?.getExtent ? await this.provider.getExtent() : null;
+      if (fromProvider) return fromProvider;
+      return this.currentChunk ? { start: this.currentChunk.start, end: this.currentChunk.end } : null;
+  }
+
+  /**
+   * Pushes a new viewport range. All range changes (input, host) should go
+   * through here so that the constraints and autoscale are applied before the range is emitted.
+   */
+  public updateRange(range: ViewportRange): void {
+      this.stopAnimation();
+      this.applyRange(this.constrain(range));
+  }
+
+  /**
+   * Transitions to `range` (after applying the constraints) over `duration` ms and returns
+   * the range it ends at. Any other range change interrupts the transition; starting
+   * another one continues from the current frame. Data is fetched once for the target,
+   * not per frame.
+   */
+  public animateTo(range: ViewportRange, duration = DEFAULT_ANIMATION_MS): ViewportRange {
+      const target = this.constrain(range);
+      if (this.config$.getValue().animations === false || duration <= 0) {
+          this.stopAnimation();
+          this.applyRange(target);
+          return target;
+      }
+      this.animator.start(this.range$.getValue(), target, duration);
+      this.animationFetch$.next(target);
+      return target;
+  }
+
+  /**
+   * Stops a running transition where it is.
+   */
+  public stopAnimation(): void {
+      if (!this.animator.active) return;
+      this.animator.stop();
+      this.animationFetch$.next(this.range$.getValue());
+  }
+
+  /**
+   * The range the view is heading to: the target of a running transition, else the current range.
+   */
+  public getTargetRange(): ViewportRange {
+      return this.animator.target ?? this.range$.getValue();
+  }
+
+  private constrain(range: ViewportRange): ViewportRange {
+      return constrainRange(range, this.range$.getValue(), this.getConstraints(), this.config$.getValue().yAxes);
+  }
+
+  private applyRange(range: ViewportRange): void {
+      if (this.getAutoscaleMode() === 'always') {
+          range = this.fitRange(range);
+      }
+      this.range$.next(range);
+  }
+
+  /**
+   * The configured constraints, with the extent defaulting to the data provider's extent
+   * or, without a provider, to the loaded chunk.
+   */
+  public getConstraints(): ViewConstraints {
+      const constraints = this.config$.getValue().constraints ?? {};
+      const chunk = this.currentChunk;
+      const extent = constraints.extent
+          ?? this.dataExtent
+          ?? (!this.provider && chunk ? { start: chunk.start, end: chunk.end } : undefined);
+      return { ...constraints, extent: extent ?? undefined };
+  }
+
+  public setConstraints(constraints: ViewConstraints): void {
+      this.updateConfig({ constraints } as Partial<TConfig>);
+      this.updateRange(this.range$.getValue());
+  }
+
+  public getAutoscaleMode(): AutoscaleMode {
+      return this.config$.getValue().autoscaleY ?? 'manual';
+  }
+
+  public setAutoscale(mode: AutoscaleMode): void {
+      if (mode === this.getAutoscaleMode()) return;
+      this.updateConfig({ autoscaleY: mode } as Partial<TConfig>);
+      if (mode === 'always') {
+          this.updateRange(this.range$.getValue());
+      } else if (mode === 'once') {
+          this.autoscaleOnData();
+      }
+  }
+
+  /**
+   * Fits the Y range to the data currently visible in the X window (one shot).
+   */
+  public fitY(): void {
+      this.range$.next(this.fitRange(this.range$.getValue()));
+  }
+
+  private fitRange(range: ViewportRange, chunk = this.currentChunk): ViewportRange {
+      if (!chunk) return range;
+
+      const config = this.config$.getValue();
+      const { autoscalePadding: padding = 0.05, yAxes } = config;
+      const series = this.series$.getValue();
+      let fitted = range;
+
+      // Each axis is fitted to the visible series assigned to it, padded in scaled space
+      for (const axis of resolveAxes(yAxes)) {
+          if (axis.autoscale === false) continue;
+          const scale = resolveAxisScale(config, axis.id);
+          const extent = computeYExtent(chunk, range.start, range.end,
+              i => this.isSeriesVisible(i) && seriesAxisId(series[i], yAxes) === axis.id, scale);
+          if (!extent) continue;
+          const padded = padExtent(extent.min, extent.max, padding);
+          fitted = withAxisRange(fitted, axis.id, {
+              yStart: scale.inverse(padded.yStart),
+              yEnd: scale.inverse(padded.yEnd)
+          }, yAxes);
+      }
+      return fitted;
+  }
+
+  private autoscaleOnData(): void {
+      const mode = this.getAutoscaleMode();
+      if (mode === 'manual') return;
+
+      const range = this.range$.getValue();
+      const fitted = this.fitRange(range);
+      if (fitted === range) return; // Nothing visible to fit to yet
+
+      this.range$.next(fitted);
+      if (mode === 'once') {
+          this.updateConfig({ autoscaleY: 'manual' } as Partial<TConfig>);
+      }
   }
 
   public setMode(mode: InteractionMode): void {
       this.inputHandler.setMode(mode);
   }
 
+  /**
+   * Shows the crosshair at data X as if the pointer were there (null hides it).
+   * Used by GraphGroup to mirror the cursor of a linked chart.
+   */
+  public showCrosshairAt(x: number | null): void {
+      this.inputHandler.showCrosshairAt(x);
+  }
+
   public updateConfig(partial: Partial<TConfig>): void {
       this.config$.next({ ...this.config$.value, ...partial });
   }
 
   public destroy(): void {
+    this.animator.stop();
     this.rangeSub.unsubscribe();
+    this.legendSub.unsubscribe();
+    this.providerSub?.unsubscribe();
     this.destroy$.next();
     this.destroy$.complete();
+    this.navigator?.destroy();
+    this.navigator = null;
     this.renderer?.destroy();
     this.renderer = null;
+    this.inputHandler.destroy();
+    this.legend.destroy();
+    this.hover$.complete();
+    this.series$.complete();
+    this.history$.complete();
+    this.markers$.complete();
+    this.markerEvents$.complete();
+    this.follow$.complete();
     this.range$.complete();
     this.config$.complete();
   }
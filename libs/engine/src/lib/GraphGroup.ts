@@ -0,0 +1,73 @@
+import { Subscription, skip } from 'rxjs';
+import { GraphEngine } from './GraphEngine';
+import { HoverInfo, ViewportRange } from './interfaces';
+
+/**
+ * Links several engines showing the same X span (e.g. stacked channels of a dashboard).
+ * An X range change in one member (pan, zoom, box / X selection, history, animation frames)
+ * is applied to all others, each keeping its own Y range, and the crosshair follows the
+ * pointer across all members.
+ */
+export class GraphGroup {
+    private readonly members = new Map<GraphEngine, Subscription>();
+
+    // Set while a change is pushed to the other members, so their echoes are not propagated again
+    private syncing = false;
+
+    public get engines(): GraphEngine[] {
+        return [...this.members.keys()];
+    }
+
+    /**
+     * Links an engine; it jumps to the X range of the group.
+     */
+    public add(engine: GraphEngine): void {
+        if (this.members.has(engine)) return;
+
+        const [leader] = this.engines;
+        if (leader) this.applyX(engine, leader.range$.getValue());
+
+        const sub = new Subscription();
+        // range$ replays the current range on subscribe, which the group already shows
+        sub.add(engine.range$.pipe(skip(1)).subscribe(range => this.onRange(engine, range)));
+        sub.add(engine.hover$.subscribe(info => this.onHover(engine, info)));
+        this.members.set(engine, sub);
+    }
+
+    public remove(engine: GraphEngine): void {
+        this.members.get(engine)?.unsubscribe();
+        this.members.delete(engine);
+    }
+
+    public destroy(): void {
+        for (const sub of this.members.values()) sub.unsubscribe();
+        this.members.clear();
+    }
+
+    private onRange(source: GraphEngine, range: ViewportRange): void {
+        this.propagate(source, engine => this.applyX(engine, range));
+    }
+
+    private onHover(source: GraphEngine, info: HoverInfo | null): void {
+        this.propagate(source, engine => engine.showCrosshairAt(info ? info.x : null));
+    }
+
+    private propagate(source: GraphEngine, apply: (engine: GraphEngine) => void): void {
+        if (this.syncing) return;
+        this.syncing = true;
+        try {
+            for (const engine of this.members.keys()) {
+                if (engine !== source) apply(engine);
+            }
+        } finally {
+            this.syncing = false;
+        }
+    }
+
+    // A member's own constraints may still clamp the range; it then differs from the source
+    private applyX(engine: GraphEngine, { start, end }: ViewportRange): void {
+        const current = engine.range$.getValue();
+        if (current.start === start && current.end === end) return;
+        engine.updateRange({ ...current, start, end });
+    }
+}
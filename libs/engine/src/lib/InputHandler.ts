@@ -1,23 +1,86 @@
 
 import { GraphEngine } from './GraphEngine';
-import { ViewportRange } from './interfaces';
+import { MarkerConfig, ViewportRange } from './interfaces';
+import { remapYRanges } from './ViewportUtils';
+import { CrosshairOverlay } from './CrosshairOverlay';
+import { MarkerLabelEditor } from './MarkerLabelEditor';
+import { EVENT_ICON_RADIUS } from './AnnotationLayout';
 
 export enum InteractionMode {
     PAN = 'pan',
     BOX_ZOOM = 'box-zoom',
-    X_ZOOM = 'x-zoom' // X-scale only
+    X_ZOOM = 'x-zoom', // X-scale only
+    MARKER_EDIT = 'marker-edit' // Create, move, resize and delete marker regions
 }
 
+type Point = { x: number; y: number; imgW: number; imgH: number };
+
+type Gesture = 'none' | 'pan' | 'box' | 'x-band' | 'pinch' | 'marker-create' | 'marker-move' | 'marker-resize';
+
+// The part of a marker under the pointer: an edge resizes, the body moves
+type MarkerHit = { marker: MarkerConfig; part: 'start' | 'end' | 'body' };
+
 export class InputHandler {
-    private isDragging = false;
+    private gesture: Gesture = 'none';
     private startX = 0;
     private startY = 0;
     private initialRange: ViewportRange | null = null;
+    private readonly Y_DRAG_THRESHOLD = 10; // px
+    
+    // Active pointers (container coordinates), captured to the container for the whole gesture
+    private pointers = new Map<number, { x: number; y: number }>();
+    
+    // Pinch / two-finger pan: distance and midpoint of the two pointers when it started
+    private pinchStartDist = 0;
+    private pinchStartMid = { x: 0, y: 0 };
+    
+    // Long-press on touch / pen starts a box selection
+    private longPressTimer: ReturnType<typeof setTimeout> | null = null;
+    private readonly LONG_PRESS_DELAY = 500; // ms
+    private readonly LONG_PRESS_TOLERANCE = 10; // px
+    
+    private wheelSettleTimer: ReturnType<typeof setTimeout> | null = null;
+    private readonly WHEEL_SETTLE_DELAY = 300; // ms
+    // Each wheel event eases towards the accumulated target instead of jumping
+    private readonly WHEEL_ANIMATION_DURATION = 120; // ms
+    
+    // Kinetic panning: pointer positions of the last moments of a pan give the release velocity
+    private panSamples: { t: number; x: number; y: number }[] = [];
+    private readonly VELOCITY_WINDOW = 100; // ms
+    private readonly MOMENTUM_MIN_SPEED = 0.3; // px/ms
+    private readonly MOMENTUM_DURATION = 800; // ms
+    
+    // Narrower X selections are treated as clicks
+    private readonly X_BAND_MIN_WIDTH = 8; // px
+    
+    // Marker being moved / resized, as it was when the drag started
+    private editMarker: MarkerHit | null = null;
+    private readonly MARKER_EDGE_TOLERANCE = 6; // px
     
     // Selection Box Overlay
     private selectionBox: HTMLDivElement;
+    private xBand: HTMLDivElement;
+    private crosshair: CrosshairOverlay;
+    private crosshairVisible = false;
+    private labelEditor: MarkerLabelEditor;
     
     public mode: InteractionMode = InteractionMode.PAN;
+    
+    // Bound listeners, kept for removal in destroy()
+    private readonly listeners: [string, EventListener, AddEventListenerOptions?][] = [
+        ['pointerdown', e => this.onPointerDown(e as PointerEvent)],
+        ['pointermove', e => this.onPointerMove(e as PointerEvent)],
+        ['pointerup', e => this.onPointerUp(e as PointerEvent)],
+        ['pointercancel', e => this.onPointerCancel(e as PointerEvent)],
+        ['pointerleave', () => this.onLeave()],
+        ['wheel', e => this.onWheel(e as WheelEvent), { passive: false }],
+        ['dblclick', e => this.onDoubleClick(e as MouseEvent)],
+        ['keydown', e => this.onMarkerKey(e as KeyboardEvent)]
+    ];
+    // Attached to the window while a selection or marker drag is in progress, so Escape works wherever the focus is
+    private readonly onKeyDown = (e: KeyboardEvent) => {
+        if (e.key === 'Escape') this.cancelSelection();
+    };
 
     constructor(
         private container: HTMLElement,
@@ -34,18 +97,39 @@ export class InputHandler {
             zIndex: '100'
         });
         this.container.appendChild(this.selectionBox);
+        
+        // Full-height band for X-only selection
+        this.xBand = document.createElement('div');
+        Object.assign(this.xBand.style, {
+            position: 'absolute',
+            top: '0',
+            height: '100%',
+            borderLeft: '1px solid rgba(255, 170, 0, 0.8)',
+            borderRight: '1px solid rgba(255, 170, 0, 0.8)',
+            backgroundColor: 'rgba(255, 170, 0, 0.15)',
+            pointerEvents: 'none',
+            display: 'none',
+            zIndex: '100'
+        });
+        this.container.appendChild(this.xBand);
+        this.crosshair = new CrosshairOverlay(this.container);
+        this.labelEditor = new MarkerLabelEditor(this.container);
 
         this.bindEvents();
     }
     
     private bindEvents(): void {
-        this.container.addEventListener('mousedown', this.onMouseDown.bind(this));
-        window.addEventListener('mousemove', this.onMouseMove.bind(this));
-        window.addEventListener('mouseup', this.onMouseUp.bind(this));
-        this.container.addEventListener('wheel', this.onWheel.bind(this), { passive: false });
+        // Gestures are handled here, not by the browser (scrolling, native pinch zoom)
+        this.container.style.touchAction = 'none';
+        // Focusable, for the marker edit keys
+        if (!this.container.hasAttribute('tabindex')) this.container.tabIndex = -1;
+        this.container.style.outline = 'none';
+        for (const [type, listener, options] of this.listeners) {
+            this.container.addEventListener(type, listener, options);
+        }
     }
     
-    private getPoint(e: MouseEvent) {
+    private getPoint(e: { clientX: number; clientY: number }): Point {
         const rect = this.container.getBoundingClientRect();
         return {
             x: e.clientX - rect.left,
@@ -55,160 +139,552 @@ export class InputHandler {
         };
     }
 
-    // --- Mouse Down ---
-    private onMouseDown(e: MouseEvent): void {
-        this.isDragging = true;
+    // --- Pointer Down ---
+    private onPointerDown(e: PointerEvent): void {
+        if (e.pointerType === 'mouse' && e.button !== 0) return;
+        if (this.labelEditor.contains(e.target)) return;
+        
+        // Every move / up of this pointer is delivered to the container until it is released,
+        // even outside of it, so a drag can never be left dangling.
+        this.container.setPointerCapture(e.pointerId);
+        // Grabbing the plot stops a running zoom transition or momentum
+        this.engine.stopAnimation();
         const p = this.getPoint(e);
+        this.pointers.set(e.pointerId, { x: p.x, y: p.y });
+        this.clearCrosshair();
+        
+        if (this.pointers.size === 2) {
+            this.startPinch();
+        } else if (this.pointers.size === 1) {
+            this.startDrag(p, e);
+        }
+    }
+    
+    private startDrag(p: Point, e: PointerEvent): void {
         this.startX = p.x;
         this.startY = p.y;
         this.initialRange = { ...this.engine.range$.getValue() };
         
-        if (this.mode === InteractionMode.BOX_ZOOM) {
-            this.selectionBox.style.display = 'block';
-            this.updateSelectionBox(p.x, p.y, 0, 0);
+        if (this.mode === InteractionMode.MARKER_EDIT) {
+            this.startMarkerEdit(p);
+        } else if (this.mode === InteractionMode.BOX_ZOOM) {
+            this.startBox(p);
+        } else if (this.mode === InteractionMode.X_ZOOM || e.shiftKey) {
+            // Shift + drag selects an X band from pan mode too
+            this.startXBand(p);
+        } else {
+            this.gesture = 'pan';
+            this.panSamples = [{ t: e.timeStamp, x: p.x, y: p.y }];
+            if (e.pointerType !== 'mouse') {
+                this.longPressTimer = setTimeout(() => this.onLongPress(), this.LONG_PRESS_DELAY);
+            }
+        }
+    }
+    
+    private startBox(p: Point): void {
+        this.gesture = 'box';
+        this.startX = p.x;
+        this.startY = p.y;
+        this.selectionBox.style.display = 'block';
+        this.updateSelectionBox(p.x, p.y, 0, 0);
+        window.addEventListener('keydown', this.onKeyDown);
+    }
+    
+    private startXBand(p: Point): void {
+        this.gesture = 'x-band';
+        this.xBand.style.display = 'block';
+        this.updateXBand(p.x, 0);
+        window.addEventListener('keydown', this.onKeyDown);
+    }
+    
+    // Grab the marker under the pointer, or draw a new one from empty space
+    private startMarkerEdit(p: Point): void {
+        this.container.focus({ preventScroll: true });
+        const hit = this.hitMarker(p);
+        if (!hit) {
+            this.startXBand(p);
+            this.gesture = 'marker-create';
+            return;
+        }
+        this.engine.selectMarker(hit.marker.id ?? null);
+        this.editMarker = hit;
+        this.gesture = hit.part === 'body' ? 'marker-move' : 'marker-resize';
+        window.addEventListener('keydown', this.onKeyDown);
+    }
+    
+    /**
+     * Topmost marker under the pointer; the selected marker wins, so it stays grabbable where markers overlap.
+     */
+    private hitMarker(p: Point): MarkerHit | null {
+        const range = this.engine.range$.getValue();
+        const toPx = (x: number) => (x - range.start) / (range.end - range.start) * p.imgW;
+        const selectedId = this.engine.getSelectedMarkerId();
+        const markers = this.engine.markers$.getValue()
+            .slice()
+            .reverse()
+            .sort((a, b) => Number(b.id === selectedId) - Number(a.id === selectedId));
+        
+        for (const marker of markers) {
+            const x1 = toPx(marker.start);
+            const x2 = toPx(marker.end);
+            if (Math.abs(p.x - x1) <= this.MARKER_EDGE_TOLERANCE) return { marker, part: 'start' };
+            if (Math.abs(p.x - x2) <= this.MARKER_EDGE_TOLERANCE) return { marker, part: 'end' };
+            if (p.x > x1 && p.x < x2) return { marker, part: 'body' };
         }
+        return null;
+    }
+    
+    private hideSelection(): void {
+        this.selectionBox.style.display = 'none';
+        this.xBand.style.display = 'none';
+        window.removeEventListener('keydown', this.onKeyDown);
     }
     
-    // --- Mouse Move ---
-    private onMouseMove(e: MouseEvent): void {
-        if (!this.isDragging || !this.initialRange) return;
+    /**
+     * Aborts a box / X selection or a marker drag in progress (the marker goes back to where it was);
+     * the pointer stays captured but does nothing until released.
+     */
+    public cancelSelection(): void {
+        if (this.gesture === 'marker-move' || this.gesture === 'marker-resize') {
+            if (this.editMarker) {
+                const { id, start, end } = this.editMarker.marker;
+                if (id) this.engine.previewMarker(id, { start, end });
+            }
+            this.editMarker = null;
+        } else if (this.gesture !== 'box' && this.gesture !== 'x-band' && this.gesture !== 'marker-create') {
+            return;
+        }
+        this.hideSelection();
+        this.gesture = 'none';
+    }
+    
+    // A finger held still: undo any jitter pan and select a box from here instead
+    private onLongPress(): void {
+        this.longPressTimer = null;
+        if (this.gesture !== 'pan' || !this.initialRange) return;
+        this.engine.updateRange(this.initialRange);
+        
+        const rect = this.container.getBoundingClientRect();
+        this.startBox({ x: this.startX, y: this.startY, imgW: rect.width, imgH: rect.height });
+    }
+    
+    private cancelLongPress(): void {
+        if (this.longPressTimer === null) return;
+        clearTimeout(this.longPressTimer);
+        this.longPressTimer = null;
+    }
+    
+    private startPinch(): void {
+        this.cancelLongPress();
+        this.cancelSelection();
+        
+        const [a, b] = [...this.pointers.values()];
+        this.gesture = 'pinch';
+        this.engine.recordView();
+        this.initialRange = { ...this.engine.range$.getValue() };
+        this.pinchStartDist = Math.max(1, Math.hypot(b.x - a.x, b.y - a.y));
+        this.pinchStartMid = { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+    }
+    
+    // --- Pointer Move ---
+    private onPointerMove(e: PointerEvent): void {
         const p = this.getPoint(e);
+        
+        if (!this.pointers.has(e.pointerId)) {
+            // Not pressed: plain hover
+            if (e.pointerType === 'mouse') this.onHover(p);
+            return;
+        }
+        this.pointers.set(e.pointerId, { x: p.x, y: p.y });
+        
+        if (this.gesture === 'pinch') {
+            this.onPinchMove(p);
+            return;
+        }
+        if (!this.initialRange) return;
+        
         const dx = p.x - this.startX;
         const dy = p.y - this.startY; // positive down
+        
+        if (this.longPressTimer !== null && Math.hypot(dx, dy) > this.LONG_PRESS_TOLERANCE) {
+            this.cancelLongPress();
+        }
 
-        if (this.mode === InteractionMode.PAN) {
-            // Calculate scale
-            const currentRange = this.engine.range$.getValue();
-            const xRange = this.initialRange.end - this.initialRange.start;
-            
-            // X Pan
-            const unitsPerPixelX = xRange / p.imgW;
-            const newStart = this.initialRange.start - dx * unitsPerPixelX;
-            const newEnd = this.initialRange.end - dx * unitsPerPixelX;
-            
-            // Y Pan
-            const yStart = this.initialRange.yStart ?? -2000;
-            const yEnd = this.initialRange.yEnd ?? 2000;
-            const yRange = yEnd - yStart;
-            
-            // ThreeJS: Y is up, Screen Y is down. dy > 0 (down) -> should mean moving UP in world?
-            // Dragging down moves view UP (camera moves down, so world moves up)
-            // Wait, dragging world. Dragging Mouse Down -> map moves Down.
-            // If I drag mouse down, I want to see what's above? No, standard pan: drag down -> view moves up (y increases).
-            // Actually standard map: Drag Down -> Map moves Down. Camera moves Up.
-            const unitsPerPixelY = yRange / p.imgH;
-            const newYStart = yStart + dy * unitsPerPixelY; 
-            const newYEnd = yEnd + dy * unitsPerPixelY;
-
-            this.engine.setRange(newStart, newEnd);
-            // We need setYRange or update range object
-            this.engine.range$.next({
-                start: newStart,
-                end: newEnd,
-                yStart: newYStart,
-                yEnd: newYEnd
-            });
-            
-        } else if (this.mode === InteractionMode.BOX_ZOOM) {
+        if (this.gesture === 'pan') {
+            this.addPanSample(e.timeStamp, p);
+            this.panBy(this.initialRange, dx, dy, p);
+        } else if (this.gesture === 'box') {
             this.updateSelectionBox(this.startX, this.startY, dx, dy);
+        } else if (this.gesture === 'x-band' || this.gesture === 'marker-create') {
+            this.updateXBand(this.startX, dx);
+        } else if (this.gesture === 'marker-move' || this.gesture === 'marker-resize') {
+            this.dragMarker(p, dx);
         }
     }
     
-    // --- Mouse Up ---
-    private onMouseUp(e: MouseEvent): void {
-        if (!this.isDragging) return;
-        this.isDragging = false;
-        
-        if (this.mode === InteractionMode.BOX_ZOOM) {
-            this.selectionBox.style.display = 'none';
-            
-            const p = this.getPoint(e);
-            
-            // Threshold Check
-            if (Math.abs(p.x - this.startX) < 5 && Math.abs(p.y - this.startY) < 5) return;
-            
-            // Calculate new range
-            const currentRange = this.engine.range$.getValue();
-            // Need current Y range too. If undefined, assume default?
-            const curYStart = currentRange.yStart ?? -2000;
-            const curYEnd = currentRange.yEnd ?? 2000;
-            
-            const xRange = currentRange.end - currentRange.start;
-            const yRange = curYEnd - curYStart;
-            
-            // Screen coords (0,0) is top-left
-            const x1 = Math.min(this.startX, p.x);
-            const x2 = Math.max(this.startX, p.x);
-            const y1 = Math.min(this.startY, p.y); // Top pixel
-            const y2 = Math.max(this.startY, p.y); // Bottom pixel
-            
-            const leftRatio = x1 / p.imgW;
-            const rightRatio = x2 / p.imgW;
-            
-            // Y: 0 is Top (Max Y World), imgH is Bottom (Min Y World)
-            const topRatio = y1 / p.imgH;
-            const bottomRatio = y2 / p.imgH;
-            
-            const newStart = currentRange.start + leftRatio * xRange;
-            const newEnd = currentRange.start + rightRatio * xRange;
-            
-            // Y is inverted in screen vs world
-            // Screen Top (0) -> World Max
-            // Screen Bottom -> World Min
-            // newMax = curMax - topRatio * range
-            // newMin = curMax - bottomRatio * range
-            
-            const newYEnd = curYEnd - topRatio * yRange;
-            const newYStart = curYEnd - bottomRatio * yRange;
-            
-            this.engine.range$.next({
-                start: newStart,
-                end: newEnd,
-                yStart: newYStart,
-                yEnd: newYEnd
-            });
+    private dragMarker(p: Point, dx: number): void {
+        const id = this.editMarker?.marker.id;
+        if (!this.editMarker || !id) return;
+        const { marker, part } = this.editMarker;
+        const range = this.engine.range$.getValue();
+        const unitsPerPixelX = (range.end - range.start) / p.imgW;
+        
+        if (part === 'body') {
+            const shift = dx * unitsPerPixelX;
+            this.engine.previewMarker(id, { start: marker.start + shift, end: marker.end + shift });
+        } else {
+            // Dragging an edge past the other one flips the marker
+            const x = range.start + p.x * unitsPerPixelX;
+            const fixed = part === 'start' ? marker.end : marker.start;
+            this.engine.previewMarker(id, { start: Math.min(x, fixed), end: Math.max(x, fixed) });
         }
     }
     
-    // --- Wheel ---
-    private onWheel(e: WheelEvent): void {
+    private panBy(from: ViewportRange, dx: number, dy: number, p: Point): void {
+        // A deliberate vertical drag takes the Y axis away from autoscale;
+        // small jitter while panning X does not.
+        // A locked Y axis is not moved, so autoscale stays on.
+        const lockY = !!this.engine.getConstraints().lockY;
+        if (!lockY && this.engine.getAutoscaleMode() === 'always' && Math.abs(dy) > this.Y_DRAG_THRESHOLD) {
+            this.engine.setAutoscale('manual');
+        }
+
+        this.engine.updateRange(this.panRange(from, dx, dy, p));
+    }
+    
+    private panRange(from: ViewportRange, dx: number, dy: number, p: Point): ViewportRange {
+        // X Pan
+        const unitsPerPixelX = (from.end - from.start) / p.imgW;
+        
+        // Y Pan
+        // Dragging the pointer down moves the content down, i.e. the visible Y window moves up.
+        // Every axis moves by the same fraction of its span.
+        let yRanges = from;
+        if (this.engine.getAutoscaleMode() !== 'always') {
+            const shift = dy / p.imgH;
+            yRanges = remapYRanges(from, shift, 1 + shift, this.engine.config$.getValue());
+        }
+
+        return {
+            ...yRanges,
+            start: from.start - dx * unitsPerPixelX,
+            end: from.end - dx * unitsPerPixelX
+        };
+    }
+    
+    private addPanSample(t: number, p: Point): void {
+        this.panSamples.push({ t, x: p.x, y: p.y });
+        while (this.panSamples.length > 2 && t - this.panSamples[0].t > this.VELOCITY_WINDOW) {
+            this.panSamples.shift();
+        }
+    }
+    
+    // A pan released while still moving glides on, decelerating
+    private startMomentum(t: number, p: Point): void {
+        const first = this.panSamples[0];
+        const last = this.panSamples[this.panSamples.length - 1];
+        this.panSamples = [];
+        if (!first || !last || last.t <= first.t) return;
+        // The pointer was held still before release
+        if (t - last.t > this.VELOCITY_WINDOW / 2) return;
+        
+        const vx = (last.x - first.x) / (last.t - first.t);
+        const vy = (last.y - first.y) / (last.t - first.t);
+        if (Math.hypot(vx, vy) < this.MOMENTUM_MIN_SPEED) return;
+        
+        // easeOutCubic starts at 3x its average speed, so gliding v * duration / 3 continues at the release velocity
+        const glideTime = this.MOMENTUM_DURATION / 3;
+        const from = this.engine.range$.getValue();
+        this.engine.animateTo(this.panRange(from, vx * glideTime, vy * glideTime, p), this.MOMENTUM_DURATION);
+    }
+    
+    // Two fingers: the spread zooms X around the midpoint, moving the midpoint pans
+    private onPinchMove(p: Point): void {
+        if (!this.initialRange || this.pointers.size < 2) return;
+        const [a, b] = [...this.pointers.values()];
+        const dist = Math.max(1, Math.hypot(b.x - a.x, b.y - a.y));
+        const mid = { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+        
+        const from = this.initialRange;
+        const xRange = from.end - from.start;
+        const newRange = xRange * this.pinchStartDist / dist;
+        
+        // The data X under the starting midpoint stays under the current midpoint
+        const pivotX = from.start + (this.pinchStartMid.x / p.imgW) * xRange;
+        const newStart = pivotX - (mid.x / p.imgW) * newRange;
+        
+        const panned = { ...from, start: newStart, end: newStart + newRange };
+        this.panBy(panned, 0, mid.y - this.pinchStartMid.y, p);
+    }
+    
+    // --- Pointer Up ---
+    private onPointerUp(e: PointerEvent): void {
+        if (!this.pointers.has(e.pointerId)) return;
+        
+        if (this.pointers.size === 1) {
+            if (this.gesture === 'box') this.finishBox(this.getPoint(e));
+            else if (this.gesture === 'x-band') this.finishXBand(this.getPoint(e));
+            else if (this.gesture === 'marker-create') this.finishMarkerCreate(this.getPoint(e));
+            else if (this.gesture === 'marker-move' || this.gesture === 'marker-resize') this.finishMarkerDrag();
+            else if (this.gesture === 'pan') this.startMomentum(e.timeStamp, this.getPoint(e));
+        }
+        this.releasePointer(e.pointerId);
+    }
+    
+    private onPointerCancel(e: PointerEvent): void {
+        if (!this.pointers.has(e.pointerId)) return;
+        this.cancelSelection();
+        this.releasePointer(e.pointerId);
+    }
+    
+    private releasePointer(pointerId: number): void {
+        this.pointers.delete(pointerId);
+        if (this.container.hasPointerCapture(pointerId)) {
+            this.container.releasePointerCapture(pointerId);
+        }
+        this.cancelLongPress();
+        
+        if (this.gesture === 'pinch' && this.pointers.size < 2) {
+            this.engine.recordView();
+        }
+        
+        if (this.pointers.size === 1 && this.gesture === 'pinch') {
+            // Lifting one finger of a pinch continues as a pan from the remaining one
+            const [remaining] = [...this.pointers.values()];
+            this.startX = remaining.x;
+            this.startY = remaining.y;
+            this.initialRange = { ...this.engine.range$.getValue() };
+            this.panSamples = [];
+            this.gesture = 'pan';
+        } else if (this.pointers.size === 0) {
+            this.gesture = 'none';
+            this.initialRange = null;
+        }
+    }
+    
+    private finishXBand(p: Point): void {
+        this.hideSelection();
+        this.gesture = 'none';
+        
+        if (Math.abs(p.x - this.startX) < this.X_BAND_MIN_WIDTH) return;
+        
+        const currentRange = this.engine.range$.getValue();
+        const xRange = currentRange.end - currentRange.start;
+        const x1 = Math.max(0, Math.min(this.startX, p.x));
+        const x2 = Math.min(p.imgW, Math.max(this.startX, p.x));
+        
+        // Y is left alone (re-fitted when autoscale is 'always')
+        this.engine.recordView();
+        this.engine.animateTo({
+            ...currentRange,
+            start: currentRange.start + (x1 / p.imgW) * xRange,
+            end: currentRange.start + (x2 / p.imgW) * xRange
+        });
+        this.engine.recordView();
+    }
+    
+    private finishMarkerCreate(p: Point): void {
+        this.hideSelection();
+        this.gesture = 'none';
+        
+        // A click on empty space clears the selection
+        if (Math.abs(p.x - this.startX) < this.X_BAND_MIN_WIDTH) {
+            this.engine.selectMarker(null);
+            return;
+        }
+        
+        const range = this.engine.range$.getValue();
+        const unitsPerPixelX = (range.end - range.start) / p.imgW;
+        const marker = this.engine.addMarker({
+            start: range.start + Math.min(this.startX, p.x) * unitsPerPixelX,
+            end: range.start + Math.max(this.startX, p.x) * unitsPerPixelX,
+            label: `Marker ${this.engine.markers$.getValue().length + 1}`
+        });
+        this.engine.selectMarker(marker.id ?? null);
+    }
+    
+    private finishMarkerDrag(): void {
+        const original = this.editMarker?.marker;
+        this.editMarker = null;
+        this.hideSelection();
+        this.gesture = 'none';
+        if (!original?.id) return;
+        
+        // A click without movement only selects
+        const current = this.engine.getMarker(original.id);
+        if (!current || (current.start === original.start && current.end === original.end)) return;
+        this.engine.updateMarker(original.id, { start: current.start, end: current.end });
+    }
+    
+    // --- Marker Keys / Rename ---
+    private onMarkerKey(e: KeyboardEvent): void {
+        if (this.mode !== InteractionMode.MARKER_EDIT || this.gesture !== 'none') return;
+        const selectedId = this.engine.getSelectedMarkerId();
+        if (!selectedId) return;
+        
+        if (e.key === 'Delete' || e.key === 'Backspace') {
+            this.engine.deleteMarker(selectedId);
+        } else if (e.key === 'Escape') {
+            this.engine.selectMarker(null);
+        } else {
+            return;
+        }
         e.preventDefault();
+    }
+    
+    private onDoubleClick(e: MouseEvent): void {
+        if (this.mode !== InteractionMode.MARKER_EDIT || this.labelEditor.contains(e.target)) return;
         const p = this.getPoint(e);
+        const marker = this.hitMarker(p)?.marker;
+        if (!marker?.id) return;
+        
+        const id = marker.id;
+        const range = this.engine.range$.getValue();
+        const center = marker.start + (marker.end - marker.start) / 2;
+        const px = Math.min(p.imgW, Math.max(0, (center - range.start) / (range.end - range.start) * p.imgW));
+        this.engine.selectMarker(id);
+        this.labelEditor.open(px, marker.label, label => {
+            if (label !== this.engine.getMarker(id)?.label) this.engine.updateMarker(id, { label });
+        });
+    }
+    
+    private finishBox(p: Point): void {
+        this.hideSelection();
+        this.gesture = 'none';
+        
+        // Threshold Check
+        if (Math.abs(p.x - this.startX) < 5 && Math.abs(p.y - this.startY) < 5) return;
+        
+        // Calculate new range
         const currentRange = this.engine.range$.getValue();
         const xRange = currentRange.end - currentRange.start;
-        const zoomFactor = 1 + (e.deltaY * 0.001);
-        const pivotRatio = p.x / p.imgW;
-        const pivotX = currentRange.start + pivotRatio * xRange;
-        let newRange = xRange * zoomFactor;
         
-        // Clamp newRange (don't zoom in too far, don't zoom out too far)
-        const MAX_TOTAL_RANGE = 2000000; // 2M
-        const MIN_TOTAL_RANGE = 10;
+        // Screen coords (0,0) is top-left
+        const x1 = Math.min(this.startX, p.x);
+        const x2 = Math.max(this.startX, p.x);
+        const y1 = Math.min(this.startY, p.y); // Top pixel
+        const y2 = Math.max(this.startY, p.y); // Bottom pixel
         
-        if (newRange > MAX_TOTAL_RANGE) newRange = MAX_TOTAL_RANGE;
-        if (newRange < MIN_TOTAL_RANGE) newRange = MIN_TOTAL_RANGE;
+        const leftRatio = x1 / p.imgW;
+        const rightRatio = x2 / p.imgW;
         
-        let newStart = pivotX - pivotRatio * newRange;
-        let newEnd = pivotX + (1 - pivotRatio) * newRange;
+        // Y: 0 is Top (Max Y World), imgH is Bottom (Min Y World)
+        const topRatio = y1 / p.imgH;
+        const bottomRatio = y2 / p.imgH;
         
-        // Clamp positions to stay somewhat near the data (0 to 1M)
-        const DATA_LIMIT_MIN = -500000;
-        const DATA_LIMIT_MAX = 1500000;
+        const newStart = currentRange.start + leftRatio * xRange;
+        const newEnd = currentRange.start + rightRatio * xRange;
         
-        if (newStart < DATA_LIMIT_MIN) {
-            newStart = DATA_LIMIT_MIN;
-            newEnd = newStart + newRange;
-        }
-        if (newEnd > DATA_LIMIT_MAX) {
-            newEnd = DATA_LIMIT_MAX;
-            newStart = newEnd - newRange;
-        }
-
-        this.engine.range$.next({
-            ...currentRange,
+        // Y is inverted in screen vs world
+        // Screen Top (0) -> World Max
+        // Screen Bottom -> World Min
+        // Every axis is zoomed to the same fraction of its span.
+        const yRanges = remapYRanges(currentRange, 1 - bottomRatio, 1 - topRatio, this.engine.config$.getValue());
+        
+        // An explicit Y selection overrides autoscale (unless Y is locked)
+        this.engine.recordView();
+        if (!this.engine.getConstraints().lockY) this.engine.setAutoscale('manual');
+        this.engine.animateTo({
+            ...yRanges,
             start: newStart,
             end: newEnd
         });
+        this.engine.recordView();
+    }
+    
+    // --- Wheel ---
+    private onWheel(e: WheelEvent): void {
+        e.preventDefault();
+        
+        // A burst of wheel events is one history entry, recorded once it settles
+        if (this.wheelSettleTimer === null) {
+            this.engine.recordView();
+        } else {
+            clearTimeout(this.wheelSettleTimer);
+        }
+        this.wheelSettleTimer = setTimeout(() => {
+            this.wheelSettleTimer = null;
+            this.engine.recordView();
+        }, this.WHEEL_SETTLE_DELAY);
+        
+        const p = this.getPoint(e);
+        // Zoom from where the previous wheel event is heading, so fast trackpad events accumulate
+        const currentRange = this.engine.getTargetRange();
+        const xRange = currentRange.end - currentRange.start;
+        const zoomFactor = 1 + (e.deltaY * 0.001);
+        const pivotRatio = p.x / p.imgW;
+        const pivotX = currentRange.start + pivotRatio * xRange;
+        const newRange = xRange * zoomFactor;
+        
+        // Span and position limits are applied by the engine (GraphConfig.constraints)
+        this.engine.animateTo({
+            ...currentRange,
+            start: pivotX - pivotRatio * newRange,
+            end: pivotX + (1 - pivotRatio) * newRange
+        }, this.WHEEL_ANIMATION_DURATION);
+
+        // Values under the (stationary) pointer changed
+        if (this.engine.config$.getValue().crosshair) {
+            this.updateCrosshair(p);
+        }
+    }
+
+    // --- Crosshair ---
+    private onHover(p: Point): void {
+        if (this.gesture !== 'none') return;
+        if (this.mode === InteractionMode.MARKER_EDIT) {
+            const part = this.hitMarker(p)?.part;
+            this.container.style.cursor = part === 'body' ? 'move' : part ? 'ew-resize' : 'crosshair';
+        }
+        if (!this.engine.config$.getValue().crosshair) {
+            this.clearCrosshair();
+            return;
+        }
+        this.updateCrosshair(p);
+    }
+
+    private onLeave(): void {
+        this.clearCrosshair();
+    }
+
+    private updateCrosshair(p: Point): void {
+        const range = this.engine.range$.getValue();
+        const x = range.start + (p.x / p.imgW) * (range.end - range.start);
+        this.showCrosshair(x, p.x, p.y, p.imgW, p.imgH);
+    }
+    
+    private showCrosshair(x: number, px: number, py: number | null, width: number, height: number): void {
+        const range = this.engine.range$.getValue();
+        // Events within an icon's radius of the pointer are listed in the tooltip
+        const info = this.engine.updateHover(x, EVENT_ICON_RADIUS * (range.end - range.start) / width);
+        this.crosshair.show(px, py, width, height, info, this.engine.series$.getValue());
+        this.crosshairVisible = true;
+    }
+    
+    /**
+     * Shows the crosshair at data X without a pointer over this chart (a linked chart's cursor,
+     * see GraphGroup): the vertical line and the tooltip only. null hides it.
+     */
+    public showCrosshairAt(x: number | null): void {
+        if (x === null || this.gesture !== 'none' || !this.engine.config$.getValue().crosshair) {
+            this.clearCrosshair();
+            return;
+        }
+        const range = this.engine.range$.getValue();
+        const rect = this.container.getBoundingClientRect();
+        const px = (x - range.start) / (range.end - range.start) * rect.width;
+        if (!(px >= 0 && px <= rect.width)) {
+            this.clearCrosshair();
+            return;
+        }
+        this.showCrosshair(x, px, null, rect.width, rect.height);
+    }
+
+    private clearCrosshair(): void {
+        if (!this.crosshairVisible) return;
+        this.crosshairVisible = false;
+        this.crosshair.hide();
+        this.engine.updateHover(null);
     }
 
     private updateSelectionBox(x: number, y: number, w: number, h: number): void {
@@ -223,13 +699,32 @@ export class InputHandler {
         this.selectionBox.style.height = `${height}px`;
     }
     
+    private updateXBand(x: number, w: number): void {
+        this.xBand.style.left = `${w < 0 ? x + w : x}px`;
+        this.xBand.style.width = `${Math.abs(w)}px`;
+    }
+    
     public setMode(mode: InteractionMode): void {
+        if (mode !== InteractionMode.MARKER_EDIT) {
+            // Selection is an edit mode state
+            this.labelEditor.close();
+            this.engine.selectMarker(null);
+        }
         this.mode = mode;
         this.container.style.cursor = mode === InteractionMode.PAN ? 'grab' : 'crosshair';
     }
     
     public destroy(): void {
+        this.cancelLongPress();
+        if (this.wheelSettleTimer !== null) clearTimeout(this.wheelSettleTimer);
+        this.hideSelection();
+        for (const [type, listener, options] of this.listeners) {
+            this.container.removeEventListener(type, listener, options);
+        }
+        this.pointers.clear();
         this.selectionBox.remove();
-        // Remove listeners (needed if we want clean cleanup, but for now ignoring)
+        this.xBand.remove();
+        this.crosshair.destroy();
+        this.labelEditor.destroy();
     }
 }
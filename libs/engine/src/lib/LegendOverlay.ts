@@ -0,0 +1,89 @@
+import { SeriesConfig } from './interfaces';
+
+export interface LegendCallbacks {
+    onToggle(seriesIndex: number): void;
+    onHighlight(seriesIndex: number | null): void;
+}
+
+/**
+ * DOM overlay listing every series with its color swatch, name and unit.
+ * Clicking an entry toggles the series' visibility, hovering it highlights the series.
+ */
+export class LegendOverlay {
+    private element: HTMLDivElement;
+
+    constructor(
+        private container: HTMLElement,
+        private callbacks: LegendCallbacks
+    ) {
+        this.element = document.createElement('div');
+        Object.assign(this.element.style, {
+            position: 'absolute',
+            // Bottom right, clear of the X labels and of host toolbars in the top corners
+            bottom: '32px',
+            right: '8px',
+            display: 'none',
+            zIndex: '120',
+            maxHeight: '40%',
+            overflowY: 'auto',
+            padding: '4px 6px',
+            background: 'rgba(30, 30, 30, 0.8)',
+            border: '1px solid #3e3e3e',
+            borderRadius: '4px',
+            color: 'rgba(255, 255, 255, 0.85)',
+            fontSize: '11px',
+            fontFamily: 'monospace',
+            userSelect: 'none'
+        });
+
+        // Keep legend clicks and scrolling from panning / zooming the graph
+        this.element.addEventListener('pointerdown', e => e.stopPropagation());
+        this.element.addEventListener('wheel', e => e.stopPropagation());
+        this.element.addEventListener('mouseleave', () => this.callbacks.onHighlight(null));
+
+        this.container.appendChild(this.element);
+    }
+
+    /**
+     * Rebuilds the entries. An empty list hides the legend.
+     */
+    public update(series: SeriesConfig[]): void {
+        this.element.replaceChildren();
+        this.element.style.display = series.length > 0 ? 'block' : 'none';
+
+        series.forEach((config, index) => {
+            const visible = config.visible !== false;
+
+            const entry = document.createElement('div');
+            Object.assign(entry.style, {
+                cursor: 'pointer',
+                whiteSpace: 'nowrap',
+                opacity: visible ? '1' : '0.4'
+            });
+
+            const swatch = document.createElement('span');
+            Object.assign(swatch.style, {
+                display: 'inline-block',
+                width: '10px',
+                height: '10px',
+                marginRight: '6px',
+                verticalAlign: 'middle',
+                background: visible ? (config.color ?? '') : 'transparent',
+                border: `1px solid ${config.color ?? ''}`
+            });
+
+            const unit = config.unit ? ` (${config.unit})` : '';
+            entry.appendChild(swatch);
+            entry.appendChild(document.createTextNode(`${config.name}${unit}`));
+
+            entry.addEventListener('click', () => this.callbacks.onToggle(index));
+            entry.addEventListener('mouseenter', () => this.callbacks.onHighlight(visible ? index : null));
+
+            this.element.appendChild(entry);
+        });
+    }
+
+    public destroy(): void {
+        this.element.remove();
+    }
+}
@@ -0,0 +1,89 @@
+/**
+ * Inline text field for renaming a marker, shown over the marker's label.
+ * Enter or leaving the field commits, Escape cancels.
+ */
+export class MarkerLabelEditor {
+    private input: HTMLInputElement;
+    private onCommit: ((label: string) => void) | null = null;
+
+    constructor(
+        private container: HTMLElement
+    ) {
+        this.input = document.createElement('input');
+        this.input.type = 'text';
+        Object.assign(this.input.style, {
+            position: 'absolute',
+            top: '6px',
+            transform: 'translateX(-50%)',
+            display: 'none',
+            zIndex: '120',
+            width: '140px',
+            padding: '2px 4px',
+            background: 'rgba(30, 30, 30, 0.95)',
+            border: '1px solid rgba(0, 136, 255, 0.8)',
+            borderRadius: '4px',
+            color: '#ffffff',
+            fontSize: '12px',
+            fontFamily: 'monospace',
+            textAlign: 'center',
+            outline: 'none'
+        });
+
+        this.input.addEventListener('keydown', this.onKeyDown);
+        this.input.addEventListener('blur', this.onBlur);
+        this.container.appendChild(this.input);
+    }
+
+    public get active(): boolean {
+        return this.onCommit !== null;
+    }
+
+    /**
+     * Opens the field centered at px with the current label; `onCommit` receives the trimmed new label.
+     */
+    public open(px: number, label: string, onCommit: (label: string) => void): void {
+        this.onCommit = onCommit;
+        this.input.value = label;
+        this.input.style.left = `${px}px`;
+        this.input.style.display = 'block';
+        this.input.focus({ preventScroll: true });
+        this.input.select();
+    }
+
+    public close(): void {
+        if (!this.active) return;
+        // Cleared first: hiding the focused field fires blur
+        this.onCommit = null;
+        this.input.style.display = 'none';
+        this.container.focus({ preventScroll: true });
+    }
+
+    public contains(target: EventTarget | null): boolean {
+        return target === this.input;
+    }
+
+    private commit(): void {
+        const onCommit = this.onCommit;
+        const label = this.input.value.trim();
+        this.close();
+        if (onCommit && label) onCommit(label);
+    }
+
+    private readonly onKeyDown = (e: KeyboardEvent) => {
+        // Typing must not reach the graph's shortcuts (Delete, Home, ...)
+        e.stopPropagation();
+        if (e.key === 'Enter') this.commit();
+        else if (e.key === 'Escape') this.close();
+    };
+
+    private readonly onBlur = () => {
+        if (this.active) this.commit();
+    };
+
+    public destroy(): void {
+        this.onCommit = null;
+        this.input.removeEventListener('keydown', this.onKeyDown);
+        this.input.removeEventListener('blur', this.onBlur);
+        this.input.remove();
+    }
+}
@@ -0,0 +1,236 @@
+import { BehaviorSubject, Subscription, skip } from 'rxjs';
+import { GraphEngine } from './GraphEngine';
+import { DataChunk, GraphConfig, ViewportRange } from './interfaces';
+import { Renderer, RendererConstructor } from './Renderer';
+
+type BrushPart = 'start' | 'end' | 'body';
+
+/**
+ * Overview strip for a GraphEngine: the whole dataset at a coarse LOD, drawn by its own
+ * renderer instance (same renderer class as the main plot), with a brush showing the
+ * engine's X range. Dragging the brush pans, dragging an edge zooms, and pressing
+ * outside of it centers the view there (and keeps dragging from there).
+ *
+ * The engine supplies the overview chunk (setData); Y is fitted to it.
+ */
+export class Navigator<TConfig extends GraphConfig> {
+    private readonly config$: BehaviorSubject<TConfig>;
+    private readonly range$ = new BehaviorSubject<ViewportRange>({ start: 0, end: 1, yStart: 0, yEnd: 1 });
+    private readonly renderer: Renderer<TConfig>;
+    private readonly brush: HTMLDivElement;
+    private readonly subs = new Subscription();
+    private resizeObserver: ResizeObserver | null = null;
+    private chunk: DataChunk<unknown> | null = null;
+
+    // Brush drag in progress: the grabbed part, the pointer X and the engine range when it started
+    private drag: { part: BrushPart; startX: number; from: ViewportRange } | null = null;
+
+    private readonly EDGE_TOLERANCE = 6; // px
+    private readonly MIN_BRUSH_WIDTH = 4; // px
+
+    // Bound listeners, kept for removal in destroy()
+    private readonly listeners: [string, EventListener][] = [
+        ['pointerdown', e => this.onPointerDown(e as PointerEvent)],
+        ['pointermove', e => this.onPointerMove(e as PointerEvent)],
+        ['pointerup', e => this.onPointerUp(e as PointerEvent)],
+        ['pointercancel', e => this.onPointerUp(e as PointerEvent)]
+    ];
+
+    constructor(
+        private container: HTMLElement,
+        private engine: GraphEngine<TConfig>,
+        rendererConstructor: RendererConstructor<TConfig>,
+        private fit: (range: ViewportRange, chunk: DataChunk<unknown>) => ViewportRange
+    ) {
+        this.config$ = new BehaviorSubject(this.overviewConfig(engine.config$.getValue()));
+        this.renderer = new rendererConstructor(container, this.config$, this.range$);
+        this.renderer.setSeries(engine.series$.getValue());
+
+        this.brush = document.createElement('div');
+        Object.assign(this.brush.style, {
+            position: 'absolute',
+            top: '0',
+            height: '100%',
+            boxSizing: 'border-box',
+            borderLeft: '2px solid rgba(255, 255, 255, 0.6)',
+            borderRight: '2px solid rgba(255, 255, 255, 0.6)',
+            backgroundColor: 'rgba(255, 255, 255, 0.12)',
+            pointerEvents: 'none',
+            display: 'none',
+            zIndex: '100'
+        });
+        this.container.appendChild(this.brush);
+        this.container.style.touchAction = 'none';
+
+        for (const [type, listener] of this.listeners) {
+            this.container.addEventListener(type, listener);
+        }
+
+        this.subs.add(this.range$.subscribe(() => {
+            this.renderer.render();
+            this.updateBrush();
+        }));
+        this.subs.add(engine.range$.subscribe(() => this.updateBrush()));
+        // Series styles / visibility and axis scales follow the main plot (the current values were applied above)
+        this.subs.add(engine.series$.pipe(skip(1)).subscribe(series => {
+            this.renderer.setSeries(series);
+            this.refresh();
+        }));
+        this.subs.add(engine.config$.pipe(skip(1)).subscribe(config => {
+            this.config$.next(this.overviewConfig(config));
+            this.refresh();
+        }));
+
+        if (typeof ResizeObserver !== 'undefined') {
+            this.resizeObserver = new ResizeObserver(() => {
+                this.renderer.resize(this.container.clientWidth, this.container.clientHeight);
+                this.updateBrush();
+            });
+            this.resizeObserver.observe(this.container);
+        }
+    }
+
+    public get width(): number {
+        return this.container.clientWidth;
+    }
+
+    /**
+     * Shows `chunk` as the overview: X spans the chunk, Y is fitted to it.
+     */
+    public setData(chunk: DataChunk<unknown>): void {
+        this.chunk = chunk;
+        this.refresh();
+    }
+
+    /**
+     * Live data: `chunk` extends the overview by `appended[i]` samples per series (Renderer.appendData).
+     */
+    public appendData(chunk: DataChunk<unknown>, appended: number[]): void {
+        this.chunk = chunk;
+        this.renderer.appendData(chunk, appended);
+        this.fitView(chunk);
+    }
+
+    // The overview has no interaction of its own and no Y labels
+    private overviewConfig(config: TConfig): TConfig {
+        return { ...config, crosshair: false, showLegend: false, showYLabels: false };
+    }
+
+    // Re-uploads the chunk (vertices depend on the axis scales) and re-fits Y (visibility, scales)
+    private refresh(): void {
+        const chunk = this.chunk;
+        if (!chunk) return;
+        this.renderer.setData(chunk);
+        this.fitView(chunk);
+    }
+
+    private fitView(chunk: DataChunk<unknown>): void {
+        this.range$.next(this.fit({ start: chunk.start, end: chunk.end, yStart: 0, yEnd: 1 }, chunk));
+    }
+
+    private toPx(x: number): number {
+        const { start, end } = this.range$.getValue();
+        return (x - start) / (end - start) * this.width;
+    }
+
+    private unitsPerPixel(): number {
+        const { start, end } = this.range$.getValue();
+        return (end - start) / Math.max(1, this.width);
+    }
+
+    private updateBrush(): void {
+        if (!this.chunk) {
+            this.brush.style.display = 'none';
+            return;
+        }
+        const { start, end } = this.engine.range$.getValue();
+        const x1 = Math.max(0, this.toPx(start));
+        const x2 = Math.min(this.width, this.toPx(end));
+        Object.assign(this.brush.style, {
+            display: 'block',
+            left: `${x1}px`,
+            width: `${Math.max(this.MIN_BRUSH_WIDTH, x2 - x1)}px`
+        });
+    }
+
+    private hitBrush(px: number): BrushPart | null {
+        const { start, end } = this.engine.range$.getValue();
+        const x1 = this.toPx(start);
+        const x2 = this.toPx(end);
+        if (Math.abs(px - x1) <= this.EDGE_TOLERANCE && Math.abs(px - x1) <= Math.abs(px - x2)) return 'start';
+        if (Math.abs(px - x2) <= this.EDGE_TOLERANCE) return 'end';
+        if (px > x1 && px < x2) return 'body';
+        return null;
+    }
+
+    private getX(e: PointerEvent): number {
+        return e.clientX - this.container.getBoundingClientRect().left;
+    }
+
+    private onPointerDown(e: PointerEvent): void {
+        if (!this.chunk || (e.pointerType === 'mouse' && e.button !== 0)) return;
+        this.container.setPointerCapture(e.pointerId);
+        this.engine.stopAnimation();
+        this.engine.recordView();
+
+        const px = this.getX(e);
+        const part = this.hitBrush(px);
+        let from = this.engine.range$.getValue();
+
+        if (!part) {
+            // Jump: center the current span under the pointer, then drag from there
+            const span = from.end - from.start;
+            const x = this.range$.getValue().start + px * this.unitsPerPixel();
+            this.engine.updateRange({ ...from, start: x - span / 2, end: x + span / 2 });
+            from = this.engine.range$.getValue();
+        }
+        this.drag = { part: part ?? 'body', startX: px, from };
+    }
+
+    private onPointerMove(e: PointerEvent): void {
+        const px = this.getX(e);
+        if (!this.drag) {
+            const part = this.hitBrush(px);
+            this.container.style.cursor = part === 'body' ? 'grab' : part ? 'ew-resize' : 'pointer';
+            return;
+        }
+
+        const { part, startX, from } = this.drag;
+        const unitsPerPixel = this.unitsPerPixel();
+        if (part === 'body') {
+            const shift = (px - startX) * unitsPerPixel;
+            this.engine.updateRange({ ...from, start: from.start + shift, end: from.end + shift });
+            return;
+        }
+
+        // An edge stops short of the other one
+        const x = this.range$.getValue().start + px * unitsPerPixel;
+        const minSpan = this.MIN_BRUSH_WIDTH * unitsPerPixel;
+        if (part === 'start') {
+            this.engine.updateRange({ ...from, start: Math.min(x, from.end - minSpan) });
+        } else {
+            this.engine.updateRange({ ...from, end: Math.max(x, from.start + minSpan) });
+        }
+    }
+
+    private onPointerUp(e: PointerEvent): void {
+        if (this.container.hasPointerCapture(e.pointerId)) {
+            this.container.releasePointerCapture(e.pointerId);
+        }
+        if (!this.drag) return;
+        this.drag = null;
+        this.engine.recordView();
+    }
+
+    public destroy(): void {
+        this.subs.unsubscribe();
+        this.resizeObserver?.disconnect();
+        for (const [type, listener] of this.listeners) {
+            this.container.removeEventListener(type, listener);
+        }
+        this.brush.remove();
+        this.renderer.destroy();
+        this.range$.complete();
+        this.config$.complete();
+    }
+}
@@ -0,0 +1,69 @@
+import { ViewportRange } from './interfaces';
+
+/**
+ * Decelerating curve. Its initial slope is 3, which kinetic panning relies on to
+ * continue at the release velocity.
+ */
+export function easeOutCubic(t: number): number {
+    return 1 - Math.pow(1 - t, 3);
+}
+
+/**
+ * Drives a range transition on animation frames. Starting a new transition replaces
+ * the running one from wherever it got to, so transitions can be chained or interrupted freely.
+ */
+export class RangeAnimator {
+    private frame: number | null = null;
+    private from: ViewportRange | null = null;
+    private to: ViewportRange | null = null;
+    private startTime = 0;
+    private duration = 0;
+
+    constructor(
+        private readonly onFrame: (range: ViewportRange) => void,
+        private readonly interpolate: (from: ViewportRange, to: ViewportRange, t: number) => ViewportRange
+    ) {}
+
+    public get active(): boolean {
+        return this.frame !== null;
+    }
+
+    /**
+     * The range the running transition ends at (null when idle).
+     */
+    public get target(): ViewportRange | null {
+        return this.to;
+    }
+
+    public start(from: ViewportRange, to: ViewportRange, duration: number): void {
+        this.stop();
+        this.from = from;
+        this.to = to;
+        this.duration = duration;
+        this.startTime = performance.now();
+        this.frame = requestAnimationFrame(now => this.step(now));
+    }
+
+    public stop(): void {
+        if (this.frame !== null) cancelAnimationFrame(this.frame);
+        this.frame = null;
+        this.from = null;
+        this.to = null;
+    }
+
+    private step(now: number): void {
+        const from = this.from;
+        const to = this.to;
+        if (!from || !to) return;
+
+        const t = Math.min(1, Math.max(0, (now - this.startTime) / this.duration));
+        if (t >= 1) {
+            // Idle before the last frame, so listeners see the final range as settled
+            this.stop();
+            this.onFrame(to);
+            return;
+        }
+        this.frame = requestAnimationFrame(next => this.step(next));
+        this.onFrame(this.interpolate(from, to, easeOutCubic(t)));
+    }
+}
@@ -0,0 +1,149 @@
+import { Observable, Subscriber, Subscription } from 'rxjs';
+import { DataChunk, DataExtent, DataProvider, DataRequest } from './interfaces';
+import { ClientMessage, ServerMessage, fromWireChunk } from './RemoteProtocol';
+import { Transport } from './Transport';
+
+/**
+ * Live samples of one series, pushed by the server (see GraphEngine.appendData).
+ */
+export interface LiveUpdate {
+    seriesIndex: number;
+    x: Float64Array;
+    y: Float32Array;
+}
+
+interface PendingRequest {
+    resolve: (message: ServerMessage) => void;
+    reject: (err: Error) => void;
+}
+
+/**
+ * DataProvider talking to a data server through a Transport (RemoteProtocol). The same
+ * client works against the in-process MockServer host (createLoopback) and a real
+ * backend (WebSocketTransport). Queries aborted by the engine are cancelled on the server.
+ */
+export class RemoteDataProvider implements DataProvider {
+    private nextId = 1;
+    private readonly pending = new Map<number, PendingRequest>();
+    private readonly live = new Map<number, Subscriber<LiveUpdate>>();
+    private readonly sub: Subscription;
+    private closedError: Error | null = null;
+
+    constructor(private readonly transport: Transport<ClientMessage, ServerMessage>) {
+        this.sub = transport.messages$.subscribe({
+            next: message => this.onMessage(message),
+            error: err => this.onClose(err instanceof Error ? err : new Error(String(err))),
+            complete: () => this.onClose(new Error('RemoteDataProvider: connection closed'))
+        });
+    }
+
+    public async fetchChunk(request: DataRequest, signal?: AbortSignal): Promise<DataChunk> {
+        const response = await this.request(id => ({ type: 'query', id, request }), signal);
+        if (response.type !== 'chunk') throw new Error(`RemoteDataProvider: unexpected '${response.type}' response to a query`);
+        return fromWireChunk(response.chunk);
+    }
+
+    public async getExtent(): Promise<DataExtent | null> {
+        const response = await this.request(id => ({ type: 'extent', id }));
+        if (response.type !== 'extent') throw new Error(`RemoteDataProvider: unexpected '${response.type}' response to an extent request`);
+        return response.extent;
+    }
+
+    /**
+     * Live samples of the given series (all by default). Subscribing sends `subscribe`,
+     * unsubscribing sends `unsubscribe`; an error frame or a lost connection errors the stream.
+     */
+    public live$(series?: number[]): Observable<LiveUpdate> {
+        return new Observable<LiveUpdate>(subscriber => {
+            if (this.closedError) {
+                subscriber.error(this.closedError);
+                return;
+            }
+            const id = this.nextId++;
+            this.live.set(id, subscriber);
+            this.transport.send({ type: 'subscribe', id, series });
+
+            return () => {
+                if (!this.live.delete(id) || this.closedError) return;
+                this.transport.send({ type: 'unsubscribe', id });
+            };
+        });
+    }
+
+    /**
+     * Closes the transport; pending requests and live streams fail.
+     */
+    public destroy(): void {
+        this.sub.unsubscribe();
+        this.onClose(new Error('RemoteDataProvider: destroyed'));
+        this.transport.close();
+    }
+
+    // Sends a request and resolves with its response; an abort cancels it on the server
+    private request(create: (id: number) => ClientMessage, signal?: AbortSignal): Promise<ServerMessage> {
+        return new Promise((resolve, reject) => {
+            if (this.closedError) {
+                reject(this.closedError);
+                return;
+            }
+            if (signal?.aborted) {
+                reject(new DOMException('Request aborted', 'AbortError'));
+                return;
+            }
+
+            const id = this.nextId++;
+            const onAbort = () => {
+                if (!this.pending.delete(id)) return;
+                this.transport.send({ type: 'unsubscribe', id });
+                reject(new DOMException('Request aborted', 'AbortError'));
+            };
+            this.pending.set(id, {
+                resolve: message => {
+                    signal?.removeEventListener('abort', onAbort);
+                    resolve(message);
+                },
+                reject: err => {
+                    signal?.removeEventListener('abort', onAbort);
+                    reject(err);
+                }
+            });
+            signal?.addEventListener('abort', onAbort, { once: true });
+            this.transport.send(create(id));
+        });
+    }
+
+    private onMessage(message: ServerMessage): void {
+        if (message.id === null) {
+            // The server could not read one of our messages; nothing to attribute it to
+            return;
+        }
+        const live = this.live.get(message.id);
+        if (live) {
+            if (message.type === 'append') {
+                live.next({ seriesIndex: message.seriesIndex, x: Float64Array.from(message.x), y: Float32Array.from(message.y) });
+            } else if (message.type === 'error') {
+                this.live.delete(message.id);
+                live.error(new Error(`RemoteDataProvider: ${message.message}`));
+            }
+            return;
+        }
+        const pending = this.pending.get(message.id);
+        if (!pending) return; // Cancelled meanwhile
+        this.pending.delete(message.id);
+        if (message.type === 'error') {
+            pending.reject(new Error(`RemoteDataProvider: ${message.message}`));
+        } else {
+            pending.resolve(message);
+        }
+    }
+
+    private onClose(err: Error): void {
+        if (this.closedError) return;
+        this.closedError = err;
+        for (const pending of this.pending.values()) pending.reject(err);
+        this.pending.clear();
+        const live = [...this.live.values()];
+        this.live.clear();
+        for (const subscriber of live) subscriber.error(err);
+    }
+}
@@ -0,0 +1,81 @@
+import { DataChunk, DataExtent, DataRequest } from './interfaces';
+
+/**
+ * Message protocol between RemoteDataProvider and a data server (e.g. the MockServer host,
+ * or a historian gateway). Messages are plain JSON objects; every request carries an id
+ * chosen by the client, which the server echoes in its responses.
+ *
+ * - `query`: one-shot range query, answered by one `chunk` (or `error`)
+ * - `extent`: X extent of the data, answered by one `extent` (or `error`)
+ * - `subscribe`: live updates, answered by `append` frames until `unsubscribe`
+ * - `unsubscribe`: ends a subscription, or cancels a pending query (no response)
+ *
+ * `error` frames refer to the failed request; `id` is null when the message could not be read.
+ */
+export type ClientMessage =
+    | { type: 'query'; id: number; request: DataRequest }
+    | { type: 'extent'; id: number }
+    | { type: 'subscribe'; id: number; series?: number[] }
+    | { type: 'unsubscribe'; id: number };
+
+export type ServerMessage =
+    | { type: 'chunk'; id: number; chunk: WireChunk }
+    | { type: 'extent'; id: number; extent: DataExtent | null }
+    | { type: 'append'; id: number; seriesIndex: number; x: number[]; y: number[] }
+    | { type: 'error'; id: number | null; message: string };
+
+/**
+ * DataChunk with plain arrays, as JSON carries them. Binary channels can carry chunks
+ * far more compactly with encodeChunk / decodeChunk (ChunkCodec).
+ */
+export interface WireChunk extends Omit<DataChunk<number[]>, 'x'> {
+    x?: number[][];
+}
+
+export function toWireChunk(chunk: DataChunk<ArrayLike<number>>): WireChunk {
+    const { x, ...rest } = chunk;
+    const wire: WireChunk = { ...rest, data: rest.data.map(series => Array.from(series)) };
+    if (x) wire.x = x.map(series => Array.from(series));
+    return wire;
+}
+
+/**
+ * Restores the typed arrays of a chunk: Float32Array values, Float64Array timestamps.
+ */
+export function fromWireChunk(wire: WireChunk): DataChunk {
+    const { x, ...rest } = wire;
+    const chunk: DataChunk = { ...rest, data: rest.data.map(series => Float32Array.from(series)) };
+    if (x) chunk.x = x.map(series => Float64Array.from(series));
+    return chunk;
+}
+
+/**
+ * Checks the shape of an incoming message before it is dispatched; anything else is
+ * answered with an error frame.
+ */
+export function isClientMessage(message: unknown): message is ClientMessage {
+    if (typeof message !== 'object' || message === null) return false;
+    const { type, id } = message as { type?: unknown; id?: unknown };
+    if (typeof id !== 'number') return false;
+    if (type === 'query') {
+        const request = (message as { request?: Partial<DataRequest> }).request;
+        return typeof request?.start === 'number' && typeof request.end === 'number' && typeof request.binSize === 'number'
+            && (request.algorithm === undefined || typeof request.algorithm === 'string');
+    }
+    if (type === 'subscribe') {
+        const series = (message as { series?: unknown }).series;
+        return series === undefined || (Array.isArray(series) && series.every(i => Number.isInteger(i)));
+    }
+    return type === 'extent' || type === 'unsubscribe';
+}
+
+/**
+ * Why a query cannot be served (a non-empty finite range and a bin size of at least 1
+ * are required), or null if it can. Servers answer such queries with an error frame.
+ */
+export function invalidRequestReason(request: DataRequest): string | null {
+    const { start, end, binSize } = request;
+    if (!Number.isFinite(start) || !Number.isFinite(end) || start >= end) return `Invalid range [${start}, ${end}]`;
+    if (!Number.isFinite(binSize) || binSize < 1) return `Invalid binSize ${binSize}, must be at least 1`;
+    return null;
+}
@@ -1,10 +1,39 @@
 
 import { BehaviorSubject } from 'rxjs';
-import { DataChunk, MarkerConfig, GraphConfig, ViewportRange } from './interfaces';
+import { DataChunk, MarkerConfig, GraphConfig, ViewportRange, SeriesConfig, YAxisConfig, YRange, EventAnnotation, ThresholdLine } from './interfaces';
+import { resolveSeries, seriesAxisId } from './SeriesUtils';
+import { resolveAxes, resolveAxisRange, resolveAxisScale } from './ViewportUtils';
+import { Scale, calculateLogTicks } from './Scale';
+import { AxisTick, calculateTimeTicks } from './TimeScale';
+import { sortEvents } from './AnnotationLayout';
+
+/**
+ * A Y axis with its current range and the label slot it occupies on its side
+ * (slot 0 is closest to the plot edge).
+ */
+export interface AxisLayout {
+  axis: YAxisConfig;
+  range: YRange;
+  side: 'left' | 'right';
+  slot: number;
+  scale: Scale;
+}
+
+export type RendererConstructor<TConfig extends GraphConfig> =
+  new (container: HTMLElement, config$: BehaviorSubject<TConfig>, range$: BehaviorSubject<ViewportRange>) => Renderer<TConfig>;
 
 export abstract class Renderer<TConfig extends GraphConfig> {
   protected width: number;
   protected height: number;
+  protected series: SeriesConfig[] = [];
+  protected highlightedSeries: number | null = null;
+  protected selectedMarkerId: string | null = null;
+  /** Sorted by x */
+  protected events: EventAnnotation[] = [];
+  protected thresholds: ThresholdLine[] = [];
+
+  /** Horizontal space reserved per Y axis for its tick labels */
+  public readonly AXIS_LABEL_WIDTH = 50;
   
   constructor(
     protected container: HTMLElement,
@@ -18,7 +47,101 @@ export abstract class Renderer<TConfig extends GraphConfig> {
   abstract setData<TData>(chunk: DataChunk<TData>): void;
   abstract setMarkers(markers: MarkerConfig[]): void;
   abstract render(): void;
+
+  /**
+   * Draws the current view (data, grid, markers and all labels) into `ctx`, whose canvas is
+   * width * scale by height * scale device pixels. Used by image export; the on-screen output
+   * is left untouched.
+   */
+  abstract renderToContext(ctx: CanvasRenderingContext2D, width: number, height: number, scale: number): void;
+
+  /**
+   * Live data: `chunk` extends the previous one by `appended[i]` samples at the end of
+   * series i (and may have dropped as many from the start). Renderers may upload only the
+   * new samples or set the chunk as a whole.
+   */
+  abstract appendData<TData>(chunk: DataChunk<TData>, appended: number[]): void;
   
+  /**
+   * Series metadata (colors, visibility), matched to the chunk's series by index.
+   * Subclasses override to restyle without waiting for new data.
+   */
+  setSeries(series: SeriesConfig[]): void {
+    this.series = series;
+  }
+
+  /**
+   * Emphasizes one series (e.g. while its legend entry is hovered). null clears it.
+   */
+  setHighlight(seriesIndex: number | null): void {
+    this.highlightedSeries = seriesIndex;
+  }
+
+  /**
+   * Draws the marker with this id as selected (marker edit mode). null clears it.
+   */
+  setSelectedMarker(id: string | null): void {
+    this.selectedMarkerId = id;
+  }
+
+  setEvents(events: EventAnnotation[]): void {
+    this.events = sortEvents(events);
+  }
+
+  setThresholds(thresholds: ThresholdLine[]): void {
+    this.thresholds = thresholds;
+  }
+
+  public getSeriesStyle(seriesIndex: number): SeriesConfig {
+    return resolveSeries(this.series[seriesIndex], seriesIndex);
+  }
+
+  /**
+   * Opacity multiplier for a series given the current highlight.
+   */
+  public getSeriesEmphasis(seriesIndex: number): number {
+    if (this.highlightedSeries === null) return 1.0;
+    return seriesIndex === this.highlightedSeries ? 1.0 : 0.2;
+  }
+
+  public getSeriesAxisId(seriesIndex: number): string {
+    return seriesAxisId(this.series[seriesIndex], this.config$.getValue().yAxes);
+  }
+
+  public getSeriesAxisRange(range: ViewportRange, seriesIndex: number): YRange {
+    return resolveAxisRange(range, this.getSeriesAxisId(seriesIndex), this.config$.getValue().yAxes);
+  }
+
+  public getAxisScale(axisId: string): Scale {
+    return resolveAxisScale(this.config$.getValue(), axisId);
+  }
+
+  public getSeriesScale(seriesIndex: number): Scale {
+    return this.getAxisScale(this.getSeriesAxisId(seriesIndex));
+  }
+
+  public showsYLabels(): boolean {
+    return this.config$.getValue().showYLabels !== false;
+  }
+
+  /**
+   * Every Y axis with its range in `range`. The first entry is the primary axis.
+   */
+  public getAxisLayout(range: ViewportRange): AxisLayout[] {
+    const axes = resolveAxes(this.config$.getValue().yAxes);
+    const slots = { left: 0, right: 0 };
+    return axes.map(axis => {
+      const side = axis.side ?? 'left';
+      return {
+        axis,
+        side,
+        slot: slots[side]++,
+        range: resolveAxisRange(range, axis.id, axes),
+        scale: this.getAxisScale(axis.id)
+      };
+    });
+  }
+
   resize(width: number, height: number): void {
     this.width = width;
     this.height = height;
@@ -55,10 +178,32 @@ export abstract class Renderer<TConfig extends GraphConfig> {
       return ticks;
   }
 
+  /**
+   * Y ticks for an axis: decades on log / symlog axes that span enough of them, nice numbers otherwise.
+   */
+  public calculateAxisTicks(min: number, max: number, scale: Scale, targetCount = 8): number[] {
+      if (scale.type !== 'linear') {
+          const ticks = calculateLogTicks(scale, min, max, targetCount);
+          if (ticks) return ticks;
+      }
+      return this.calculateNiceTicks(min, max, targetCount);
+  }
+
+  /**
+   * X ticks with their labels: calendar-aligned for a time scale, nice numbers otherwise.
+   */
+  public getXTicks(start: number, end: number, targetCount = 10): AxisTick[] {
+      const { xScale, timeZone } = this.config$.getValue();
+      if (xScale === 'time') return calculateTimeTicks(start, end, targetCount, timeZone);
+      return this.calculateNiceTicks(start, end, targetCount).map(value => ({ value, label: Math.floor(value).toString() }));
+  }
+
   public formatYLabel(value: number): string {
       const abs = Math.abs(value);
       if (abs >= 1e6) return (value / 1e6).toFixed(1) + 'M';
       if (abs >= 1e3) return (value / 1e3).toFixed(1) + 'K';
+      // Small magnitudes (log axes, zoomed-in ranges) keep their significant digits
+      if (abs > 0 && abs < 1) return Number(value.toPrecision(3)).toString();
       return value.toFixed(0);
   }
 }
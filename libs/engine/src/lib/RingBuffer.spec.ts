@@ -0,0 +1,55 @@
+import { RingBuffer } from './RingBuffer';
+
+function contents(buffer: RingBuffer): { x: number[]; y: number[] } {
+  const { x, y } = buffer.toArrays();
+  return { x: Array.from(x), y: Array.from(y) };
+}
+
+describe('RingBuffer', () => {
+  it('should keep samples oldest first until full', () => {
+    const buffer = new RingBuffer(4);
+    expect(buffer.push([1, 2], [10, 20])).toBe(0);
+    expect(buffer.push([3], [30])).toBe(0);
+    expect(buffer.length).toBe(3);
+    expect(buffer.lastX).toBe(3);
+    expect(contents(buffer)).toEqual({ x: [1, 2, 3], y: [10, 20, 30] });
+  });
+
+  it('should drop the oldest samples and keep the order after wrapping', () => {
+    const buffer = new RingBuffer(4);
+    buffer.push([1, 2, 3], [10, 20, 30]);
+    expect(buffer.push([4, 5, 6], [40, 50, 60])).toBe(2);
+    expect(contents(buffer)).toEqual({ x: [3, 4, 5, 6], y: [30, 40, 50, 60] });
+    expect(buffer.push([7], [70])).toBe(1);
+    expect(contents(buffer)).toEqual({ x: [4, 5, 6, 7], y: [40, 50, 60, 70] });
+    expect(buffer.lastX).toBe(7);
+  });
+
+  it('should keep only the newest samples when more than the capacity are pushed at once', () => {
+    const buffer = new RingBuffer(3);
+    buffer.push([1, 2], [10, 20]);
+    expect(buffer.push([3, 4, 5, 6, 7], [30, 40, 50, 60, 70])).toBe(4);
+    expect(buffer.length).toBe(3);
+    expect(contents(buffer)).toEqual({ x: [5, 6, 7], y: [50, 60, 70] });
+  });
+
+  it('should ignore samples without both X and Y', () => {
+    const buffer = new RingBuffer(3);
+    expect(buffer.push([1, 2, 3], [10])).toBe(0);
+    expect(contents(buffer)).toEqual({ x: [1], y: [10] });
+  });
+
+  it('should start over after clear', () => {
+    const buffer = new RingBuffer(2);
+    buffer.push([1, 2, 3], [10, 20, 30]);
+    buffer.clear();
+    expect(buffer.length).toBe(0);
+    expect(buffer.lastX).toBeUndefined();
+    buffer.push([4], [40]);
+    expect(contents(buffer)).toEqual({ x: [4], y: [40] });
+  });
+
+  it.each([0, -1, NaN])('should reject a capacity of %p', capacity => {
+    expect(() => new RingBuffer(capacity)).toThrow('capacity must be at least 1');
+  });
+});
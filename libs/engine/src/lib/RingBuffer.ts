@@ -0,0 +1,69 @@
+/**
+ * Fixed-capacity FIFO of (x, y) samples of one live series. Once full, every push
+ * overwrites the oldest samples, so memory stays constant however long the stream runs.
+ */
+export class RingBuffer {
+    private readonly xs: Float64Array;
+    private readonly ys: Float32Array;
+    // Storage index of the oldest sample
+    private head = 0;
+    private count = 0;
+
+    constructor(public readonly capacity: number) {
+        if (!(capacity >= 1)) throw new Error(`RingBuffer: capacity must be at least 1 (got ${capacity})`);
+        this.capacity = Math.floor(capacity);
+        this.xs = new Float64Array(this.capacity);
+        this.ys = new Float32Array(this.capacity);
+    }
+
+    public get length(): number {
+        return this.count;
+    }
+
+    /** X of the newest sample (undefined when empty) */
+    public get lastX(): number | undefined {
+        return this.count > 0 ? this.xs[(this.head + this.count - 1) % this.capacity] : undefined;
+    }
+
+    /**
+     * Appends samples in order and returns how many samples were dropped to make room
+     * (including new ones, when more than `capacity` are pushed at once).
+     */
+    public push(x: ArrayLike<number>, y: ArrayLike<number>): number {
+        const n = Math.min(x.length, y.length);
+        const before = this.count;
+        // More samples than fit: only the newest `capacity` of them survive
+        const from = Math.max(0, n - this.capacity);
+
+        for (let i = from; i < n; i++) {
+            const index = (this.head + this.count) % this.capacity;
+            this.xs[index] = x[i];
+            this.ys[index] = y[i];
+            if (this.count < this.capacity) {
+                this.count++;
+            } else {
+                this.head = (this.head + 1) % this.capacity;
+            }
+        }
+        return before + n - this.count;
+    }
+
+    /**
+     * Copies the samples out, oldest first.
+     */
+    public toArrays(): { x: Float64Array; y: Float32Array } {
+        const x = new Float64Array(this.count);
+        const y = new Float32Array(this.count);
+        const firstPart = Math.min(this.count, this.capacity - this.head);
+        x.set(this.xs.subarray(this.head, this.head + firstPart));
+        y.set(this.ys.subarray(this.head, this.head + firstPart));
+        x.set(this.xs.subarray(0, this.count - firstPart), firstPart);
+        y.set(this.ys.subarray(0, this.count - firstPart), firstPart);
+        return { x, y };
+    }
+
+    public clear(): void {
+        this.head = 0;
+        this.count = 0;
+    }
+}
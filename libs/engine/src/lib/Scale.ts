@@ -0,0 +1,90 @@
+export type ScaleType = 'linear' | 'log' | 'symlog';
+
+/**
+ * Smallest value representable on a log scale. Non-positive values are clipped to it,
+ * which places them far below any sensible visible range instead of producing NaN geometry.
+ */
+export const LOG_FLOOR = 1e-12;
+
+/**
+ * Width of the linear region around zero of the symlog scale.
+ */
+export const SYMLOG_CONSTANT = 1;
+
+/**
+ * Maps data values to the space the renderers draw in (and back).
+ * Ranges in `range$` stay in data units; only vertices, grid lines and
+ * screen <-> data conversions go through a scale.
+ */
+export interface Scale {
+    type: ScaleType;
+    forward(value: number): number;
+    inverse(value: number): number;
+    /** False for values the scale can only clip (non-positive values on a log scale) */
+    isValid(value: number): boolean;
+}
+
+const linearScale: Scale = {
+    type: 'linear',
+    forward: v => v,
+    inverse: v => v,
+    isValid: () => true
+};
+
+const logScale: Scale = {
+    type: 'log',
+    forward: v => Math.log10(v > LOG_FLOOR ? v : LOG_FLOOR),
+    inverse: v => Math.pow(10, v),
+    isValid: v => v > 0
+};
+
+const symlogScale: Scale = {
+    type: 'symlog',
+    forward: v => Math.sign(v) * Math.log10(1 + Math.abs(v) / SYMLOG_CONSTANT),
+    inverse: v => Math.sign(v) * SYMLOG_CONSTANT * (Math.pow(10, Math.abs(v)) - 1),
+    isValid: () => true
+};
+
+export function createScale(type: ScaleType = 'linear'): Scale {
+    switch (type) {
+        case 'log': return logScale;
+        case 'symlog': return symlogScale;
+        default: return linearScale;
+    }
+}
+
+/**
+ * Position of `value` within [yStart, yEnd] after scaling: 0 at yStart, 1 at yEnd.
+ */
+export function scaleFraction(scale: Scale, yStart: number, yEnd: number, value: number): number {
+    const lo = scale.forward(yStart);
+    return (scale.forward(value) - lo) / (scale.forward(yEnd) - lo);
+}
+
+/**
+ * Ticks for a log or symlog axis: powers of ten (thinned to about `targetCount`),
+ * plus 2x / 5x multiples when the range spans less than two decades.
+ * Returns null when the range is too narrow for decade ticks; callers fall back to linear ticks.
+ */
+export function calculateLogTicks(scale: Scale, min: number, max: number, targetCount: number): number[] | null {
+    const lo = scale.forward(min);
+    const hi = scale.forward(max);
+    if (!(hi - lo >= 1)) return null;
+
+    // Candidate magnitudes, positive side; symlog mirrors them below zero
+    const magnitudes: number[] = [];
+    const maxAbs = Math.max(Math.abs(min), Math.abs(max));
+    const lowest = scale.type === 'log' ? Math.floor(lo) : 0;
+    const highest = Math.ceil(Math.log10(Math.max(maxAbs, 1)));
+    const decadeStep = Math.max(1, Math.ceil((highest - lowest) / targetCount));
+    const multiples = (hi - lo) < 2 ? [1, 2, 5] : [1];
+
+    for (let k = lowest; k <= highest; k += decadeStep) {
+        for (const m of multiples) magnitudes.push(m * Math.pow(10, k));
+    }
+
+    const ticks = scale.type === 'symlog'
+        ? [...magnitudes.map(m => -m).reverse(), 0, ...magnitudes]
+        : magnitudes;
+    return ticks.filter(v => v >= min && v <= max);
+}
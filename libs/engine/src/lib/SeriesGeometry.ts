@@ -0,0 +1,167 @@
+import { DataChunk } from './interfaces';
+
+/**
+ * Receives the vertices of a series outline in order, X in data units and Y already scaled.
+ */
+export type VertexSink = (x: number, y: number) => void;
+
+/**
+ * Whether a chunk type is drawn as a filled [min, max] band (traceBandOutline) rather than a line (traceSeriesLine).
+ */
+export function isBandChunk(type: DataChunk['type']): boolean {
+    return type === 'aggregated' || type === 'sparse-aggregated';
+}
+
+/**
+ * Polyline of any chunk type drawn as a line: samples (traceLine), M4 bins (traceM4Line)
+ * or bin means (traceAverageLine).
+ */
+export function traceSeriesLine(
+    chunk: DataChunk<ArrayLike<number>>,
+    seriesIndex: number,
+    fy: (value: number) => number,
+    emit: VertexSink
+): void {
+    if (chunk.type === 'm4') traceM4Line(chunk, seriesIndex, fy, emit);
+    else if (chunk.type === 'average') traceAverageLine(chunk, seriesIndex, fy, emit);
+    else traceLine(chunk, seriesIndex, fy, emit);
+}
+
+/**
+ * Polyline of a raw / sparse / lttb series over [chunk.start, chunk.end].
+ * Edge heuristic: the line is extended to both ends of the chunk, dropping to zero where
+ * the first / last sample is further than the gap threshold from the edge.
+ * Gap heuristic: sparse samples further apart than the sample rate drop to zero in between
+ * (not lttb samples, which are far apart by design).
+ */
+export function traceLine(
+    chunk: DataChunk<ArrayLike<number>>,
+    seriesIndex: number,
+    fy: (value: number) => number,
+    emit: VertexSink
+): void {
+    const seriesData = chunk.data[seriesIndex];
+    const len = seriesData.length;
+    if (len === 0) return;
+
+    const { start, end } = chunk;
+    const seriesX = chunk.type === 'sparse' || chunk.type === 'lttb' ? chunk.x?.[seriesIndex] : undefined;
+    const gapThreshold = chunk.type === 'sparse' && seriesX ? (chunk.sampleRate || 100) : Infinity;
+    const getX = seriesX
+        ? (j: number) => seriesX[j]
+        : (j: number) => start + j;
+    const zeroY = fy(0);
+
+    // Edge Heuristic: Start
+    const firstX = getX(0);
+    if (firstX - start > gapThreshold) {
+        emit(start, zeroY);
+        emit(firstX, zeroY);
+    } else {
+        emit(start, fy(seriesData[0]));
+    }
+    emit(firstX, fy(seriesData[0]));
+
+    for (let j = 1; j < len; j++) {
+        const t = getX(j);
+        const prevT = getX(j - 1);
+
+        if (t - prevT > gapThreshold) {
+            // Gap!
+            emit(prevT, zeroY);
+            emit(t, zeroY);
+        }
+        emit(t, fy(seriesData[j]));
+    }
+
+    // Edge Heuristic: End
+    const lastX = getX(len - 1);
+    if (end - lastX > gapThreshold) {
+        emit(lastX, zeroY);
+        emit(end, zeroY);
+    } else {
+        emit(end, fy(seriesData[len - 1]));
+    }
+}
+
+/**
+ * Closed outline of an aggregated series (interleaved [min, max] bins): the bin maxima
+ * left to right, the minima right to left, back to the first maximum.
+ */
+export function traceBandOutline(
+    chunk: DataChunk<ArrayLike<number>>,
+    seriesIndex: number,
+    fy: (value: number) => number,
+    emit: VertexSink
+): void {
+    const seriesData = chunk.data[seriesIndex];
+    const { start } = chunk;
+    const step = chunk.step || 1;
+    const binCount = Math.floor(seriesData.length / 2);
+    if (binCount === 0) return;
+
+    // Trace Top
+    for (let j = 0; j < binCount; j++) {
+        const max = fy(seriesData[j * 2 + 1]);
+        emit(start + j * step, max);
+        emit(start + (j + 1) * step, max);
+    }
+
+    // Trace Bottom
+    for (let j = binCount - 1; j >= 0; j--) {
+        const min = fy(seriesData[j * 2]);
+        emit(start + (j + 1) * step, min);
+        emit(start + j * step, min);
+    }
+
+    // Close loop
+    emit(start, fy(seriesData[1]));
+}
+
+/**
+ * Polyline of an m4 series (bins of [first, min, max, last]): each bin enters at its start
+ * with the first value, spans min and max at its center and leaves at its end with the last.
+ * Within a bin of at most one pixel this covers the same pixels as the full-resolution line.
+ */
+export function traceM4Line(
+    chunk: DataChunk<ArrayLike<number>>,
+    seriesIndex: number,
+    fy: (value: number) => number,
+    emit: VertexSink
+): void {
+    const seriesData = chunk.data[seriesIndex];
+    const { start } = chunk;
+    const step = chunk.step || 1;
+    const binCount = Math.floor(seriesData.length / 4);
+
+    for (let j = 0; j < binCount; j++) {
+        const x = start + j * step;
+        emit(x, fy(seriesData[j * 4]));
+        emit(x + step / 2, fy(seriesData[j * 4 + 1]));
+        emit(x + step / 2, fy(seriesData[j * 4 + 2]));
+        emit(x + step, fy(seriesData[j * 4 + 3]));
+    }
+}
+
+/**
+ * Polyline of an average series (one mean per bin) through the bin centers,
+ * held flat over the outer half bins.
+ */
+export function traceAverageLine(
+    chunk: DataChunk<ArrayLike<number>>,
+    seriesIndex: number,
+    fy: (value: number) => number,
+    emit: VertexSink
+): void {
+    const seriesData = chunk.data[seriesIndex];
+    const binCount = seriesData.length;
+    if (binCount === 0) return;
+    const { start } = chunk;
+    const step = chunk.step || 1;
+
+    emit(start, fy(seriesData[0]));
+    for (let j = 0; j < binCount; j++) {
+        emit(start + (j + 0.5) * step, fy(seriesData[j]));
+    }
+    emit(start + binCount * step, fy(seriesData[binCount - 1]));
+}
@@ -0,0 +1,40 @@
+import { SeriesConfig, YAxisConfig } from './interfaces';
+import { resolveAxes } from './ViewportUtils';
+
+/**
+ * Evenly spaced hues, matching the renderers' historical palette.
+ */
+export function defaultSeriesColor(index: number): string {
+    return `hsl(${((index % 100) / 100) * 360}, 80%, 50%)`;
+}
+
+export function defaultSeriesConfig(index: number): SeriesConfig {
+    return {
+        id: `series-${index}`,
+        name: `Series ${index}`,
+        color: defaultSeriesColor(index),
+        visible: true
+    };
+}
+
+/**
+ * Fills in the optional fields of a configured series (or creates a default one).
+ */
+export function resolveSeries(series: SeriesConfig | undefined, index: number): SeriesConfig {
+    if (!series) return defaultSeriesConfig(index);
+    return {
+        ...series,
+        color: series.color ?? defaultSeriesColor(index),
+        visible: series.visible ?? true
+    };
+}
+
+/**
+ * Axis a series is plotted against: its `axisId` if that axis exists, the primary axis otherwise.
+ */
+export function seriesAxisId(series: SeriesConfig | undefined, axes: YAxisConfig[] | undefined): string {
+    const resolved = resolveAxes(axes);
+    const axisId = series?.axisId;
+    if (axisId && resolved.some(a => a.id === axisId)) return axisId;
+    return resolved[0].id;
+}
@@ -0,0 +1,226 @@
+import { DataChunk, EventAnnotation, GraphConfig, MarkerConfig, ThresholdLine, ViewportRange } from './interfaces';
+import { AxisLayout, Renderer } from './Renderer';
+import {
+    EVENT_COLOR,
+    EVENT_ICON_RADIUS,
+    EVENT_ICON_Y,
+    EventCluster,
+    THRESHOLD_COLOR,
+    THRESHOLD_LABEL_HEIGHT,
+    ThresholdPlacement,
+    clusterEvents,
+    dashSegments,
+    placeThresholds,
+    thresholdLabel
+} from './AnnotationLayout';
+import { scaleFraction } from './Scale';
+import { isBandChunk, traceBandOutline, traceSeriesLine } from './SeriesGeometry';
+
+const BACKGROUND = '#222222';
+const MARKER_COLOR = '#0088ff';
+
+function escapeXml(text: string): string {
+    return text.replace(/[<>&"']/g, c => `&#${c.charCodeAt(0)};`);
+}
+
+function num(value: number): string {
+    return Number(value.toFixed(2)).toString();
+}
+
+/**
+ * Renders the view as a standalone SVG document of width x height: the same layers and
+ * label layout as the renderers, with the series as vector paths built from the geometry
+ * the WebGL renderer uploads (SeriesGeometry). `events` are sorted by x (sortEvents).
+ */
+export function renderSvg<TConfig extends GraphConfig>(
+    renderer: Renderer<TConfig>,
+    chunk: DataChunk<unknown> | null,
+    markers: MarkerConfig[],
+    events: EventAnnotation[],
+    thresholds: ThresholdLine[],
+    range: ViewportRange,
+    width: number,
+    height: number,
+    lineWidth = 1
+): string {
+    const { start, end } = range;
+    const toX = (x: number) => (x - start) / (end - start) * width;
+    const parts: string[] = [];
+
+    parts.push(`<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`);
+    parts.push(`<defs><clipPath id="cg-plot"><rect width="${width}" height="${height}"/></clipPath></defs>`);
+    parts.push(`<rect width="${width}" height="${height}" fill="${BACKGROUND}"/>`);
+    parts.push('<g clip-path="url(#cg-plot)">');
+
+    // Grid lines
+    const axes = renderer.getAxisLayout(range);
+    const primary = axes[0];
+    const xTicks = renderer.getXTicks(start, end, 10);
+    const grid: string[] = [];
+    for (const yVal of renderer.calculateAxisTicks(primary.range.yStart, primary.range.yEnd, primary.scale, 8)) {
+        const y = height - scaleFraction(primary.scale, primary.range.yStart, primary.range.yEnd, yVal) * height;
+        grid.push(`M0 ${num(y)}H${width}`);
+    }
+    for (const { value } of xTicks) {
+        grid.push(`M${num(toX(value))} 0V${height}`);
+    }
+    parts.push(`<path d="${grid.join('')}" stroke="#ffffff" stroke-opacity="0.1" fill="none"/>`);
+
+    // Marker regions, beneath the data
+    const visibleMarkers = markers.filter(m => m.end >= start && m.start <= end);
+    for (const m of visibleMarkers) {
+        const x1 = toX(m.start);
+        const x2 = toX(m.end);
+        parts.push(`<rect x="${num(x1)}" width="${num(x2 - x1)}" height="${height}" fill="${MARKER_COLOR}" fill-opacity="0.1"/>`);
+        parts.push(`<path d="M${num(x1)} 0V${height}M${num(x2)} 0V${height}" stroke="${MARKER_COLOR}" stroke-opacity="0.6"/>`);
+    }
+
+    // Event and threshold lines, beneath the data
+    const clusters = clusterEvents(events, range, width);
+    const placements = placeThresholds(thresholds, axes, height);
+    parts.push(...annotationLines(clusters, placements, width, height));
+
+    if (chunk) parts.push(...seriesPaths(renderer, chunk as DataChunk<ArrayLike<number>>, range, toX, height, lineWidth));
+    parts.push('</g>');
+
+    // Y-axis labels, one column per axis
+    parts.push('<g font-family="monospace" font-size="11" fill="#ffffff" fill-opacity="0.7" dominant-baseline="hanging">');
+    for (const { axis, range: yRange, side, slot, scale } of renderer.showsYLabels() ? axes : []) {
+        const offset = 5 + slot * renderer.AXIS_LABEL_WIDTH;
+        const x = side === 'left' ? offset : width - offset;
+        const anchor = side === 'left' ? 'start' : 'end';
+        const label = (text: string, y: number) =>
+            parts.push(`<text x="${num(x)}" y="${num(y)}" text-anchor="${anchor}">${escapeXml(text)}</text>`);
+
+        for (const yVal of renderer.calculateAxisTicks(yRange.yStart, yRange.yEnd, scale, 8)) {
+            const y = height - scaleFraction(scale, yRange.yStart, yRange.yEnd, yVal) * height;
+            if (y < 0 || y > height) continue;
+            label(renderer.formatYLabel(yVal), y);
+        }
+        if (axis.label) label(axis.label, 2);
+    }
+
+    // X-axis labels, with the context row (e.g. the date) above them
+    for (const tick of xTicks) {
+        const x = toX(tick.value);
+        if (x < 0 || x > width) continue;
+        parts.push(`<text x="${num(x)}" y="${height - 15}">${escapeXml(tick.label)}</text>`);
+        if (tick.context) {
+            parts.push(`<text x="${num(x)}" y="${height - 28}" fill-opacity="0.5">${escapeXml(tick.context)}</text>`);
+        }
+    }
+    parts.push('</g>');
+
+    // Marker labels
+    parts.push(`<g font-family="monospace" font-size="12" font-weight="bold" fill="${MARKER_COLOR}" fill-opacity="0.8" text-anchor="middle" dominant-baseline="hanging">`);
+    for (const m of visibleMarkers) {
+        const x = toX(m.start + (m.end - m.start) / 2);
+        if (x < 0 || x > width) continue;
+        parts.push(`<text x="${num(x)}" y="10">${escapeXml(m.label)}</text>`);
+    }
+    parts.push('</g>');
+
+    parts.push(...annotationLabels(renderer, axes, clusters, placements, width));
+
+    parts.push('</svg>');
+    return parts.join('\n');
+}
+
+function annotationLines(
+    clusters: EventCluster[],
+    placements: ThresholdPlacement[],
+    width: number,
+    height: number
+): string[] {
+    const paths: string[] = [];
+    for (const cluster of clusters) {
+        const color = escapeXml(cluster.events[0].color ?? EVENT_COLOR);
+        paths.push(`<path d="M${num(cluster.x)} 0V${height}" stroke="${color}" stroke-opacity="0.7"/>`);
+    }
+    for (const placement of placements) {
+        // Lines pinned to an edge are fainter, as in the renderers
+        const d = dashSegments(width, placement.threshold.dash).map(([x1, x2]) => `M${num(x1)} ${num(placement.y)}H${num(x2)}`);
+        const color = escapeXml(placement.threshold.color ?? THRESHOLD_COLOR);
+        paths.push(`<path d="${d.join('')}" stroke="${color}" stroke-opacity="${placement.clamped ? 0.5 : 0.7}"/>`);
+    }
+    return paths;
+}
+
+function annotationLabels<TConfig extends GraphConfig>(
+    renderer: Renderer<TConfig>,
+    axes: AxisLayout[],
+    clusters: EventCluster[],
+    placements: ThresholdPlacement[],
+    width: number
+): string[] {
+    const parts: string[] = [];
+
+    // Threshold labels left of the right-hand Y labels, above the line or below it near the top
+    const labelX = width - 4 - axes.filter(a => a.side === 'right').length * renderer.AXIS_LABEL_WIDTH;
+    parts.push('<g font-family="monospace" font-size="11" fill-opacity="0.9" text-anchor="end">');
+    for (const placement of placements) {
+        const below = placement.y < THRESHOLD_LABEL_HEIGHT;
+        const color = escapeXml(placement.threshold.color ?? THRESHOLD_COLOR);
+        const y = placement.y + (below ? 2 : -2);
+        const baseline = below ? 'hanging' : 'text-after-edge';
+        parts.push(`<text x="${num(labelX)}" y="${num(y)}" fill="${color}" dominant-baseline="${baseline}">${escapeXml(thresholdLabel(placement))}</text>`);
+    }
+    parts.push('</g>');
+
+    // Event icons along the top; a cluster shows its size
+    parts.push('<g font-family="monospace" font-size="9" text-anchor="middle" dominant-baseline="central">');
+    for (const cluster of clusters) {
+        const [first] = cluster.events;
+        const grouped = cluster.events.length > 1;
+        const color = escapeXml(first.color ?? EVENT_COLOR);
+        const stroke = grouped ? ' stroke="#ffffff"' : '';
+        parts.push(`<circle cx="${num(cluster.x)}" cy="${EVENT_ICON_Y}" r="${EVENT_ICON_RADIUS}" fill="${color}"${stroke}/>`);
+
+        const text = grouped ? String(cluster.events.length) : first.icon;
+        if (text) {
+            const weight = grouped ? ' font-weight="bold"' : '';
+            parts.push(`<text x="${num(cluster.x)}" y="${EVENT_ICON_Y + 0.5}" fill="#ffffff"${weight}>${escapeXml(text)}</text>`);
+        }
+    }
+    parts.push('</g>');
+    return parts;
+}
+
+function seriesPaths<TConfig extends GraphConfig>(
+    renderer: Renderer<TConfig>,
+    chunk: DataChunk<ArrayLike<number>>,
+    range: ViewportRange,
+    toX: (x: number) => number,
+    height: number,
+    lineWidth: number
+): string[] {
+    const paths: string[] = [];
+    const isLine = !isBandChunk(chunk.type);
+
+    for (let i = 0; i < chunk.data.length; i++) {
+        const style = renderer.getSeriesStyle(i);
+        if (style.visible === false || chunk.data[i].length === 0) continue;
+        const emphasis = renderer.getSeriesEmphasis(i);
+
+        // Vertices come out in the scaled space of the series' axis, like the WebGL buffers
+        const fy = renderer.getSeriesScale(i).forward;
+        const { yStart, yEnd } = renderer.getSeriesAxisRange(range, i);
+        const lo = fy(yStart);
+        const span = fy(yEnd) - lo;
+
+        const d: string[] = [];
+        const emit = (x: number, y: number) => {
+            d.push(`${d.length === 0 ? 'M' : 'L'}${num(toX(x))} ${num(height - (y - lo) / span * height)}`);
+        };
+
+        const color = escapeXml(style.color ?? '');
+        if (isLine) {
+            traceSeriesLine(chunk, i, fy, emit);
+            paths.push(`<path d="${d.join('')}" fill="none" stroke="${color}" stroke-opacity="${0.8 * emphasis}" stroke-width="${lineWidth}" stroke-linejoin="round"/>`);
+        } else {
+            traceBandOutline(chunk, i, fy, emit);
+            paths.push(`<path d="${d.join('')}Z" fill="${color}" fill-opacity="${0.5 * emphasis}" stroke="${color}" stroke-opacity="${0.8 * emphasis}"/>`);
+        }
+    }
+    return paths;
+}
@@ -0,0 +1,124 @@
+import { DataChunk, DataProvider, DataRequest } from './interfaces';
+import { TileCache } from './TileCache';
+
+/**
+ * Answers min/max bins holding their global bin index, or with `algorithm: 'lttb'` one sample
+ * per bin (y = x) plus one beyond each edge, like MockServer. Deferred fetches wait for flush().
+ */
+class FakeProvider implements DataProvider {
+  requests: DataRequest[] = [];
+  deferred = false;
+  private waiting: (() => void)[] = [];
+
+  fetchChunk(request: DataRequest): Promise<DataChunk> {
+    this.requests.push(request);
+    const chunk = this.chunk(request);
+    if (!this.deferred) return Promise.resolve(chunk);
+    return new Promise(resolve => this.waiting.push(() => resolve(chunk)));
+  }
+
+  flush(): void {
+    this.waiting.splice(0).forEach(resolve => resolve());
+  }
+
+  private chunk({ start, end, binSize, algorithm }: DataRequest): DataChunk {
+    if (algorithm === 'lttb') {
+      const x = Float64Array.from({ length: (end - start) / binSize + 2 }, (_, j) => start + (j - 1) * binSize);
+      return { type: 'lttb', data: [Float32Array.from(x)], x: [x], start, end };
+    }
+    const bins = (end - start) / binSize;
+    const data = Float32Array.from({ length: bins * 2 }, (_, j) => start / binSize + Math.floor(j / 2));
+    return { type: 'aggregated', data: [data], start, end, step: binSize };
+  }
+}
+
+const tick = () => new Promise(resolve => setTimeout(resolve));
+
+describe('TileCache', () => {
+  let provider: FakeProvider;
+
+  beforeEach(() => {
+    provider = new FakeProvider();
+  });
+
+  it('should fetch whole tiles at the bin size snapped to a power of two', async () => {
+    const cache = new TileCache(provider, { tileBins: 4 });
+    await cache.fetchChunk({ start: 0, end: 16, binSize: 3 });
+    expect(provider.requests).toEqual([
+      { start: 0, end: 8, binSize: 2, sampleRate: undefined, algorithm: undefined },
+      { start: 8, end: 16, binSize: 2, sampleRate: undefined, algorithm: undefined }
+    ]);
+  });
+
+  it('should reuse tiles for bin sizes snapping to the same level', async () => {
+    const cache = new TileCache(provider, { tileBins: 4 });
+    await cache.fetchChunk({ start: 0, end: 16, binSize: 2 });
+    await cache.fetchChunk({ start: 0, end: 16, binSize: 3.5 });
+    expect(provider.requests.length).toBe(2);
+    expect(cache.stats$.getValue()).toMatchObject({ hits: 2, misses: 2, tiles: 2 });
+
+    await cache.fetchChunk({ start: 0, end: 16, binSize: 4 });
+    expect(provider.requests.length).toBe(3);
+    await cache.fetchChunk({ start: 0, end: 16, binSize: 2, algorithm: 'm4' });
+    expect(provider.requests.length).toBe(5);
+  });
+
+  it('should evict the least recently used tiles beyond maxBytes', async () => {
+    // One tile: 4 bins of min/max, 32 bytes
+    const cache = new TileCache(provider, { tileBins: 4, maxBytes: 64 });
+    await cache.fetchChunk({ start: 0, end: 4, binSize: 1 });
+    await cache.fetchChunk({ start: 4, end: 8, binSize: 1 });
+    await cache.fetchChunk({ start: 0, end: 4, binSize: 1 });
+    await cache.fetchChunk({ start: 8, end: 12, binSize: 1 });
+    expect(cache.stats$.getValue()).toMatchObject({ evictions: 1, tiles: 2, bytes: 64 });
+
+    await cache.fetchChunk({ start: 0, end: 4, binSize: 1 });
+    expect(provider.requests.length).toBe(3);
+    await cache.fetchChunk({ start: 4, end: 8, binSize: 1 });
+    expect(provider.requests.length).toBe(4);
+  });
+
+  it('should share tile fetches in flight', async () => {
+    const cache = new TileCache(provider, { tileBins: 4 });
+    provider.deferred = true;
+    const a = cache.fetchChunk({ start: 0, end: 4, binSize: 1 });
+    const b = cache.fetchChunk({ start: 0, end: 4, binSize: 1 });
+    provider.flush();
+    expect(await b).toEqual(await a);
+    expect(provider.requests.length).toBe(1);
+    expect(cache.stats$.getValue()).toMatchObject({ hits: 1, misses: 1 });
+  });
+
+  it('should reject aborted requests and still cache their tiles', async () => {
+    const cache = new TileCache(provider, { tileBins: 4 });
+    provider.deferred = true;
+    const controller = new AbortController();
+    const request = cache.fetchChunk({ start: 0, end: 4, binSize: 1 }, controller.signal);
+    controller.abort();
+    await expect(request).rejects.toMatchObject({ name: 'AbortError' });
+
+    provider.flush();
+    await tick();
+    expect(cache.stats$.getValue().tiles).toBe(1);
+    await expect(cache.fetchChunk({ start: 0, end: 4, binSize: 1 }, controller.signal)).rejects.toMatchObject({ name: 'AbortError' });
+    await cache.fetchChunk({ start: 0, end: 4, binSize: 1 });
+    expect(provider.requests.length).toBe(1);
+  });
+
+  it('should trim stitched bins to the requested window', async () => {
+    const cache = new TileCache(provider, { tileBins: 4 });
+    const chunk = await cache.fetchChunk({ start: 2, end: 7, binSize: 1 });
+    expect(provider.requests.length).toBe(2);
+    expect(chunk).toMatchObject({ type: 'aggregated', start: 2, end: 7, step: 1 });
+    expect(Array.from(chunk.data[0])).toEqual([2, 2, 3, 3, 4, 4, 5, 5, 6, 6]);
+  });
+
+  it('should drop duplicated samples between tiles and keep one beyond each edge', async () => {
+    const cache = new TileCache(provider, { tileBins: 4 });
+    const chunk = await cache.fetchChunk({ start: 2, end: 6, binSize: 1, algorithm: 'lttb' });
+    expect(provider.requests.length).toBe(2);
+    expect(chunk).toMatchObject({ type: 'lttb', start: 2, end: 6 });
+    expect(Array.from(chunk.x?.[0] ?? [])).toEqual([1, 2, 3, 4, 5, 6]);
+    expect(Array.from(chunk.data[0])).toEqual([1, 2, 3, 4, 5, 6]);
+  });
+});
@@ -0,0 +1,267 @@
+import { BehaviorSubject } from 'rxjs';
+import { DataChunk, DataExtent, DataProvider, DataRequest, DownsampleAlgorithm } from './interfaces';
+import { binFields, binarySearch } from './ChunkUtils';
+
+export interface TileCacheOptions {
+    /** Bins per tile (default: 512) */
+    tileBins?: number;
+    /** Memory budget for cached tiles, in bytes (default: 64MB) */
+    maxBytes?: number;
+}
+
+export interface TileCacheStats {
+    hits: number;
+    misses: number;
+    evictions: number;
+    tiles: number;
+    bytes: number;
+}
+
+interface CachedTile {
+    chunk: DataChunk;
+    bytes: number;
+}
+
+/**
+ * Client-side tile cache that sits between the GraphEngine and a DataProvider.
+ *
+ * The X domain is split into fixed-size tiles per bin-size level and algorithm (bin sizes are
+ * snapped to powers of two so that nearby zoom levels share tiles). A request only
+ * fetches the tiles that are missing; cached and fetched tiles are stitched into
+ * a single DataChunk. Tiles are evicted least-recently-used once the memory budget
+ * is exceeded.
+ */
+export class TileCache implements DataProvider {
+    public readonly stats$: BehaviorSubject<TileCacheStats>;
+
+    private tiles = new Map<string, CachedTile>(); // Insertion order = LRU order
+    private pending = new Map<string, Promise<DataChunk>>();
+    private bytes = 0;
+
+    private readonly tileBins: number;
+    private readonly maxBytes: number;
+
+    constructor(
+        private source: DataProvider,
+        options: TileCacheOptions = {}
+    ) {
+        this.tileBins = options.tileBins ?? 512;
+        this.maxBytes = options.maxBytes ?? 64 * 1024 * 1024;
+        this.stats$ = new BehaviorSubject<TileCacheStats>({ hits: 0, misses: 0, evictions: 0, tiles: 0, bytes: 0 });
+    }
+
+    public async fetchChunk(request: DataRequest, signal?: AbortSignal): Promise<DataChunk> {
+        const binSize = this.snapBinSize(request.binSize);
+        const tileSpan = binSize * this.tileBins;
+        const first = Math.floor(request.start / tileSpan);
+        const last = Math.max(first, Math.ceil(request.end / tileSpan) - 1);
+
+        const tilePromises: Promise<DataChunk>[] = [];
+        for (let k = first; k <= last; k++) {
+            tilePromises.push(this.getTile(k, tileSpan, binSize, request.sampleRate, request.algorithm));
+        }
+
+        // Tile fetches are shared with other requests and keep filling the cache
+        // even if this request is aborted; only this request's result is dropped.
+        const tiles = await this.whenNotAborted(Promise.all(tilePromises), signal);
+        const chunk = this.stitch(tiles, request);
+        this.evict();
+        return chunk;
+    }
+
+    public getExtent(): Promise<DataExtent | null> {
+        return this.source.getExtent ? this.source.getExtent() : Promise.resolve(null);
+    }
+
+    /**
+     * Drops every cached tile, e.g. after the source data was regenerated.
+     */
+    public clear(): void {
+        this.tiles.clear();
+        this.pending.clear();
+        this.bytes = 0;
+        this.publishStats({});
+    }
+
+    private snapBinSize(binSize: number): number {
+        if (binSize <= 1) return 1;
+        return Math.pow(2, Math.floor(Math.log2(binSize)));
+    }
+
+    private getTile(
+        index: number,
+        tileSpan: number,
+        binSize: number,
+        sampleRate?: number,
+        algorithm?: DownsampleAlgorithm
+    ): Promise<DataChunk> {
+        const key = `${binSize}:${sampleRate ?? ''}:${algorithm ?? ''}:${index}`;
+
+        const cached = this.tiles.get(key);
+        if (cached) {
+            // Move to most-recently-used
+            this.tiles.delete(key);
+            this.tiles.set(key, cached);
+            this.publishStats({ hits: 1 });
+            return Promise.resolve(cached.chunk);
+        }
+
+        const inFlight = this.pending.get(key);
+        if (inFlight) {
+            this.publishStats({ hits: 1 });
+            return inFlight;
+        }
+
+        this.publishStats({ misses: 1 });
+        const start = index * tileSpan;
+        const promise = this.source.fetchChunk({ start, end: start + tileSpan, binSize, sampleRate, algorithm }).then(
+            chunk => {
+                // Ignore tiles that arrive after clear()
+                if (this.pending.get(key) === promise) {
+                    this.pending.delete(key);
+                    const bytes = this.chunkBytes(chunk);
+                    this.tiles.set(key, { chunk, bytes });
+                    this.bytes += bytes;
+                    this.publishStats({});
+                }
+                return chunk;
+            },
+            err => {
+                if (this.pending.get(key) === promise) this.pending.delete(key);
+                throw err;
+            }
+        );
+        this.pending.set(key, promise);
+        return promise;
+    }
+
+    private whenNotAborted<T>(promise: Promise<T>, signal?: AbortSignal): Promise<T> {
+        if (!signal) return promise;
+        if (signal.aborted) return Promise.reject(new DOMException('Request aborted', 'AbortError'));
+
+        return new Promise<T>((resolve, reject) => {
+            const onAbort = () => reject(new DOMException('Request aborted', 'AbortError'));
+            signal.addEventListener('abort', onAbort, { once: true });
+            promise.then(
+                value => { signal.removeEventListener('abort', onAbort); resolve(value); },
+                err => { signal.removeEventListener('abort', onAbort); reject(err); }
+            );
+        });
+    }
+
+    // --- Stitching ---
+
+    private stitch(tiles: DataChunk[], request: DataRequest): DataChunk {
+        const nonEmpty = tiles.filter(t => t.data.length > 0 && t.data[0].length > 0);
+        if (nonEmpty.length === 0) {
+            return { ...tiles[0], start: request.start, end: request.end };
+        }
+
+        const { type } = nonEmpty[0];
+        if (type === 'sparse' || type === 'lttb') return this.stitchSparse(nonEmpty, request);
+        return this.stitchContiguous(nonEmpty, request);
+    }
+
+    // raw and binned chunks: tiles are aligned, so series concatenate directly
+    private stitchContiguous(tiles: DataChunk[], request: DataRequest): DataChunk {
+        const first = tiles[0];
+        const valuesPerStep = binFields(first.type)?.length ?? 1;
+        const step = first.type === 'raw' ? 1 : (first.step || 1);
+
+        // Trim to the bins overlapping the requested window
+        const from = Math.max(0, Math.floor((request.start - first.start) / step));
+        const to = Math.ceil((request.end - first.start) / step);
+
+        const data = first.data.map((_, i) => {
+            const joined = this.concat(tiles.map(t => t.data[i]));
+            return joined.subarray(from * valuesPerStep, Math.min(joined.length, to * valuesPerStep));
+        });
+
+        const start = first.start + from * step;
+        const end = Math.min(tiles[tiles.length - 1].end, first.start + to * step);
+        return { ...first, data, start, end };
+    }
+
+    // sparse / lttb: tiles overlap by one sample on each side, drop the duplicates
+    private stitchSparse(tiles: DataChunk[], request: DataRequest): DataChunk {
+        const first = tiles[0];
+        const data: Float32Array[] = [];
+        const x: Float64Array[] = [];
+
+        for (let i = 0; i < first.data.length; i++) {
+            const ys: Float32Array[] = [];
+            const xs: Float64Array[] = [];
+            let lastX = -Infinity;
+
+            for (const tile of tiles) {
+                const tileX = tile.x?.[i];
+                if (!tileX) continue;
+                let skip = binarySearch(tileX, lastX);
+                while (skip < tileX.length && tileX[skip] <= lastX) skip++;
+                if (skip >= tileX.length) continue;
+                ys.push(tile.data[i].subarray(skip));
+                xs.push(tileX.subarray(skip));
+                lastX = tileX[tileX.length - 1];
+            }
+
+            const joinedX = this.concat(xs, Float64Array);
+            const joinedY = this.concat(ys);
+
+            // Keep one sample beyond each edge so lines reach the viewport borders
+            const from = Math.max(0, binarySearch(joinedX, request.start) - 1);
+            const to = Math.min(joinedX.length, binarySearch(joinedX, request.end) + 1);
+            x.push(joinedX.subarray(from, to));
+            data.push(joinedY.subarray(from, to));
+        }
+
+        return { ...first, data, x, start: request.start, end: request.end };
+    }
+
+    private concat(parts: Float32Array[]): Float32Array;
+    private concat(parts: Float64Array[], ctor: Float64ArrayConstructor): Float64Array;
+    private concat(
+        parts: (Float32Array | Float64Array)[],
+        ctor: Float32ArrayConstructor | Float64ArrayConstructor = Float32Array
+    ): Float32Array | Float64Array {
+        if (parts.length === 1) return parts[0];
+        const total = parts.reduce((sum, p) => sum + p.length, 0);
+        const out = new ctor(total);
+        let offset = 0;
+        for (const part of parts) {
+            out.set(part, offset);
+            offset += part.length;
+        }
+        return out;
+    }
+
+    // --- Budget ---
+
+    private chunkBytes(chunk: DataChunk): number {
+        let bytes = 0;
+        for (const series of chunk.data) bytes += series.byteLength;
+        for (const series of chunk.x ?? []) bytes += series.byteLength;
+        return bytes;
+    }
+
+    private evict(): void {
+        let evictions = 0;
+        for (const [key, tile] of this.tiles) {
+            if (this.bytes <= this.maxBytes) break;
+            this.tiles.delete(key);
+            this.bytes -= tile.bytes;
+            evictions++;
+        }
+        if (evictions > 0) this.publishStats({ evictions });
+    }
+
+    private publishStats(delta: Partial<Pick<TileCacheStats, 'hits' | 'misses' | 'evictions'>>): void {
+        const cur = this.stats$.getValue();
+        this.stats$.next({
+            hits: cur.hits + (delta.hits ?? 0),
+            misses: cur.misses + (delta.misses ?? 0),
+            evictions: cur.evictions + (delta.evictions ?? 0),
+            tiles: this.tiles.size,
+            bytes: this.bytes
+        });
+    }
+}
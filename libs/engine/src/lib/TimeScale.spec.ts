@@ -0,0 +1,68 @@
+import { AxisTick, calculateTimeTicks } from './TimeScale';
+
+function ticks(start: string, end: string, targetCount: number): Pick<AxisTick, 'label' | 'context'>[] {
+  return calculateTimeTicks(Date.parse(start), Date.parse(end), targetCount)
+    .map(({ label, context }) => ({ label, context }));
+}
+
+describe('TimeScale', () => {
+  it('should return no ticks for an empty span', () => {
+    expect(calculateTimeTicks(1000, 1000, 5)).toEqual([]);
+  });
+
+  it('should restart day sequences at each month', () => {
+    expect(ticks('2024-01-25T00:00Z', '2024-02-12T00:00Z', 4)).toEqual([
+      { label: 'Jan 26', context: 'Jan 2024' },
+      { label: 'Jan 31', context: undefined },
+      { label: 'Feb 1', context: 'Feb 2024' },
+      { label: 'Feb 6', context: undefined },
+      { label: 'Feb 11', context: undefined }
+    ]);
+  });
+
+  it('should carry day steps over the end of the year', () => {
+    expect(ticks('2023-12-27T00:00Z', '2024-01-04T00:00Z', 4)).toEqual([
+      { label: 'Dec 27', context: 'Dec 2023' },
+      { label: 'Dec 29', context: undefined },
+      { label: 'Dec 31', context: undefined },
+      { label: 'Jan 1', context: 'Jan 2024' },
+      { label: 'Jan 3', context: undefined }
+    ]);
+  });
+
+  it('should carry month steps over the end of the year', () => {
+    const result = calculateTimeTicks(Date.parse('2023-10-15T00:00Z'), Date.parse('2024-04-15T00:00Z'), 4);
+    expect(result).toEqual([
+      { value: Date.parse('2023-11-01T00:00Z'), label: 'Nov', context: '2023' },
+      { value: Date.parse('2024-01-01T00:00Z'), label: 'Jan', context: '2024' },
+      { value: Date.parse('2024-03-01T00:00Z'), label: 'Mar', context: undefined }
+    ]);
+  });
+
+  it('should align year steps to multiples of the step', () => {
+    expect(ticks('2001-06-01T00:00Z', '2049-06-01T00:00Z', 5)).toEqual(
+      ['2010', '2020', '2030', '2040'].map(label => ({ label, context: undefined }))
+    );
+  });
+
+  it('should set the context only where it changes', () => {
+    expect(ticks('2024-03-09T20:00Z', '2024-03-10T04:00Z', 4)).toEqual([
+      { label: '20:00', context: '2024-03-09' },
+      { label: '22:00', context: undefined },
+      { label: '00:00', context: '2024-03-10' },
+      { label: '02:00', context: undefined },
+      { label: '04:00', context: undefined }
+    ]);
+  });
+
+  it('should align fixed steps to the local time zone', () => {
+    // UTC+05:45, not a whole number of 30 minute steps
+    const offset = jest.spyOn(Date.prototype, 'getTimezoneOffset').mockReturnValue(-345);
+    const start = Date.parse('2024-01-01T00:00Z');
+    const values = (timeZone: 'utc' | 'local') => calculateTimeTicks(start, start + 2 * 3600000, 4, timeZone)
+      .map(t => new Date(t.value).toISOString().slice(11, 16));
+    expect(values('local')).toEqual(['00:15', '00:45', '01:15', '01:45']);
+    expect(values('utc')).toEqual(['00:00', '00:30', '01:00', '01:30', '02:00']);
+    offset.mockRestore();
+  });
+});
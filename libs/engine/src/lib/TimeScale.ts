@@ -0,0 +1,183 @@
+/**
+ * A tick on the X axis. `context` is the second-row label (e.g. the date under
+ * hour ticks); it is only set where the context changes.
+ */
+export interface AxisTick {
+    value: number;
+    label: string;
+    context?: string;
+}
+
+export type TimeZone = 'utc' | 'local';
+
+type TimeUnit = 'ms' | 'second' | 'minute' | 'hour' | 'day' | 'month' | 'year';
+
+interface TimeInterval {
+    unit: TimeUnit;
+    count: number;
+    /** Approximate length in ms, used to pick the interval */
+    duration: number;
+}
+
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+const MONTH = 30 * DAY;
+const YEAR = 365 * DAY;
+
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+const INTERVALS: TimeInterval[] = [
+    ...[1, 2, 5, 10, 20, 50, 100, 200, 500].map(count => ({ unit: 'ms' as const, count, duration: count })),
+    ...[1, 2, 5, 10, 15, 30].map(count => ({ unit: 'second' as const, count, duration: count * SECOND })),
+    ...[1, 2, 5, 10, 15, 30].map(count => ({ unit: 'minute' as const, count, duration: count * MINUTE })),
+    ...[1, 2, 3, 6, 12].map(count => ({ unit: 'hour' as const, count, duration: count * HOUR })),
+    ...[1, 2, 5, 10].map(count => ({ unit: 'day' as const, count, duration: count * DAY })),
+    ...[1, 2, 3, 6].map(count => ({ unit: 'month' as const, count, duration: count * MONTH }))
+];
+
+/**
+ * Date field access in UTC or in the local time zone.
+ */
+function fieldsOf(timeZone: TimeZone) {
+    const utc = timeZone === 'utc';
+    return {
+        year: (d: Date) => utc ? d.getUTCFullYear() : d.getFullYear(),
+        month: (d: Date) => utc ? d.getUTCMonth() : d.getMonth(),
+        date: (d: Date) => utc ? d.getUTCDate() : d.getDate(),
+        hours: (d: Date) => utc ? d.getUTCHours() : d.getHours(),
+        minutes: (d: Date) => utc ? d.getUTCMinutes() : d.getMinutes(),
+        seconds: (d: Date) => utc ? d.getUTCSeconds() : d.getSeconds(),
+        ms: (d: Date) => utc ? d.getUTCMilliseconds() : d.getMilliseconds(),
+        make: (y: number, mo: number, day = 1, h = 0) => utc
+            ? new Date(Date.UTC(y, mo, day, h))
+            : new Date(y, mo, day, h)
+    };
+}
+
+function pickInterval(span: number, targetCount: number): TimeInterval {
+    const target = span / targetCount;
+    for (const interval of INTERVALS) {
+        if (interval.duration >= target) return interval;
+    }
+    // Years: powers of 10 times 1, 2, 5
+    const years = target / YEAR;
+    const magnitude = Math.pow(10, Math.floor(Math.log10(Math.max(years, 1))));
+    const normalized = years / magnitude;
+    const count = (normalized <= 1 ? 1 : normalized <= 2 ? 2 : normalized <= 5 ? 5 : 10) * magnitude;
+    return { unit: 'year', count, duration: count * YEAR };
+}
+
+/**
+ * Calendar-aligned ticks for a time axis (X in ms since the epoch), labelled by zoom level.
+ */
+export function calculateTimeTicks(start: number, end: number, targetCount: number, timeZone: TimeZone = 'utc'): AxisTick[] {
+    const span = end - start;
+    if (!(span > 0)) return [];
+
+    const interval = pickInterval(span, targetCount);
+    const values = tickValues(start, end, interval, timeZone);
+
+    const ticks: AxisTick[] = [];
+    let lastContext: string | undefined;
+    for (const value of values) {
+        const date = new Date(value);
+        const context = formatContext(date, interval.unit, timeZone);
+        ticks.push({
+            value,
+            label: formatLabel(date, interval.unit, timeZone),
+            context: context !== lastContext ? context : undefined
+        });
+        lastContext = context;
+    }
+    return ticks;
+}
+
+function tickValues(start: number, end: number, interval: TimeInterval, timeZone: TimeZone): number[] {
+    const { unit, count } = interval;
+    const values: number[] = [];
+
+    if (unit === 'ms' || unit === 'second' || unit === 'minute') {
+        // Fixed length steps, aligned in local time where the zone offset is not a whole step
+        const step = interval.duration;
+        const offset = timeZone === 'local' ? -new Date(start).getTimezoneOffset() * MINUTE : 0;
+        for (let t = Math.ceil((start + offset) / step) * step - offset; t <= end; t += step) {
+            values.push(t);
+        }
+        return values;
+    }
+
+    // Calendar steps: walk the date fields so that DST and month lengths are respected
+    const f = fieldsOf(timeZone);
+    const first = new Date(start);
+    let year = f.year(first);
+    let month = f.month(first);
+    let day = f.date(first);
+    let hour = f.hours(first);
+
+    if (unit === 'year') {
+        year = Math.floor(year / count) * count;
+        month = 0; day = 1; hour = 0;
+    } else if (unit === 'month') {
+        month = Math.floor(month / count) * count;
+        day = 1; hour = 0;
+    } else if (unit === 'day') {
+        day = Math.floor((day - 1) / count) * count + 1;
+        hour = 0;
+    } else {
+        hour = Math.floor(hour / count) * count;
+    }
+
+    // Guard against runaway loops on absurd spans
+    for (let i = 0; i < 1000; i++) {
+        const t = f.make(year, month, day, hour).getTime();
+        if (t > end) break;
+        if (t >= start) values.push(t);
+
+        if (unit === 'year') year += count;
+        else if (unit === 'month') month += count;
+        else if (unit === 'day') {
+            day += count;
+            // Restart the day sequence at each month so ticks stay on 1, 1 + count, ...
+            const next = f.make(year, month, day);
+            if (f.month(next) !== ((month % 12) + 12) % 12) {
+                month++;
+                day = 1;
+            }
+        } else hour += count;
+    }
+    return values;
+}
+
+function pad(value: number, length = 2): string {
+    return value.toString().padStart(length, '0');
+}
+
+function formatLabel(date: Date, unit: TimeUnit, timeZone: TimeZone): string {
+    const f = fieldsOf(timeZone);
+    const hm = `${pad(f.hours(date))}:${pad(f.minutes(date))}`;
+    switch (unit) {
+        case 'ms': return `${pad(f.seconds(date))}.${pad(f.ms(date), 3)}`;
+        case 'second': return `${hm}:${pad(f.seconds(date))}`;
+        case 'minute':
+        case 'hour': return hm;
+        case 'day': return `${MONTH_NAMES[f.month(date)]} ${f.date(date)}`;
+        case 'month': return MONTH_NAMES[f.month(date)];
+        case 'year': return f.year(date).toString();
+    }
+}
+
+function formatContext(date: Date, unit: TimeUnit, timeZone: TimeZone): string | undefined {
+    const f = fieldsOf(timeZone);
+    const ymd = `${f.year(date)}-${pad(f.month(date) + 1)}-${pad(f.date(date))}`;
+    switch (unit) {
+        case 'ms': return `${ymd} ${pad(f.hours(date))}:${pad(f.minutes(date))}`;
+        case 'second':
+        case 'minute':
+        case 'hour': return ymd;
+        case 'day': return `${MONTH_NAMES[f.month(date)]} ${f.year(date)}`;
+        case 'month': return f.year(date).toString();
+        case 'year': return undefined;
+    }
+}
@@ -0,0 +1,105 @@
+import { Observable, Subject } from 'rxjs';
+
+/**
+ * One end of a message connection. `messages$` completes when the connection closes
+ * and errors when it fails.
+ */
+export interface Transport<TSend, TReceive> {
+    readonly messages$: Observable<TReceive>;
+    send(message: TSend): void;
+    close(): void;
+}
+
+/**
+ * In-process end of a loopback pair (see createLoopback).
+ */
+export class LoopbackTransport<TSend, TReceive> implements Transport<TSend, TReceive> {
+    public readonly messages$: Observable<TReceive>;
+    private readonly incoming = new Subject<TReceive>();
+    private peer: LoopbackTransport<TReceive, TSend> | null = null;
+    private closed = false;
+
+    constructor(private readonly latency: number) {
+        this.messages$ = this.incoming.asObservable();
+    }
+
+    public connect(peer: LoopbackTransport<TReceive, TSend>): void {
+        this.peer = peer;
+    }
+
+    public send(message: TSend): void {
+        const peer = this.peer;
+        if (this.closed || !peer) return;
+        // Serialized like on a socket, so nothing passes that JSON would not carry
+        const frame = JSON.stringify(message);
+        setTimeout(() => peer.deliver(JSON.parse(frame) as TSend), this.latency);
+    }
+
+    public close(): void {
+        if (this.closed) return;
+        this.closed = true;
+        this.incoming.complete();
+        const peer = this.peer;
+        this.peer = null;
+        peer?.close();
+    }
+
+    private deliver(message: TReceive): void {
+        if (!this.closed) this.incoming.next(message);
+    }
+}
+
+/**
+ * Two connected in-process transports, for a client and a server in the same page (or test).
+ * Messages go through JSON and arrive asynchronously, after `latency` ms.
+ */
+export function createLoopback<TClient, TServer>(latency = 0): [Transport<TClient, TServer>, Transport<TServer, TClient>] {
+    const client = new LoopbackTransport<TClient, TServer>(latency);
+    const server = new LoopbackTransport<TServer, TClient>(latency);
+    client.connect(server);
+    server.connect(client);
+    return [client, server];
+}
+
+/**
+ * Client transport over a browser WebSocket, one JSON message per text frame.
+ * Messages sent before the socket is open are queued.
+ */
+export class WebSocketTransport<TSend, TReceive> implements Transport<TSend, TReceive> {
+    public readonly messages$: Observable<TReceive>;
+    private readonly incoming = new Subject<TReceive>();
+    private readonly socket: WebSocket;
+    private queue: string[] = [];
+
+    constructor(url: string) {
+        this.messages$ = this.incoming.asObservable();
+        this.socket = new WebSocket(url);
+        this.socket.onopen = () => {
+            for (const frame of this.queue) this.socket.send(frame);
+            this.queue = [];
+        };
+        this.socket.onmessage = event => {
+            try {
+                this.incoming.next(JSON.parse(String(event.data)) as TReceive);
+            } catch (err) {
+                this.incoming.error(err instanceof Error ? err : new Error(String(err)));
+            }
+        };
+        this.socket.onerror = () => this.incoming.error(new Error(`WebSocketTransport: connection to ${url} failed`));
+        this.socket.onclose = () => this.incoming.complete();
+    }
+
+    public send(message: TSend): void {
+        const frame = JSON.stringify(message);
+        if (this.socket.readyState === WebSocket.CONNECTING) {
+            this.queue.push(frame);
+        } else if (this.socket.readyState === WebSocket.OPEN) {
+            this.socket.send(frame);
+        }
+    }
+
+    public close(): void {
+        this.queue = [];
+        this.socket.close();
+    }
+}
@@ -0,0 +1,92 @@
+import { BehaviorSubject } from 'rxjs';
+import { ViewportRange } from './interfaces';
+
+export interface ViewHistoryState {
+    canGoBack: boolean;
+    canGoForward: boolean;
+}
+
+/**
+ * Browser-style stack of committed view ranges. Recording a range while not at the
+ * top of the stack drops the forward entries.
+ */
+export class ViewHistory {
+    public readonly state$ = new BehaviorSubject<ViewHistoryState>({ canGoBack: false, canGoForward: false });
+
+    private entries: ViewportRange[] = [];
+    private index = -1;
+
+    constructor(
+        private readonly limit = 100
+    ) {}
+
+    /**
+     * The entry the view was last committed to or navigated to (null before the first record).
+     */
+    public current(): ViewportRange | null {
+        return this.entries[this.index] ?? null;
+    }
+
+    /**
+     * Records `range` as the newest entry, unless it matches the current one.
+     */
+    public record(range: ViewportRange, ignoreY = false): void {
+        const current = this.current();
+        if (current && isSameView(current, range, ignoreY)) return;
+
+        this.entries.splice(this.index + 1);
+        this.entries.push(copyRange(range));
+        if (this.entries.length > this.limit) this.entries.shift();
+        this.index = this.entries.length - 1;
+        this.publish();
+    }
+
+    public back(): ViewportRange | null {
+        if (this.index <= 0) return null;
+        this.index--;
+        this.publish();
+        return copyRange(this.entries[this.index]);
+    }
+
+    public forward(): ViewportRange | null {
+        if (this.index >= this.entries.length - 1) return null;
+        this.index++;
+        this.publish();
+        return copyRange(this.entries[this.index]);
+    }
+
+    public clear(): void {
+        this.entries = [];
+        this.index = -1;
+        this.publish();
+    }
+
+    private publish(): void {
+        this.state$.next({
+            canGoBack: this.index > 0,
+            canGoForward: this.index < this.entries.length - 1
+        });
+    }
+}
+
+function copyRange(range: ViewportRange): ViewportRange {
+    return range.yRanges ? { ...range, yRanges: { ...range.yRanges } } : { ...range };
+}
+
+/**
+ * Whether two ranges show the same view. With `ignoreY` only X is compared
+ * (Y is owned by autoscale then).
+ */
+export function isSameView(a: ViewportRange, b: ViewportRange, ignoreY = false): boolean {
+    if (a.start !== b.start || a.end !== b.end) return false;
+    if (ignoreY) return true;
+    if (a.yStart !== b.yStart || a.yEnd !== b.yEnd) return false;
+
+    const aIds = Object.keys(a.yRanges ?? {});
+    if (aIds.length !== Object.keys(b.yRanges ?? {}).length) return false;
+    return aIds.every(id => {
+        const ra = a.yRanges?.[id];
+        const rb = b.yRanges?.[id];
+        return !!ra && !!rb && ra.yStart === rb.yStart && ra.yEnd === rb.yEnd;
+    });
+}
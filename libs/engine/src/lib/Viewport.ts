@@ -1,3 +1,6 @@
+import { ViewConstraints } from './interfaces';
+import { clampXRange } from './ConstraintUtils';
+
 export class Viewport {
   totalPoints: number;
   min: number;
@@ -18,47 +21,29 @@ export class Viewport {
     this.listeners = [];
   }
 
+  // Same clamping as GraphEngine: within [0, totalPoints], at least 10 points
+  private get constraints(): ViewConstraints {
+    return { extent: { start: 0, end: this.totalPoints }, overscroll: 0, minXSpan: 10 };
+  }
+
+  private apply(start: number, end: number): void {
+    const clamped = clampXRange({ start, end }, this.constraints, { start: this.start, end: this.end });
+    this.start = clamped.start;
+    this.end = clamped.end;
+    this.notify();
+  }
+
   // Zoom at a specific normalized pivot (0 to 1)
   zoom(factor: number, pivot = 0.5): void {
     const currentRange = this.end - this.start;
     const newRange = currentRange * factor;
-
-    // Clamp zoom
-    if (newRange < 10) return; // Minimum 10 points
-    if (newRange > this.totalPoints) return; // Max zoom out
-
     const pivotPoint = this.start + (currentRange * pivot);
 
-    this.start = Math.max(0, pivotPoint - (newRange * pivot));
-    this.end = Math.min(this.totalPoints, this.start + newRange);
-
-    // Re-clamp if we hit right edge
-    if (this.start < 0) this.start = 0;
-    if (this.end > this.totalPoints) {
-       this.end = this.totalPoints;
-       this.start = Math.max(0, this.end - newRange);
-    }
-
-    this.notify();
+    this.apply(pivotPoint - (newRange * pivot), pivotPoint + (newRange * (1 - pivot)));
   }
 
   pan(deltaPoints: number): void {
-    const currentRange = this.end - this.start;
-    let newStart = this.start + deltaPoints;
-    let newEnd = this.end + deltaPoints;
-
-    if (newStart < 0) {
-      newStart = 0;
-      newEnd = currentRange;
-    }
-    if (newEnd > this.totalPoints) {
-      newEnd = this.totalPoints;
-      newStart = this.totalPoints - currentRange;
-    }
-
-    this.start = newStart;
-    this.end = newEnd;
-    this.notify();
+    this.apply(this.start + deltaPoints, this.end + deltaPoints);
   }
 
   onChange(callback: (start: number, end: number) => void): void {
@@ -79,8 +64,6 @@ export class Viewport {
   }
 
   setRange(start: number, end: number): void {
-      this.start = Math.max(0, start);
-      this.end = Math.min(this.totalPoints, end);
-      this.notify();
+      this.apply(start, end);
   }
 }
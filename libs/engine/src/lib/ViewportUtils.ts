@@ -0,0 +1,108 @@
+import { GraphConfig, ViewportRange, YAxisConfig, YRange } from './interfaces';
+import { Scale, createScale } from './Scale';
+
+/**
+ * Fallback Y range used until the host (or autoscale) provides one.
+ */
+export const DEFAULT_Y_START = -2000;
+export const DEFAULT_Y_END = 2000;
+
+/**
+ * Id of the implicit axis used when GraphConfig.yAxes is not set.
+ */
+export const DEFAULT_AXIS_ID = 'y';
+
+export function resolveYRange(range: ViewportRange): YRange {
+    return {
+        yStart: range.yStart ?? DEFAULT_Y_START,
+        yEnd: range.yEnd ?? DEFAULT_Y_END
+    };
+}
+
+/**
+ * The configured Y axes, or the single default axis.
+ */
+export function resolveAxes(axes: YAxisConfig[] | undefined): YAxisConfig[] {
+    return axes && axes.length > 0 ? axes : [{ id: DEFAULT_AXIS_ID }];
+}
+
+/**
+ * Current range of an axis: the primary axis (first in `axes`) lives in yStart / yEnd,
+ * the others in yRanges.
+ */
+export function resolveAxisRange(range: ViewportRange, axisId: string, axes: YAxisConfig[] | undefined): YRange {
+    if (axisId === resolveAxes(axes)[0].id) return resolveYRange(range);
+    return range.yRanges?.[axisId] ?? { yStart: DEFAULT_Y_START, yEnd: DEFAULT_Y_END };
+}
+
+export function withAxisRange(
+    range: ViewportRange,
+    axisId: string,
+    yRange: YRange,
+    axes: YAxisConfig[] | undefined
+): ViewportRange {
+    if (axisId === resolveAxes(axes)[0].id) return { ...range, ...yRange };
+    return { ...range, yRanges: { ...range.yRanges, [axisId]: yRange } };
+}
+
+export function resolveAxisScale(config: GraphConfig, axisId: string): Scale {
+    const axis = config.yAxes?.find(a => a.id === axisId);
+    return createScale(axis?.scale ?? config.yScale);
+}
+
+/**
+ * Maps every Y axis to the sub-interval [from, to] of its current span
+ * (fractions measured from the bottom, in scaled space), so pan and zoom
+ * move all axes proportionally.
+ */
+export function remapYRanges(range: ViewportRange, from: number, to: number, config: GraphConfig): ViewportRange {
+    const remap = ({ yStart, yEnd }: YRange, scale: Scale): YRange => {
+        const lo = scale.forward(yStart);
+        const span = scale.forward(yEnd) - lo;
+        return { yStart: scale.inverse(lo + from * span), yEnd: scale.inverse(lo + to * span) };
+    };
+
+    const primaryId = resolveAxes(config.yAxes)[0].id;
+    const result: ViewportRange = { ...range, ...remap(resolveYRange(range), resolveAxisScale(config, primaryId)) };
+    if (range.yRanges) {
+        result.yRanges = {};
+        for (const id of Object.keys(range.yRanges)) {
+            result.yRanges[id] = remap(range.yRanges[id], resolveAxisScale(config, id));
+        }
+    }
+    return result;
+}
+
+/**
+ * Expands a [min, max] extent by `padding` (fraction of the span) on each side.
+ * Flat extents get a span derived from their magnitude so they stay visible.
+ */
+export function padExtent(min: number, max: number, padding: number): YRange {
+    let span = max - min;
+    if (span === 0) {
+        span = Math.abs(min) * 0.1 || 1;
+        return { yStart: min - span / 2, yEnd: max + span / 2 };
+    }
+    return { yStart: min - span * padding, yEnd: max + span * padding };
+}
+
+/**
+ * The range at fraction `t` between `from` and `to`. Y axes are interpolated in
+ * scaled space, so log axes zoom evenly.
+ */
+export function interpolateRange(from: ViewportRange, to: ViewportRange, t: number, config: GraphConfig): ViewportRange {
+    const lerp = (a: number, b: number) => a + (b - a) * t;
+    let result: ViewportRange = { ...to, start: lerp(from.start, to.start), end: lerp(from.end, to.end) };
+
+    const axisIds = new Set([resolveAxes(config.yAxes)[0].id, ...Object.keys(to.yRanges ?? {})]);
+    for (const id of axisIds) {
+        const scale = resolveAxisScale(config, id);
+        const a = resolveAxisRange(from, id, config.yAxes);
+        const b = resolveAxisRange(to, id, config.yAxes);
+        result = withAxisRange(result, id, {
+            yStart: scale.inverse(lerp(scale.forward(a.yStart), scale.forward(b.yStart))),
+            yEnd: scale.inverse(lerp(scale.forward(a.yEnd), scale.forward(b.yEnd)))
+        }, config.yAxes);
+    }
+    return result;
+}
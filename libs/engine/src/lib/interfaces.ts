@@ -1,13 +1,21 @@
 
 import { Observable, BehaviorSubject, Subject } from 'rxjs';
+import { ScaleType } from './Scale';
 
 /**
  * Represents a chunk of data arriving from the server or generator.
  * @template TData - The type of the data array elements (default: Float32Array)
  */
 export interface DataChunk<TData = Float32Array> {
-  type: 'raw' | 'sparse' | 'sparse-aggregated';
+  /**
+   * Layout of `data`: samples (`raw` at consecutive X, `sparse` / `lttb` at `x`) or bins of
+   * `step` X units from `start`: interleaved [min, max] (`aggregated` / `sparse-aggregated`),
+   * [first, min, max, last] (`m4`) or the mean (`average`).
+   */
+  type: 'raw' | 'sparse' | 'aggregated' | 'sparse-aggregated' | 'm4' | 'lttb' | 'average';
   data: TData[]; 
+  /** Per-series X values (timestamps), only present for `sparse` and `lttb` chunks */
+  x?: Float64Array[];
   start: number;
   end: number;
   sampleRate?: number;
@@ -20,8 +28,174 @@ export interface DataChunk<TData = Float32Array> {
 export interface ViewportRange {
   start: number;
   end: number;
+  /** Range of the primary Y axis */
   yStart?: number;
   yEnd?: number;
+  /** Ranges of the secondary Y axes, keyed by axis id */
+  yRanges?: Record<string, YRange>;
+}
+
+/**
+ * Options for programmatic range changes (GraphEngine.setRange).
+ */
+export interface RangeChangeOptions {
+  /** Transition smoothly instead of jumping (ignored when GraphConfig.animations is false) */
+  animate?: boolean;
+  /** Transition length in ms (default: 250) */
+  duration?: number;
+}
+
+export interface YRange {
+  yStart: number;
+  yEnd: number;
+}
+
+/**
+ * A Y axis. The first axis in `GraphConfig.yAxes` is the primary axis: its range is
+ * `ViewportRange.yStart / yEnd` and it drives the grid lines.
+ */
+export interface YAxisConfig {
+  id: string;
+  /** Side the tick labels are drawn on (default: 'left') */
+  side?: 'left' | 'right';
+  /** Title drawn above the tick labels, e.g. the unit */
+  label?: string;
+  /** Initial range */
+  yStart?: number;
+  yEnd?: number;
+  /** Whether autoscale fits this axis (default: true) */
+  autoscale?: boolean;
+  /** Overrides GraphConfig.yScale for this axis */
+  scale?: ScaleType;
+}
+
+/**
+ * A request for the data covering [start, end] at a given level of detail.
+ */
+export interface DataRequest {
+  start: number;
+  end: number;
+  /** Bin size in X units. 1 requests raw samples. */
+  binSize: number;
+  sampleRate?: number;
+  /** How samples are reduced when binSize > 1 (default: 'minmax') */
+  algorithm?: DownsampleAlgorithm;
+}
+
+/**
+ * Server-side downsampling, trading fidelity for payload size:
+ * - `minmax`: [min, max] per bin, drawn as a band (`aggregated` / `sparse-aggregated` chunks)
+ * - `m4`: first, min, max and last per bin; with a bin per pixel column the line is
+ *   drawn as from the full data (`m4` chunks, 4 values per bin)
+ * - `lttb`: Largest-Triangle-Three-Buckets, one representative sample per bin that keeps
+ *   the shape of the line (`lttb` chunks, with X)
+ * - `average`: mean per bin, a smooth trend (`average` chunks, 1 value per bin)
+ */
+export type DownsampleAlgorithm = 'minmax' | 'm4' | 'lttb' | 'average';
+
+/**
+ * A source of data chunks that the GraphEngine queries on range changes.
+ * Implementations should reject (or resolve late, which is ignored) once `signal` is aborted.
+ * @template TData - The type of the data array elements (default: Float32Array)
+ */
+export interface DataProvider<TData = Float32Array> {
+  fetchChunk(request: DataRequest, signal?: AbortSignal): Promise<DataChunk<TData>>;
+  /** X range covered by the data, used by GraphEngine.resetToExtent. null if unknown. */
+  getExtent?(): Promise<DataExtent | null>;
+}
+
+export interface DataExtent {
+  start: number;
+  end: number;
+}
+
+/**
+ * Limits applied to every range change (input, history, host calls) by GraphEngine.updateRange.
+ * Spans are in axis units, so they work for any data density.
+ */
+export interface ViewConstraints {
+  /** X range the view is kept within (plus overscroll). Defaults to the data provider's extent. */
+  extent?: DataExtent;
+  /** How far the view may extend past the extent, as a fraction of the visible X span (default: 0.1) */
+  overscroll?: number;
+  /** Smallest visible X span (default: a precision floor relative to the X magnitude) */
+  minXSpan?: number;
+  /** Largest visible X span (default: the extent's span, unbounded without an extent) */
+  maxXSpan?: number;
+  /** Smallest visible span of each Y axis (default: a precision floor relative to the Y magnitude) */
+  minYSpan?: number;
+  /** Keep X fixed; pan and zoom only change Y */
+  lockX?: boolean;
+  /** Keep Y fixed, except for autoscale */
+  lockY?: boolean;
+}
+
+/**
+ * Options for GraphEngine.setDataProvider.
+ */
+export interface DataProviderOptions {
+  /** Quiet time after the last range change before fetching (default: 150ms) */
+  debounceMs?: number;
+  /** Target bins per horizontal pixel (default: 1) */
+  binsPerPixel?: number;
+  sampleRate?: number;
+  /** Downsampling requested from the provider (default: its own, 'minmax' for MockServer) */
+  algorithm?: DownsampleAlgorithm;
+}
+
+/**
+ * Live data (GraphEngine.appendData) is kept per series in a ring buffer and shown as a sparse chunk.
+ */
+export interface StreamOptions {
+  /** Samples kept per series; older ones are dropped (default: 10000) */
+  capacity?: number;
+  /** Samples further apart than this (X units) are drawn with a gap, as `DataChunk.sampleRate` (default: 100) */
+  sampleRate?: number;
+}
+
+/**
+ * Follow mode of live data: keeping the newest samples in view, paused because the
+ * view was moved away from them, or off.
+ */
+export type FollowState = 'following' | 'paused' | 'off';
+
+/**
+ * Display metadata for one series. Series are matched to `DataChunk.data` by index.
+ */
+export interface SeriesConfig {
+  id: string;
+  name: string;
+  /** Any CSS color. Defaults to an evenly spaced hue per series index. */
+  color?: string;
+  unit?: string;
+  /** Hidden series are neither drawn nor autoscaled (default: true) */
+  visible?: boolean;
+  /** Y axis the series is plotted against (default: the primary axis) */
+  axisId?: string;
+}
+
+/**
+ * Value of one series at the hovered X position.
+ * Raw / sparse / lttb chunks report the nearest sample in `value` (average chunks the bin mean),
+ * aggregated and m4 chunks report the hovered bin in `min` / `max`.
+ */
+export interface SeriesValue {
+  seriesIndex: number;
+  /** X of the nearest sample, or the start of the hovered bin */
+  x: number;
+  value?: number;
+  min?: number;
+  max?: number;
+}
+
+/**
+ * Emitted on GraphEngine.hover$ while the pointer moves over the plot.
+ */
+export interface HoverInfo {
+  x: number;
+  seriesValues: SeriesValue[];
+  /** Event annotations under the pointer */
+  events?: EventAnnotation[];
 }
 
 /**
@@ -29,12 +203,101 @@ export interface ViewportRange {
  * @template TMetadata - Optional custom metadata associated with the marker.
  */
 export interface MarkerConfig<TMetadata = any> {
+  /** Identifies the marker in edit events. Assigned by GraphEngine when missing. */
+  id?: string;
   start: number;
   end: number;
   label: string;
   metadata?: TMetadata;
 }
 
+/**
+ * Emitted on GraphEngine.markerEvents$ when markers are edited (by the user or through the
+ * engine API). `marker` is the marker after the change; a `selected` event with null clears the selection.
+ * Bulk replacement through setMarkers emits nothing.
+ */
+export interface MarkerEvent<TMetadata = any> {
+  type: 'created' | 'updated' | 'deleted' | 'selected';
+  marker: MarkerConfig<TMetadata> | null;
+}
+
+/**
+ * A point-in-time event, drawn as a vertical line at `x` with an icon at the top.
+ * Events closer together than the icon width are grouped into one icon with a count badge.
+ * @template TMetadata - Optional custom metadata associated with the event.
+ */
+export interface EventAnnotation<TMetadata = any> {
+  id?: string;
+  x: number;
+  /** Tooltip text */
+  label?: string;
+  /** CSS color (default orange) */
+  color?: string;
+  /** A character or emoji shown in the icon (default a plain dot) */
+  icon?: string;
+  metadata?: TMetadata;
+}
+
+export type LineDash = 'solid' | 'dashed' | 'dotted';
+
+/**
+ * A horizontal reference line at a Y value (alarm limit, setpoint). A line outside the visible
+ * Y range is pinned to the nearest edge of the plot, so it stays in view while panning.
+ */
+export interface ThresholdLine {
+  id?: string;
+  value: number;
+  /** Y axis the value is on (YAxisConfig.id); defaults to the first axis */
+  axisId?: string;
+  label?: string;
+  /** CSS color (default red) */
+  color?: string;
+  dash?: LineDash;
+}
+
+/**
+ * Options for GraphEngine.exportImage. Sizes default to the on-screen container.
+ */
+export interface ImageExportOptions {
+  format?: 'png' | 'svg';
+  /** Width in CSS pixels */
+  width?: number;
+  /** Height in CSS pixels */
+  height?: number;
+  /** Device pixels per CSS pixel of a PNG export, e.g. 2 for print (default: 1) */
+  scale?: number;
+}
+
+export type DataExportFormat = 'csv' | 'json';
+
+/**
+ * Options for GraphEngine.exportData. The X interval defaults to the visible range.
+ */
+export interface DataExportOptions {
+  format?: DataExportFormat;
+  start?: number;
+  end?: number;
+  /**
+   * `native` fetches raw samples (binSize 1) from the data provider page by page;
+   * `displayed` exports the level of detail the view shows (default: 'native').
+   * Without a data provider the loaded chunk is exported.
+   */
+  resolution?: 'native' | 'displayed';
+  /** Export hidden series too (default: false) */
+  includeHidden?: boolean;
+  /** Called after each page with the fraction of the interval written */
+  onProgress?: (fraction: number) => void;
+  signal?: AbortSignal;
+}
+
+/**
+ * Y axis autoscale behaviour.
+ * - `once`: fit to the visible data on the next data load, then switch to `manual`.
+ * - `always`: re-fit whenever the data or the visible X window changes.
+ * - `manual`: keep the Y range as set by the host or the user (e.g. after a Y drag).
+ */
+export type AutoscaleMode = 'once' | 'always' | 'manual';
+
 /**
  * Base configuration for the graph engine.
  */
@@ -43,6 +306,29 @@ export interface GraphConfig {
   lineWidth?: number;
   showMarkers?: boolean;
   showArea?: boolean;
+  /** Show a crosshair and value tooltip under the pointer */
+  crosshair?: boolean;
+  /** Show the series legend overlay */
+  showLegend?: boolean;
+  /** Draw the Y tick labels (default: true) */
+  showYLabels?: boolean;
+  autoscaleY?: AutoscaleMode;
+  /** Padding added above and below the autoscaled extent, as a fraction of its span (default: 0.05) */
+  autoscalePadding?: number;
+  /** Y axes; series are assigned through `SeriesConfig.axisId`. Defaults to a single left axis. */
+  yAxes?: YAxisConfig[];
+  /** `time` treats X as ms since the epoch and labels it with calendar-aligned ticks (default: 'linear') */
+  xScale?: 'linear' | 'time';
+  /** Time zone for `time` X labels (default: 'utc') */
+  timeZone?: 'utc' | 'local';
+  /** Y scale of every axis without its own `scale` (default: 'linear') */
+  yScale?: ScaleType;
+  /** Pan / zoom limits */
+  constraints?: ViewConstraints;
+  /** Animated zoom transitions, smoothed wheel zoom and kinetic panning (default: true) */
+  animations?: boolean;
+  /** Live data buffering (GraphEngine.appendData) */
+  stream?: StreamOptions;
   // Add more config options as needed
 }
 
@@ -0,0 +1,126 @@
+import { Renderer } from '../../Renderer';
+import { EventAnnotation, GraphConfig, ThresholdLine, ViewportRange } from '../../interfaces';
+import {
+    DASH_PATTERNS,
+    EVENT_COLOR,
+    EVENT_ICON_RADIUS,
+    EVENT_ICON_Y,
+    THRESHOLD_COLOR,
+    THRESHOLD_LABEL_HEIGHT,
+    ThresholdPlacement,
+    clusterEvents,
+    placeThresholds,
+    thresholdLabel
+} from '../../AnnotationLayout';
+import { CanvasProjection } from './CanvasProjection';
+
+export class CanvasAnnotations<TConfig extends GraphConfig> {
+    private events: EventAnnotation[] = [];
+    private thresholds: ThresholdLine[] = [];
+
+    constructor(
+        private renderer: Renderer<TConfig>
+    ) {}
+
+    /** Sorted by x */
+    public setEvents(events: EventAnnotation[]): void {
+        this.events = events;
+    }
+
+    public setThresholds(thresholds: ThresholdLine[]): void {
+        this.thresholds = thresholds;
+    }
+
+    // Lines at data positions are part of the cached frame (beneath the data)
+    public drawLines(ctx: CanvasRenderingContext2D, proj: CanvasProjection, range: ViewportRange): void {
+        ctx.save();
+        ctx.lineWidth = 1;
+        ctx.globalAlpha = 0.7;
+
+        for (const cluster of clusterEvents(this.events, proj, proj.width)) {
+            ctx.strokeStyle = cluster.events[0].color ?? EVENT_COLOR;
+            ctx.beginPath();
+            ctx.moveTo(cluster.x, 0);
+            ctx.lineTo(cluster.x, proj.height);
+            ctx.stroke();
+        }
+
+        for (const placement of this.placeThresholds(proj, range)) {
+            if (!placement.clamped) this.strokeThreshold(ctx, placement, proj.width);
+        }
+
+        ctx.restore();
+    }
+
+    // Lines pinned to an edge stay put while panning, so they are drawn every frame
+    public drawPinnedLines(ctx: CanvasRenderingContext2D, proj: CanvasProjection, range: ViewportRange): void {
+        ctx.save();
+        ctx.lineWidth = 1;
+        ctx.globalAlpha = 0.5;
+
+        for (const placement of this.placeThresholds(proj, range)) {
+            if (placement.clamped) this.strokeThreshold(ctx, placement, proj.width);
+        }
+
+        ctx.restore();
+    }
+
+    public drawLabels(ctx: CanvasRenderingContext2D, proj: CanvasProjection, range: ViewportRange): void {
+        ctx.save();
+        ctx.font = '11px monospace';
+        ctx.textAlign = 'right';
+        ctx.globalAlpha = 0.9;
+
+        const rightAxes = this.renderer.getAxisLayout(range).filter(a => a.side === 'right').length;
+        const labelX = proj.width - 4 - rightAxes * this.renderer.AXIS_LABEL_WIDTH;
+
+        for (const placement of this.placeThresholds(proj, range)) {
+            // Above the line, or below it when that would leave the plot
+            const below = placement.y < THRESHOLD_LABEL_HEIGHT;
+            ctx.fillStyle = placement.threshold.color ?? THRESHOLD_COLOR;
+            ctx.textBaseline = below ? 'top' : 'bottom';
+            ctx.fillText(thresholdLabel(placement), labelX, placement.y + (below ? 2 : -2));
+        }
+
+        ctx.globalAlpha = 1.0;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        for (const cluster of clusterEvents(this.events, proj, proj.width)) {
+            const [first] = cluster.events;
+            const grouped = cluster.events.length > 1;
+
+            ctx.fillStyle = first.color ?? EVENT_COLOR;
+            ctx.beginPath();
+            ctx.arc(cluster.x, EVENT_ICON_Y, EVENT_ICON_RADIUS, 0, Math.PI * 2);
+            ctx.fill();
+            if (grouped) {
+                ctx.strokeStyle = '#ffffff';
+                ctx.stroke();
+            }
+
+            const text = grouped ? String(cluster.events.length) : first.icon;
+            if (text) {
+                ctx.fillStyle = '#ffffff';
+                ctx.font = grouped ? 'bold 9px monospace' : '9px monospace';
+                ctx.fillText(text, cluster.x, EVENT_ICON_Y + 0.5);
+            }
+        }
+
+        ctx.restore();
+    }
+
+    private placeThresholds(proj: CanvasProjection, range: ViewportRange): ThresholdPlacement[] {
+        if (this.thresholds.length === 0) return [];
+        return placeThresholds(this.thresholds, this.renderer.getAxisLayout(range), proj.height);
+    }
+
+    private strokeThreshold(ctx: CanvasRenderingContext2D, placement: ThresholdPlacement, width: number): void {
+        ctx.strokeStyle = placement.threshold.color ?? THRESHOLD_COLOR;
+        ctx.setLineDash(DASH_PATTERNS[placement.threshold.dash ?? 'solid']);
+        ctx.beginPath();
+        ctx.moveTo(0, placement.y);
+        ctx.lineTo(width, placement.y);
+        ctx.stroke();
+        ctx.setLineDash([]);
+    }
+}
@@ -0,0 +1,101 @@
+import { DataChunk, GraphConfig, ViewportRange } from '../../interfaces';
+import { Renderer } from '../../Renderer';
+import { CanvasProjection, withYRange } from './CanvasProjection';
+import { isBandChunk, traceBandOutline, traceSeriesLine } from '../../SeriesGeometry';
+
+export class CanvasDataLayer<TConfig extends GraphConfig> {
+    private chunk: DataChunk<ArrayLike<number>> | null = null;
+
+    constructor(
+        private renderer: Renderer<TConfig>
+    ) {}
+
+    public setData<TData>(dataChunk: DataChunk<TData>): void {
+        this.chunk = dataChunk as unknown as DataChunk<ArrayLike<number>>;
+    }
+
+    public hasData(): boolean {
+        return this.chunk !== null;
+    }
+
+    public draw(ctx: CanvasRenderingContext2D, proj: CanvasProjection, range: ViewportRange, lineWidth: number): void {
+        if (!this.chunk) return;
+        const { type, data } = this.chunk;
+
+        ctx.save();
+        ctx.lineJoin = 'round';
+        ctx.lineCap = 'round';
+
+        for (let i = 0; i < data.length; i++) {
+            const seriesData = data[i];
+            if (seriesData.length === 0) continue;
+
+            const style = this.renderer.getSeriesStyle(i);
+            if (style.visible === false) continue;
+            const emphasis = this.renderer.getSeriesEmphasis(i);
+            const seriesProj = withYRange(proj, this.renderer.getSeriesAxisRange(range, i), this.renderer.getSeriesScale(i));
+
+            ctx.strokeStyle = style.color as string;
+            ctx.fillStyle = style.color as string;
+
+            if (!isBandChunk(type)) {
+                ctx.globalAlpha = emphasis;
+                ctx.lineWidth = lineWidth;
+                this.drawTrace(ctx, seriesProj, i);
+            } else {
+                ctx.globalAlpha = 0.5 * emphasis;
+                ctx.lineWidth = 1;
+                this.drawBand(ctx, seriesProj, i);
+            }
+        }
+
+        ctx.restore();
+    }
+
+    // Lines of every type, traced like the WebGL buffers (projection applies the Y scale)
+    private drawTrace(ctx: CanvasRenderingContext2D, proj: CanvasProjection, seriesIndex: number): void {
+        const chunk = this.chunk as DataChunk<ArrayLike<number>>;
+        const { toX, toY } = proj;
+        let first = true;
+
+        ctx.beginPath();
+        traceSeriesLine(chunk, seriesIndex, y => y, (x, y) => {
+            if (first) ctx.moveTo(toX(x), toY(y));
+            else ctx.lineTo(toX(x), toY(y));
+            first = false;
+        });
+        ctx.stroke();
+    }
+
+    // Aggregated / sparse-aggregated: the closed [min, max] band outline, traced like the WebGL buffers
+    private drawBand(ctx: CanvasRenderingContext2D, proj: CanvasProjection, seriesIndex: number): void {
+        const chunk = this.chunk as DataChunk<ArrayLike<number>>;
+        const { toX, toY } = proj;
+        const xs: number[] = [];
+        const ys: number[] = [];
+        traceBandOutline(chunk, seriesIndex, y => y, (x, y) => {
+            xs.push(toX(x));
+            ys.push(toY(y));
+        });
+        if (xs.length === 0) return;
+
+        // Keep flat bins at least one pixel tall: the bottom pass runs right to left,
+        // mirroring the top vertices (the last vertex closes the loop)
+        const top = (xs.length - 1) / 2;
+        for (let k = top; k < 2 * top; k++) {
+            const max = ys[2 * top - 1 - k];
+            if (ys[k] - max < 1) ys[k] = max + 1;
+        }
+
+        ctx.beginPath();
+        ctx.moveTo(xs[0], ys[0]);
+        for (let k = 1; k < 2 * top; k++) ctx.lineTo(xs[k], ys[k]);
+        ctx.closePath();
+        ctx.fill();
+        ctx.stroke();
+    }
+
+    public destroy(): void {
+        this.chunk = null;
+    }
+}
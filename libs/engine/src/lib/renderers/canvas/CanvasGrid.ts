@@ -0,0 +1,83 @@
+import { Renderer } from '../../Renderer';
+import { GraphConfig, ViewportRange } from '../../interfaces';
+import { CanvasProjection } from './CanvasProjection';
+import { scaleFraction } from '../../Scale';
+
+export class CanvasGrid<TConfig extends GraphConfig> {
+
+    constructor(
+        private renderer: Renderer<TConfig>
+    ) {}
+
+    // Grid lines are part of the cached frame
+    public drawLines(ctx: CanvasRenderingContext2D, proj: CanvasProjection): void {
+        const { width, height } = proj;
+        const yTicks = this.renderer.calculateAxisTicks(proj.yMin, proj.yMax, proj.scale, 8);
+        const xTicks = this.renderer.getXTicks(proj.start, proj.end, 10);
+
+        ctx.save();
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.1)';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+
+        // Y-axis lines (horizontal)
+        for (const yVal of yTicks) {
+            const y = proj.toY(yVal);
+            if (y < 0 || y > height) continue;
+            ctx.moveTo(0, y);
+            ctx.lineTo(width, y);
+        }
+
+        // X-axis lines (vertical)
+        for (const { value: xVal } of xTicks) {
+            const x = proj.toX(xVal);
+            if (x < 0 || x > width) continue;
+            ctx.moveTo(x, 0);
+            ctx.lineTo(x, height);
+        }
+
+        ctx.stroke();
+        ctx.restore();
+    }
+
+    // Labels are drawn on every frame, on top of the (possibly transformed) cache
+    public drawLabels(ctx: CanvasRenderingContext2D, proj: CanvasProjection, range: ViewportRange): void {
+        const { width, height } = proj;
+        const xTicks = this.renderer.getXTicks(proj.start, proj.end, 10);
+
+        ctx.save();
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.7)';
+        ctx.font = '11px monospace';
+        ctx.textBaseline = 'top';
+
+        // Y-axis labels, one column per axis
+        const axisLayouts = this.renderer.showsYLabels() ? this.renderer.getAxisLayout(range) : [];
+        for (const { axis, range: yRange, side, slot, scale } of axisLayouts) {
+            const offset = 5 + slot * this.renderer.AXIS_LABEL_WIDTH;
+            const x = side === 'left' ? offset : width - offset;
+            ctx.textAlign = side;
+
+            for (const yVal of this.renderer.calculateAxisTicks(yRange.yStart, yRange.yEnd, scale, 8)) {
+                const y = height - scaleFraction(scale, yRange.yStart, yRange.yEnd, yVal) * height;
+                if (y < 0 || y > height) continue;
+                ctx.fillText(this.renderer.formatYLabel(yVal), x, y);
+            }
+            if (axis.label) ctx.fillText(axis.label, x, 2);
+        }
+        ctx.textAlign = 'left';
+
+        // X-axis labels, with the context row (e.g. the date) above them
+        for (const tick of xTicks) {
+            const x = proj.toX(tick.value);
+            if (x < 0 || x > width) continue;
+            ctx.fillText(tick.label, x, height - 15);
+            if (tick.context) {
+                ctx.fillStyle = 'rgba(255, 255, 255, 0.5)';
+                ctx.fillText(tick.context, x, height - 28);
+                ctx.fillStyle = 'rgba(255, 255, 255, 0.7)';
+            }
+        }
+
+        ctx.restore();
+    }
+}
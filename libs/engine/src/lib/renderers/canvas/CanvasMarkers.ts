@@ -0,0 +1,69 @@
+import { MarkerConfig } from '../../interfaces';
+import { CanvasProjection } from './CanvasProjection';
+
+export class CanvasMarkers {
+    private markersConfig: MarkerConfig[] = [];
+    private selectedId: string | null = null;
+
+    public setMarkers(markers: MarkerConfig[]): void {
+        this.markersConfig = markers || [];
+    }
+
+    public setSelected(id: string | null): void {
+        this.selectedId = id;
+    }
+
+    // Regions are part of the cached frame (beneath the data)
+    public drawRegions(ctx: CanvasRenderingContext2D, proj: CanvasProjection): void {
+        if (this.markersConfig.length === 0) return;
+        const { start, end, height } = proj;
+
+        ctx.save();
+        ctx.lineWidth = 1;
+
+        for (const m of this.markersConfig) {
+            if (m.end < start || m.start > end) continue;
+
+            const x1 = proj.toX(m.start);
+            const x2 = proj.toX(m.end);
+            const selected = m.id !== undefined && m.id === this.selectedId;
+
+            // Box
+            ctx.fillStyle = selected ? 'rgba(0, 136, 255, 0.25)' : 'rgba(0, 136, 255, 0.1)';
+            ctx.fillRect(x1, 0, x2 - x1, height);
+
+            // Vertical Lines
+            ctx.lineWidth = selected ? 2 : 1;
+            ctx.strokeStyle = selected ? 'rgba(0, 136, 255, 1)' : 'rgba(0, 136, 255, 0.6)';
+            ctx.beginPath();
+            ctx.moveTo(x1, 0);
+            ctx.lineTo(x1, height);
+            ctx.moveTo(x2, 0);
+            ctx.lineTo(x2, height);
+            ctx.stroke();
+        }
+
+        ctx.restore();
+    }
+
+    public drawLabels(ctx: CanvasRenderingContext2D, proj: CanvasProjection): void {
+        if (this.markersConfig.length === 0) return;
+        const { start, end, width } = proj;
+
+        ctx.save();
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'top';
+        ctx.fillStyle = 'rgba(0, 136, 255, 0.8)';
+        ctx.font = 'bold 12px monospace';
+
+        for (const m of this.markersConfig) {
+            if (m.end < start || m.start > end) continue;
+
+            const x = proj.toX(m.start + (m.end - m.start) / 2);
+            if (x < 0 || x > width) continue;
+            ctx.fillText(m.label, x, 10);
+        }
+
+        ctx.restore();
+    }
+}
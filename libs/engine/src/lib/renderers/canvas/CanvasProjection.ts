@@ -0,0 +1,48 @@
+import { ViewportRange, YRange } from '../../interfaces';
+import { resolveYRange } from '../../ViewportUtils';
+import { Scale, createScale, scaleFraction } from '../../Scale';
+
+/**
+ * World -> screen mapping for a single frame of the Canvas2D renderer.
+ */
+export interface CanvasProjection {
+    start: number;
+    end: number;
+    yMin: number;
+    yMax: number;
+    width: number;
+    height: number;
+    scale: Scale;
+    toX(x: number): number;
+    toY(y: number): number;
+}
+
+export function createProjection(
+    range: ViewportRange,
+    width: number,
+    height: number,
+    scale: Scale = createScale('linear')
+): CanvasProjection {
+    const { start, end } = range;
+    const { yStart: yMin, yEnd: yMax } = resolveYRange(range);
+    const xSpan = end - start;
+
+    return {
+        start,
+        end,
+        yMin,
+        yMax,
+        width,
+        height,
+        scale,
+        toX: (x: number) => (x - start) / xSpan * width,
+        toY: (y: number) => height - scaleFraction(scale, yMin, yMax, y) * height
+    };
+}
+
+/**
+ * Same X mapping, Y mapped to another axis' range and scale.
+ */
+export function withYRange(proj: CanvasProjection, yRange: YRange, scale: Scale): CanvasProjection {
+    return createProjection({ start: proj.start, end: proj.end, ...yRange }, proj.width, proj.height, scale);
+}
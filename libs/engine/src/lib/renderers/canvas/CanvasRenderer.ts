@@ -0,0 +1,241 @@
+import { BehaviorSubject } from 'rxjs';
+import { Renderer } from '../../Renderer';
+import { DataChunk, MarkerConfig, GraphConfig, ViewportRange, SeriesConfig, EventAnnotation, ThresholdLine } from '../../interfaces';
+import { CanvasProjection, createProjection } from './CanvasProjection';
+import { resolveYRange } from '../../ViewportUtils';
+import { CanvasGrid } from './CanvasGrid';
+import { CanvasMarkers } from './CanvasMarkers';
+import { CanvasAnnotations } from './CanvasAnnotations';
+import { CanvasDataLayer } from './CanvasDataLayer';
+
+const BACKGROUND = '#222222';
+
+/**
+ * Canvas2D fallback renderer for environments without WebGL.
+ *
+ * Uses "frame caching": a full render is drawn into an offscreen cache canvas,
+ * and while the range is changing (pan / zoom) the cached frame is blitted with
+ * a 2D transform instead of redrawing every path. Once the range settles the
+ * high fidelity frame is redrawn.
+ */
+export class CanvasRenderer<TConfig extends GraphConfig> extends Renderer<TConfig> {
+  private canvas: HTMLCanvasElement;
+  private ctx: CanvasRenderingContext2D;
+
+  // Cache for interaction
+  private cacheCanvas: HTMLCanvasElement;
+  private cacheCtx: CanvasRenderingContext2D;
+  private cachedRange: ViewportRange | null = null;
+  private settleTimer: ReturnType<typeof setTimeout> | null = null;
+
+  private readonly SETTLE_DELAY = 150;
+
+  private grid: CanvasGrid<TConfig>;
+  private markers: CanvasMarkers;
+  private annotations: CanvasAnnotations<TConfig>;
+  private dataLayer: CanvasDataLayer<TConfig>;
+
+  constructor(
+      container: HTMLElement,
+      config$: BehaviorSubject<TConfig>,
+      range$: BehaviorSubject<ViewportRange>
+  ) {
+    super(container, config$, range$);
+
+    this.canvas = document.createElement('canvas');
+    this.canvas.width = this.width;
+    this.canvas.height = this.height;
+    this.canvas.style.display = 'block';
+    this.container.appendChild(this.canvas);
+    this.ctx = this.getContext(this.canvas);
+
+    this.cacheCanvas = document.createElement('canvas');
+    this.cacheCanvas.width = this.width;
+    this.cacheCanvas.height = this.height;
+    this.cacheCtx = this.getContext(this.cacheCanvas);
+
+    // Components
+    this.grid = new CanvasGrid(this);
+    this.markers = new CanvasMarkers();
+    this.annotations = new CanvasAnnotations(this);
+    this.dataLayer = new CanvasDataLayer(this);
+
+    // Initial Render
+    this.render();
+  }
+
+  private getContext(canvas: HTMLCanvasElement): CanvasRenderingContext2D {
+      const ctx = canvas.getContext('2d', { alpha: false });
+      if (!ctx) throw new Error('CanvasRenderer: 2D context is not available');
+      return ctx;
+  }
+
+  override resize(width: number, height: number): void {
+    super.resize(width, height);
+    this.canvas.width = width;
+    this.canvas.height = height;
+    this.cacheCanvas.width = width;
+    this.cacheCanvas.height = height;
+    this.invalidate();
+    this.render();
+  }
+
+  setData<TData>(chunk: DataChunk<TData>): void {
+      if (!chunk) return;
+      this.dataLayer.setData(chunk);
+      this.invalidate();
+      this.render();
+  }
+
+  // The 2D canvas redraws everything anyway, so live data is set as a whole
+  appendData<TData>(chunk: DataChunk<TData>): void {
+      this.setData(chunk);
+  }
+
+  override setSeries(series: SeriesConfig[]): void {
+      super.setSeries(series);
+      this.invalidate();
+      this.render();
+  }
+
+  override setHighlight(seriesIndex: number | null): void {
+      super.setHighlight(seriesIndex);
+      this.invalidate();
+      this.render();
+  }
+
+  override setSelectedMarker(id: string | null): void {
+      super.setSelectedMarker(id);
+      this.markers.setSelected(id);
+      this.invalidate();
+      this.render();
+  }
+
+  setMarkers(markers: MarkerConfig[]): void {
+      this.markers.setMarkers(markers);
+      this.invalidate();
+      this.render();
+  }
+
+  override setEvents(events: EventAnnotation[]): void {
+      super.setEvents(events);
+      this.annotations.setEvents(this.events);
+      this.invalidate();
+      this.render();
+  }
+
+  override setThresholds(thresholds: ThresholdLine[]): void {
+      super.setThresholds(thresholds);
+      this.annotations.setThresholds(this.thresholds);
+      this.invalidate();
+      this.render();
+  }
+
+  render(): void {
+      const range = this.range$.getValue();
+
+      if (this.cachedRange && !this.isSameRange(range, this.cachedRange)) {
+          // Interaction in progress: transform the cached frame, redraw once settled
+          this.renderInteraction(range);
+          this.scheduleSettle();
+          return;
+      }
+
+      this.renderFull(range);
+  }
+
+  private renderFull(range: ViewportRange): void {
+      this.cancelSettle();
+      const proj = this.createPrimaryProjection(range);
+      const ctx = this.cacheCtx;
+
+      this.drawFrame(ctx, proj, range);
+      this.cachedRange = { ...range };
+      this.renderInteraction(range);
+  }
+
+  // Everything but the labels. Order: Grid -> Markers -> Annotation lines -> Data
+  private drawFrame(ctx: CanvasRenderingContext2D, proj: CanvasProjection, range: ViewportRange): void {
+      ctx.globalAlpha = 1.0;
+      ctx.fillStyle = BACKGROUND;
+      ctx.fillRect(0, 0, proj.width, proj.height);
+
+      this.grid.drawLines(ctx, proj);
+      this.markers.drawRegions(ctx, proj);
+      this.annotations.drawLines(ctx, proj, range);
+      this.dataLayer.draw(ctx, proj, range, this.config$.getValue().lineWidth ?? 1);
+  }
+
+  renderToContext(ctx: CanvasRenderingContext2D, width: number, height: number, scale: number): void {
+      const range = this.range$.getValue();
+      const proj = createProjection(range, width, height, this.getAxisLayout(range)[0].scale);
+
+      ctx.save();
+      ctx.setTransform(scale, 0, 0, scale, 0, 0);
+      this.drawFrame(ctx, proj, range);
+      this.annotations.drawPinnedLines(ctx, proj, range);
+      this.grid.drawLabels(ctx, proj, range);
+      this.markers.drawLabels(ctx, proj);
+      this.annotations.drawLabels(ctx, proj, range);
+      ctx.restore();
+  }
+
+  // Composite the cached frame onto the screen, mapped from the cached range to `range`
+  private renderInteraction(range: ViewportRange): void {
+      const cached = this.cachedRange as ViewportRange;
+      const proj = this.createPrimaryProjection(range);
+
+      // Where the cached frame's corners land in the current projection
+      const x = proj.toX(cached.start);
+      const w = proj.toX(cached.end) - x;
+      const { yStart, yEnd } = resolveYRange(cached);
+      const y = proj.toY(yEnd);
+      const h = proj.toY(yStart) - y;
+
+      this.ctx.save();
+      this.ctx.globalAlpha = 1.0;
+      this.ctx.fillStyle = BACKGROUND;
+      this.ctx.fillRect(0, 0, this.width, this.height);
+      this.ctx.drawImage(this.cacheCanvas, 0, 0, this.width, this.height, x, y, w, h);
+      this.ctx.restore();
+
+      // Labels are never cached
+      this.annotations.drawPinnedLines(this.ctx, proj, range);
+      this.grid.drawLabels(this.ctx, proj, range);
+      this.markers.drawLabels(this.ctx, proj);
+      this.annotations.drawLabels(this.ctx, proj, range);
+  }
+
+  private createPrimaryProjection(range: ViewportRange): CanvasProjection {
+      return createProjection(range, this.width, this.height, this.getAxisLayout(range)[0].scale);
+  }
+
+  private invalidate(): void {
+      this.cachedRange = null;
+  }
+
+  private scheduleSettle(): void {
+      this.cancelSettle();
+      this.settleTimer = setTimeout(() => {
+          this.settleTimer = null;
+          this.renderFull(this.range$.getValue());
+      }, this.SETTLE_DELAY);
+  }
+
+  private cancelSettle(): void {
+      if (this.settleTimer) {
+          clearTimeout(this.settleTimer);
+          this.settleTimer = null;
+      }
+  }
+
+  private isSameRange(a: ViewportRange, b: ViewportRange): boolean {
+      return a.start === b.start && a.end === b.end && a.yStart === b.yStart && a.yEnd === b.yEnd;
+  }
+
+  destroy(): void {
+      this.cancelSettle();
+      this.dataLayer.destroy();
+      this.container.removeChild(this.canvas); // Clean up DOM
+  }
+}
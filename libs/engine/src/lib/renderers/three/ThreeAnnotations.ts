@@ -0,0 +1,176 @@
+import * as THREE from 'three';
+import { Renderer } from '../../Renderer';
+import { EventAnnotation, GraphConfig, ThresholdLine, ViewportRange } from '../../interfaces';
+import { resolveYRange } from '../../ViewportUtils';
+import {
+    EVENT_COLOR,
+    EVENT_ICON_RADIUS,
+    EVENT_ICON_Y,
+    THRESHOLD_COLOR,
+    THRESHOLD_LABEL_HEIGHT,
+    clusterEvents,
+    dashSegments,
+    placeThresholds,
+    thresholdLabel
+} from '../../AnnotationLayout';
+
+/**
+ * Event lines and threshold lines, beneath the data (markers are further back).
+ * Their layout depends on the screen (event clusters, pinned thresholds, dashes in px),
+ * so the geometry is rebuilt from the screen layout on every update. Icons and labels are DOM overlays.
+ */
+export class ThreeAnnotations<TConfig extends GraphConfig> {
+    private lines: THREE.LineSegments;
+    private labelContainer: HTMLDivElement;
+    private events: EventAnnotation[] = [];
+    private thresholds: ThresholdLine[] = [];
+
+    constructor(
+        private renderer: Renderer<TConfig>,
+        private scene: THREE.Scene,
+        private container: HTMLElement
+    ) {
+        const material = new THREE.LineBasicMaterial({
+            vertexColors: true,
+            transparent: true,
+            depthWrite: false
+        });
+        this.lines = new THREE.LineSegments(new THREE.BufferGeometry(), material);
+        this.lines.position.z = -3;
+        this.lines.frustumCulled = false;
+        this.scene.add(this.lines);
+
+        this.labelContainer = document.createElement('div');
+        Object.assign(this.labelContainer.style, {
+            position: 'absolute',
+            top: '0',
+            left: '0',
+            width: '100%',
+            height: '100%',
+            pointerEvents: 'none',
+            zIndex: '11'
+        });
+        this.container.appendChild(this.labelContainer);
+    }
+
+    /** Sorted by x */
+    public setEvents(events: EventAnnotation[]): void {
+        this.events = events;
+    }
+
+    public setThresholds(thresholds: ThresholdLine[]): void {
+        this.thresholds = thresholds;
+    }
+
+    public update(range: ViewportRange, world: ViewportRange, width: number, height: number): void {
+        this.labelContainer.replaceChildren();
+        const positions: number[] = [];
+        const colors: number[] = [];
+        if (width <= 0 || height <= 0) {
+            this.setGeometry(positions, colors);
+            return;
+        }
+
+        // Screen px -> world units (X as is, Y in the scaled space of the primary axis)
+        const { yStart, yEnd } = resolveYRange(world);
+        const toWorldX = (px: number) => range.start + px / width * (range.end - range.start);
+        const toWorldY = (py: number) => yEnd - py / height * (yEnd - yStart);
+        const color = new THREE.Color();
+        const addSegment = (x1: number, y1: number, x2: number, y2: number, css: string, alpha: number) => {
+            color.set(css);
+            positions.push(toWorldX(x1), toWorldY(y1), 0, toWorldX(x2), toWorldY(y2), 0);
+            colors.push(color.r, color.g, color.b, alpha, color.r, color.g, color.b, alpha);
+        };
+
+        const clusters = clusterEvents(this.events, range, width);
+        for (const cluster of clusters) {
+            addSegment(cluster.x, 0, cluster.x, height, cluster.events[0].color ?? EVENT_COLOR, 0.7);
+        }
+
+        const axes = this.renderer.getAxisLayout(range);
+        const placements = this.thresholds.length === 0 ? [] : placeThresholds(this.thresholds, axes, height);
+        const rightAxes = axes.filter(a => a.side === 'right').length;
+        const labelRight = 4 + rightAxes * this.renderer.AXIS_LABEL_WIDTH;
+
+        for (const placement of placements) {
+            const css = placement.threshold.color ?? THRESHOLD_COLOR;
+            for (const [x1, x2] of dashSegments(width, placement.threshold.dash)) {
+                addSegment(x1, placement.y, x2, placement.y, css, placement.clamped ? 0.5 : 0.7);
+            }
+
+            // Above the line, or below it when that would leave the plot
+            const below = placement.y < THRESHOLD_LABEL_HEIGHT;
+            const label = this.createLabel(thresholdLabel(placement), css);
+            Object.assign(label.style, {
+                right: `${labelRight}px`,
+                top: `${below ? placement.y + 2 : placement.y - 2}px`,
+                transform: below ? '' : 'translateY(-100%)',
+                opacity: '0.9'
+            });
+            this.labelContainer.appendChild(label);
+        }
+
+        for (const cluster of clusters) {
+            this.labelContainer.appendChild(this.createIcon(cluster.x, cluster.events));
+        }
+
+        this.setGeometry(positions, colors);
+    }
+
+    private setGeometry(positions: number[], colors: number[]): void {
+        this.lines.geometry.dispose();
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+        geometry.setAttribute('color', new THREE.Float32BufferAttribute(colors, 4));
+        this.lines.geometry = geometry;
+    }
+
+    private createLabel(text: string, color: string): HTMLDivElement {
+        const label = document.createElement('div');
+        Object.assign(label.style, {
+            position: 'absolute',
+            color,
+            fontSize: '11px',
+            fontFamily: 'monospace',
+            whiteSpace: 'nowrap'
+        });
+        label.textContent = text;
+        return label;
+    }
+
+    // A circle with the event's icon, or with the event count for a cluster
+    private createIcon(x: number, events: EventAnnotation[]): HTMLDivElement {
+        const [first] = events;
+        const grouped = events.length > 1;
+        const size = EVENT_ICON_RADIUS * 2;
+
+        const icon = document.createElement('div');
+        Object.assign(icon.style, {
+            position: 'absolute',
+            left: `${x - EVENT_ICON_RADIUS}px`,
+            top: `${EVENT_ICON_Y - EVENT_ICON_RADIUS}px`,
+            width: `${size}px`,
+            height: `${size}px`,
+            lineHeight: `${size}px`,
+            borderRadius: '50%',
+            boxSizing: 'border-box',
+            border: grouped ? '1px solid #ffffff' : 'none',
+            background: first.color ?? EVENT_COLOR,
+            color: '#ffffff',
+            fontSize: '9px',
+            fontFamily: 'monospace',
+            fontWeight: grouped ? 'bold' : 'normal',
+            textAlign: 'center',
+            overflow: 'hidden'
+        });
+        icon.textContent = grouped ? String(events.length) : first.icon ?? '';
+        return icon;
+    }
+
+    public destroy(): void {
+        this.labelContainer.remove();
+        this.lines.geometry.dispose();
+        (this.lines.material as THREE.Material).dispose();
+        this.scene.remove(this.lines);
+    }
+}
@@ -1,17 +1,40 @@
 
 import * as THREE from 'three';
-import { DataChunk } from '../../interfaces';
+import { Renderer } from '../../Renderer';
+import { DataChunk, GraphConfig, ViewportRange } from '../../interfaces';
+import { isBandChunk, traceBandOutline, traceSeriesLine } from '../../SeriesGeometry';
 
-export class ThreeDataLayer {
+/**
+ * Line buffer layout of a live series. Samples are numbered from the last rebuild on;
+ * `sampleVertex` holds the vertex of each, so samples dropped from the start of the
+ * chunk only move the start of the draw range.
+ */
+interface StreamGeometry {
+    // Sample number of the chunk's first sample (negative while samples older than the rebuild remain undrawn)
+    first: number;
+    // Number of the next sample to write
+    next: number;
+    // Vertices written so far
+    vertices: number;
+    sampleVertex: Int32Array;
+}
+
+export class ThreeDataLayer<TConfig extends GraphConfig> {
     private group: THREE.Group;
     private lines: THREE.Line[] = [];
     private meshes: THREE.Mesh[] = [];
+    // Whether the pooled object holds geometry for the current chunk
+    private lineActive: boolean[] = [];
+    private meshActive: boolean[] = [];
+    // Live series: where their samples are in the line buffer (null: the line was set as a whole)
+    private streams: (StreamGeometry | null)[] = [];
     private lineMaterial: THREE.LineBasicMaterial;
     private areaMaterial: THREE.ShaderMaterial;
     
     private readonly MAX_POINTS = 25000;
 
     constructor(
+        private renderer: Renderer<TConfig>,
         private scene: THREE.Scene
     ) {
         this.group = new THREE.Group();
@@ -40,6 +63,7 @@ export class ThreeDataLayer {
         const fragmentShader = `
             uniform vec3 uColor;
             uniform float uYRange;
+            uniform float uOpacity;
             varying float vRange;
             varying float vAlphaMult;
             void main() {
@@ -47,14 +71,15 @@ export class ThreeDataLayer {
                 float pattern = step(0.5, fract(gl_FragCoord.x / 2.0));
                 float volatileAlpha = mix(0.2, 1.0, pattern);
                 float finalAlpha = mix(1.0, volatileAlpha, volatility);
-                gl_FragColor = vec4(uColor, finalAlpha * vAlphaMult);
+                gl_FragColor = vec4(uColor, finalAlpha * vAlphaMult * uOpacity);
             }
         `;
     
         this.areaMaterial = new THREE.ShaderMaterial({
             uniforms: {
                 uColor: { value: new THREE.Color(0x00ff00) },
-                uYRange: { value: 4000 } 
+                uYRange: { value: 4000 },
+                uOpacity: { value: 1.0 }
             },
             vertexShader,
             fragmentShader,
@@ -71,6 +96,54 @@ export class ThreeDataLayer {
         }
     }
     
+    /**
+     * Maps each series from its (scaled) Y axis into the camera's world space,
+     * which is the scaled range of the primary axis. Also sets `uYRange` to the span of
+     * the series' axis, since the volatility shading is relative to the visible Y span.
+     */
+    public updateAxes(range: ViewportRange, worldYStart: number, worldYEnd: number): void {
+        const primarySpan = worldYEnd - worldYStart;
+        
+        for(let i=0; i<this.lines.length; i++) {
+            const axis = this.renderer.getSeriesAxisRange(range, i);
+            const fy = this.renderer.getSeriesScale(i).forward;
+            const axisStart = fy(axis.yStart);
+            const span = fy(axis.yEnd) - axisStart;
+            const scale = primarySpan / span;
+            const offset = worldYStart - axisStart * scale;
+            
+            for (const obj of [this.lines[i], this.meshes[i]]) {
+                obj.scale.y = scale;
+                obj.position.y = offset;
+            }
+            (this.meshes[i].material as THREE.ShaderMaterial).uniforms['uYRange'].value = span;
+        }
+    }
+    
+    /**
+     * Applies series colors, visibility and highlight emphasis to the pooled objects.
+     */
+    public refreshStyles(): void {
+        for(let i=0; i<this.lines.length; i++) {
+            const style = this.renderer.getSeriesStyle(i);
+            const emphasis = this.renderer.getSeriesEmphasis(i);
+            const visible = style.visible !== false;
+            const color = style.color as string;
+            
+            const line = this.lines[i];
+            const lineMat = line.material as THREE.LineBasicMaterial;
+            lineMat.color.setStyle(color);
+            lineMat.opacity = 0.8 * emphasis;
+            line.visible = this.lineActive[i] && visible;
+            
+            const mesh = this.meshes[i];
+            const areaMat = mesh.material as THREE.ShaderMaterial;
+            areaMat.uniforms['uColor'].value.setStyle(color);
+            areaMat.uniforms['uOpacity'].value = emphasis;
+            mesh.visible = this.meshActive[i] && visible;
+        }
+    }
+    
     private ensurePoolSize(count: number): void {
           if (this.lines.length >= count) return;
           
@@ -78,8 +151,6 @@ export class ThreeDataLayer {
           const needed = count - currentSize;
           
           for(let i=0; i<needed; i++) {
-            const idx = currentSize + i;
-            
             // Line Buffer
             const lineGeo = new THREE.BufferGeometry();
             const positions = new Float32Array(this.MAX_POINTS * 3);
@@ -88,8 +159,8 @@ export class ThreeDataLayer {
             
             const line = new THREE.Line(lineGeo, this.lineMaterial.clone());
             line.visible = false;
-            (line.material as THREE.LineBasicMaterial).color.setHSL((idx % 100) / 100, 0.8, 0.5);
             this.lines.push(line);
+            this.lineActive.push(false);
             this.group.add(line);
             
             // Area Buffer
@@ -106,110 +177,60 @@ export class ThreeDataLayer {
             const area = new THREE.Mesh(areaGeo, this.areaMaterial.clone());
             // Clone uniforms for unique color per mesh
             area.material = this.areaMaterial.clone();
-            (area.material as THREE.ShaderMaterial).uniforms['uColor'].value.setHSL((idx % 100) / 100, 0.8, 0.5);
             
             area.visible = false;
             this.meshes.push(area);
+            this.meshActive.push(false);
             this.group.add(area);
           }
+          
+          this.refreshStyles();
     }
     
-    public setData<TData>(dataChunk: DataChunk<TData>, start: number, end: number): void {
-        const { type, data } = dataChunk;
+    public setData<TData>(dataChunk: DataChunk<TData>): void {
+        const { type, data, start } = dataChunk;
         this.ensurePoolSize(data.length);
         
         for(let i=0; i<this.lines.length; i++) {
             const line = this.lines[i];
             const mesh = this.meshes[i];
   
+            this.streams[i] = null;
             if (i >= data.length) {
-                line.visible = false;
-                mesh.visible = false;
+                this.lineActive[i] = false;
+                this.meshActive[i] = false;
                 continue;
             }
   
             const seriesData = data[i] as unknown as Float32Array; // Assume Float32Array for now or handle generic TData mapping?
+            // Vertices are written in the scaled space of the series' axis (log / symlog)
+            const fy = this.renderer.getSeriesScale(i).forward;
             // Since TData is generic, we need to know how to read it. 
             // For this implementation, let's assume TData is number-like or we cast it to array-like access.
             // Safe assumption for graph engine: Float32Array or number[]
            
-            if (type === 'sparse' || type === 'raw') {
-                 // Unified Line Logic
-                 line.visible = true;
-                 mesh.visible = false;
-                 
-                 const isSparse = (type === 'sparse');
-                 // For sparse, we need X data. In the previous JS, dataChunk had `.x` ?
-                 // The DataChunk interface defined in previous steps has `data: TData[]`.
-                 // It doesn't explicitly have `x` array if user provides separate X.
-                 // In JS `setData`: `const { x: dataX } = dataChunk;`
-                 // I should update Interface or cast `dataChunk` to `any` to access extra properties not strictly typed in base interface?
-                 // Or add `x?: Float64Array[]` to DataChunk interface.
-                 // I'll cast for now.
-                 
-                 const extraChunk = dataChunk as any;
-                 const seriesX = isSparse ? extraChunk.x[i] : null; 
-                 const len = seriesData.length;
-                 
-                 if (len === 0) continue;
-  
-                 const positions = (line.geometry.attributes['position'] as THREE.BufferAttribute).array as Float32Array;
-                 let ptr = 0;
-                 
-                 const gapThreshold = isSparse ? (dataChunk.sampleRate || 100) : Infinity; 
-                 const absoluteStart = start; 
-  
-                 const getX = isSparse 
-                      ? (j: number) => seriesX[j]
-                      : (j: number) => start + j; 
-  
-                 // Edge Heuristic: Start
-                 const firstX = getX(0);
-                 const distToStart = firstX - absoluteStart;
-                 
-                 if (distToStart > gapThreshold) {
-                     positions[ptr++] = absoluteStart; positions[ptr++] = 0; positions[ptr++] = 0;
-                     positions[ptr++] = firstX; positions[ptr++] = 0; positions[ptr++] = 0;
-                 } else {
-                     positions[ptr++] = absoluteStart; positions[ptr++] = seriesData[0]; positions[ptr++] = 0;
-                 }
-                 
-                 positions[ptr++] = firstX; positions[ptr++] = seriesData[0]; positions[ptr++] = 0;
-                 
-                 for(let j=1; j<len; j++) {
-                     const t = getX(j);
-                     const prevT = getX(j-1);
-                     const dt = t - prevT;
-                     const val = seriesData[j];
-                     
-                     if (dt > gapThreshold) {
-                         // Gap!
-                         const prevAx = prevT; 
-                         positions[ptr++] = prevAx; positions[ptr++] = 0; positions[ptr++] = 0;
-                         positions[ptr++] = t; positions[ptr++] = 0; positions[ptr++] = 0;
-                         positions[ptr++] = t; positions[ptr++] = val; positions[ptr++] = 0;
-                     } else {
-                         positions[ptr++] = t; positions[ptr++] = val; positions[ptr++] = 0;
-                     }
-                 }
+            const chunk = dataChunk as unknown as DataChunk<ArrayLike<number>>;
+            const positions = (line.geometry.attributes['position'] as THREE.BufferAttribute).array as Float32Array;
+            let ptr = 0;
+            const emit = (x: number, y: number) => {
+                positions[ptr++] = x; positions[ptr++] = y; positions[ptr++] = 0;
+            };
+           
+            if (!isBandChunk(type)) {
+                 // Unified Line Logic for samples, M4 bins and averages (shared with the SVG export)
+                 this.meshActive[i] = false;
+                 this.lineActive[i] = seriesData.length > 0;
+                 if (seriesData.length === 0) continue;
                  
-                 // Edge Heuristic: End
-                 const lastX = getX(len-1);
-                 const distToEnd = end - lastX;
-                 if (distToEnd > gapThreshold) {
-                     positions[ptr++] = lastX; positions[ptr++] = 0; positions[ptr++] = 0;
-                     positions[ptr++] = end; positions[ptr++] = 0; positions[ptr++] = 0;
-                 } else {
-                     positions[ptr++] = end; positions[ptr++] = seriesData[len-1]; positions[ptr++] = 0;
-                 }
+                 traceSeriesLine(chunk, i, fy, emit);
                  
                  line.geometry.attributes['position'].needsUpdate = true;
                  line.geometry.setDrawRange(0, ptr / 3);
                  
             } else {
                 // Aggregated
-                line.visible = true;
-                mesh.visible = true;
+                this.lineActive[i] = true;
+                this.meshActive[i] = true;
                 
                 const step = dataChunk.step || 1;
                 const binCount = seriesData.length / 2;
@@ -225,8 +246,8 @@ export class ThreeDataLayer {
                     const x1 = start + j * step;
                     const x2 = start + (j+1) * step;
                     
-                    const min = seriesData[j*2];
-                    const max = seriesData[j*2+1];
+                    const min = fy(seriesData[j*2]);
+                    const max = fy(seriesData[j*2+1]);
                     const range = max - min;
                     
                     // Tri 1
@@ -251,39 +272,127 @@ export class ThreeDataLayer {
                 mesh.geometry.attributes['aAlphaMult'].needsUpdate = true;
                 mesh.geometry.setDrawRange(0, binCount * 6);
                 
-                // 2. Update LINE
-                const linePos = (line.geometry.attributes['position'] as THREE.BufferAttribute).array as Float32Array;
-                let linePtr = 0;
-                
-                // Trace Top
-                for(let j=0; j<binCount; j++) {
-                     const x = start + j * step;
-                     const nextX = start + (j+1) * step;
-                     const max = seriesData[j*2+1];
-                     linePos[linePtr++] = x; linePos[linePtr++] = max; linePos[linePtr++] = 0;
-                     linePos[linePtr++] = nextX; linePos[linePtr++] = max; linePos[linePtr++] = 0;
-                }
-                
-                // Trace Bottom
-                for(let j=binCount-1; j>=0; j--) {
-                    const x = start + j * step;
-                    const nextX = start + (j+1) * step;
-                    const min = seriesData[j*2];
-                    linePos[linePtr++] = nextX; linePos[linePtr++] = min; linePos[linePtr++] = 0;
-                    linePos[linePtr++] = x; linePos[linePtr++] = min; linePos[linePtr++] = 0;
-                }
-                
-                // Close loop
-                linePos[linePtr++] = start;
-                linePos[linePtr++] = seriesData[1]; 
-                linePos[linePtr++] = 0;
+                // 2. Update LINE (outline, shared with the SVG export)
+                traceBandOutline(chunk, i, fy, emit);
                 
                 line.geometry.attributes['position'].needsUpdate = true;
-                line.geometry.setDrawRange(0, binCount * 4 + 1);
+                line.geometry.setDrawRange(0, ptr / 3);
             }
         }
+        
+        this.refreshStyles();
     }
     
+    /**
+     * Live sparse data that extends the previous chunk by `appended[i]` samples per series:
+     * only the vertices of the new samples are written and uploaded. Unlike setData, lines
+     * are not extended to the chunk edges. A series is rebuilt when it was not streamed
+     * before or its buffer is full, keeping the newest samples that fill half of it.
+     */
+    public appendData<TData>(dataChunk: DataChunk<TData>, appended: number[]): void {
+        const chunk = dataChunk as unknown as DataChunk<ArrayLike<number>>;
+        if (chunk.type !== 'sparse' || !chunk.x) {
+            this.setData(dataChunk);
+            return;
+        }
+        const { data } = chunk;
+        this.ensurePoolSize(data.length);
+
+        for (let i = 0; i < this.lines.length; i++) {
+            this.meshActive[i] = false;
+            const seriesY = data[i];
+            const seriesX = chunk.x[i];
+            if (i >= data.length || !seriesX || seriesY.length === 0) {
+                this.lineActive[i] = false;
+                this.streams[i] = null;
+                continue;
+            }
+            this.lineActive[i] = true;
+
+            const count = seriesY.length;
+            const added = Math.min(appended[i] ?? 0, count);
+            const stream = this.streams[i];
+            // Samples dropped from the start since the last call
+            const dropped = stream ? stream.next - stream.first + added - count : -1;
+            const fits = stream && stream.vertices + added * 3 <= this.MAX_POINTS && stream.next + added <= this.MAX_POINTS;
+
+            if (stream && dropped >= 0 && fits) {
+                stream.first += dropped;
+                this.writeStream(i, chunk, stream, count - added);
+            } else {
+                this.rebuildStream(i, chunk);
+            }
+        }
+
+        this.refreshStyles();
+    }
+
+    private rebuildStream(seriesIndex: number, chunk: DataChunk<ArrayLike<number>>): void {
+        const seriesX = chunk.x?.[seriesIndex] as ArrayLike<number>;
+        const gapThreshold = chunk.sampleRate || 100;
+        const count = chunk.data[seriesIndex].length;
+
+        // Newest samples first until half the buffer is used (a gap before a sample costs two more vertices)
+        let from = count;
+        let vertices = 0;
+        while (from > 0) {
+            const cost = from > 1 && seriesX[from - 1] - seriesX[from - 2] > gapThreshold ? 3 : 1;
+            if (vertices + cost > this.MAX_POINTS / 2) break;
+            vertices += cost;
+            from--;
+        }
+
+        const stream: StreamGeometry = {
+            first: -from,
+            next: 0,
+            vertices: 0,
+            sampleVertex: this.streams[seriesIndex]?.sampleVertex ?? new Int32Array(this.MAX_POINTS)
+        };
+        this.streams[seriesIndex] = stream;
+        this.writeStream(seriesIndex, chunk, stream, from);
+    }
+
+    // Writes the samples from `from` on (chunk index) and uploads just their vertices
+    private writeStream(seriesIndex: number, chunk: DataChunk<ArrayLike<number>>, stream: StreamGeometry, from: number): void {
+        const seriesY = chunk.data[seriesIndex];
+        const seriesX = chunk.x?.[seriesIndex] as ArrayLike<number>;
+        const gapThreshold = chunk.sampleRate || 100;
+        const fy = this.renderer.getSeriesScale(seriesIndex).forward;
+        const zeroY = fy(0);
+
+        const geometry = this.lines[seriesIndex].geometry;
+        const attribute = geometry.attributes['position'] as THREE.BufferAttribute;
+        const positions = attribute.array as Float32Array;
+        const rebuilt = stream.vertices === 0;
+        const start = stream.vertices;
+        let ptr = start * 3;
+        const emit = (x: number, y: number) => {
+            positions[ptr++] = x; positions[ptr++] = y; positions[ptr++] = 0;
+        };
+
+        // Same gap heuristic as traceLine; the sample before a rebuilt range is not drawn
+        const firstGap = rebuilt ? from + 1 : Math.max(1, from);
+        for (let j = from; j < seriesY.length; j++) {
+            if (j >= firstGap && seriesX[j] - seriesX[j - 1] > gapThreshold) {
+                emit(seriesX[j - 1], zeroY);
+                emit(seriesX[j], zeroY);
+            }
+            stream.sampleVertex[stream.next++] = ptr / 3;
+            emit(seriesX[j], fy(seriesY[j]));
+        }
+        stream.vertices = ptr / 3;
+
+        if (rebuilt) {
+            attribute.clearUpdateRanges();
+        } else if (stream.vertices > start) {
+            attribute.addUpdateRange(start * 3, (stream.vertices - start) * 3);
+        }
+        attribute.needsUpdate = true;
+
+        const drawStart = stream.sampleVertex[Math.max(0, stream.first)];
+        geometry.setDrawRange(drawStart, stream.vertices - drawStart);
+    }
+
     public destroy(): void {
          this.group.clear();
          this.lines = [];
@@ -1,7 +1,9 @@
 
 import * as THREE from 'three';
-import { Renderer } from '../../Renderer';
+import { AxisLayout, Renderer } from '../../Renderer';
 import { GraphConfig, ViewportRange } from '../../interfaces';
+import { resolveYRange } from '../../ViewportUtils';
+import { scaleFraction } from '../../Scale';
 
 export class ThreeGrid<TConfig extends GraphConfig> {
     private gridLines: THREE.LineSegments;
@@ -33,6 +35,8 @@ export class ThreeGrid<TConfig extends GraphConfig> {
             position: 'absolute',
             top: '0',
             left: '0',
+            width: '100%',
+            height: '100%',
             pointerEvents: 'none',
             color: 'rgba(255,255,255,0.7)',
             fontSize: '11px',
@@ -41,26 +45,31 @@ export class ThreeGrid<TConfig extends GraphConfig> {
         this.container.appendChild(this.labelContainer);
     }
     
-    public update(range: ViewportRange, width: number, height: number, camera: THREE.Camera): void {
+    /**
+     * @param range Visible range in data units
+     * @param world Same range in world units (Y scaled by the primary axis' scale)
+     */
+    public update(range: ViewportRange, world: ViewportRange, width: number, height: number, camera: THREE.Camera): void {
         const { start, end } = range;
-        const Y_MIN = -2000;
-        const Y_MAX = 2000;
+        const { yStart: Y_MIN, yEnd: Y_MAX } = resolveYRange(world);
         
-        const yTicks = this.renderer.calculateNiceTicks(Y_MIN, Y_MAX, 8);
-        const xTicks = this.renderer.calculateNiceTicks(start, end, 10);
+        const primary = this.renderer.getAxisLayout(range)[0];
+        const yTicks = this.renderer.calculateAxisTicks(primary.range.yStart, primary.range.yEnd, primary.scale, 8);
+        const xTicks = this.renderer.getXTicks(start, end, 10);
         
         // Update grid lines geometry
         const gridPos = (this.gridLines.geometry.attributes['position'] as THREE.BufferAttribute).array as Float32Array;
         let ptr = 0;
         
          // Y-axis lines (horizontal)
-         for (const yVal of yTicks) {
+         for (const tick of yTicks) {
+             const yVal = primary.scale.forward(tick);
              gridPos[ptr++] = start; gridPos[ptr++] = yVal; gridPos[ptr++] = 0;
              gridPos[ptr++] = end; gridPos[ptr++] = yVal; gridPos[ptr++] = 0;
          }
          
          // X-axis lines (vertical)
-         for (const xVal of xTicks) {
+         for (const { value: xVal } of xTicks) {
              gridPos[ptr++] = xVal; gridPos[ptr++] = Y_MIN; gridPos[ptr++] = 0;
              gridPos[ptr++] = xVal; gridPos[ptr++] = Y_MAX; gridPos[ptr++] = 0;
          }
@@ -81,35 +90,62 @@ export class ThreeGrid<TConfig extends GraphConfig> {
              return { x: sx, y: sy };
         };
 
-        // Y-axis labels
-        for (const yVal of yTicks) {
-            const ndc = worldToScreen(start, yVal);
+        // Y-axis labels, one column per axis
+        const axisLayouts = this.renderer.showsYLabels() ? this.renderer.getAxisLayout(range) : [];
+        for (const layout of axisLayouts) {
+            this.addAxisLabels(layout, height);
+        }
+        
+        // X-axis labels, with the context row (e.g. the date) above them
+        for (const tick of xTicks) {
+            const ndc = worldToScreen(tick.value, Y_MIN);
             if (!ndc) continue;
             
             const label = document.createElement('div');
             Object.assign(label.style, {
                 position: 'absolute',
-                left: '5px',
-                top: `${ndc.y}px`
+                left: `${ndc.x}px`,
+                top: `${height - 15}px`
             });
-            label.textContent = this.renderer.formatYLabel(yVal);
+            label.textContent = tick.label;
             this.labelContainer.appendChild(label);
+            
+            if (tick.context) {
+                const context = document.createElement('div');
+                Object.assign(context.style, {
+                    position: 'absolute',
+                    left: `${ndc.x}px`,
+                    top: `${height - 28}px`,
+                    color: 'rgba(255,255,255,0.5)'
+                });
+                context.textContent = tick.context;
+                this.labelContainer.appendChild(context);
+            }
         }
+    }
+    
+    private addAxisLabels(layout: AxisLayout, height: number): void {
+        const { axis, range, side, slot, scale } = layout;
+        const offset = `${5 + slot * this.renderer.AXIS_LABEL_WIDTH}px`;
         
-        // X-axis labels
-        for (const xVal of xTicks) {
-            const ndc = worldToScreen(xVal, Y_MIN);
-            if (!ndc) continue;
-            
+        const addLabel = (text: string, top: number) => {
             const label = document.createElement('div');
             Object.assign(label.style, {
                 position: 'absolute',
-                left: `${ndc.x}px`,
-                top: `${height - 15}px`
+                [side]: offset,
+                top: `${top}px`
             });
-            label.textContent = Math.floor(xVal).toString();
+            label.textContent = text;
             this.labelContainer.appendChild(label);
+        };
+        
+        for (const yVal of this.renderer.calculateAxisTicks(range.yStart, range.yEnd, scale, 8)) {
+            const sy = height - scaleFraction(scale, range.yStart, range.yEnd, yVal) * height;
+            if (sy < 0 || sy > height) continue;
+            addLabel(this.renderer.formatYLabel(yVal), sy);
         }
+        
+        if (axis.label) addLabel(axis.label, 2);
     }
     
     public destroy(): void {
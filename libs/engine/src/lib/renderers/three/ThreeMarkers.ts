@@ -1,11 +1,13 @@
 
 import * as THREE from 'three';
 import { MarkerConfig, ViewportRange } from '../../interfaces';
+import { resolveYRange } from '../../ViewportUtils';
 
 export class ThreeMarkers {
     private markerGroup: THREE.Group;
     private labelContainer: HTMLDivElement;
     private markersConfig: MarkerConfig[] = [];
+    private selectedId: string | null = null;
 
     constructor(
         private scene: THREE.Scene,
@@ -25,19 +27,29 @@ export class ThreeMarkers {
         this.container.appendChild(this.labelContainer);
     }
     
+    public getMarkers(): MarkerConfig[] {
+        return this.markersConfig;
+    }
+    
     public setMarkers(markers: MarkerConfig[]): void {
         this.markersConfig = markers || [];
         this.updateGeometry();
     }
     
+    public setSelected(id: string | null): void {
+        this.selectedId = id;
+        this.updateGeometry();
+    }
+    
     private updateGeometry(): void {
         this.markerGroup.clear();
         this.labelContainer.innerHTML = ''; 
         
         if (this.markersConfig.length === 0) return;
         
-        const Y_TOP = 2000;
-        const Y_BOTTOM = -2000;
+        // Geometry spans a unit height; the group is scaled to the visible Y range in update()
+        const Y_TOP = 1;
+        const Y_BOTTOM = 0;
         
         const mat = new THREE.MeshBasicMaterial({ 
             color: 0x0088ff, 
@@ -55,11 +67,14 @@ export class ThreeMarkers {
         this.markersConfig.forEach(m => {
             const width = m.end - m.start;
             const center = m.start + width / 2;
+            const selected = m.id !== undefined && m.id === this.selectedId;
             
             // Box
             const planeGeo = new THREE.PlaneGeometry(width, Y_TOP - Y_BOTTOM);
-            const mesh = new THREE.Mesh(planeGeo, mat.clone()); 
-            mesh.position.set(center, 0, -1); 
+            const boxMat = mat.clone();
+            if (selected) boxMat.opacity = 0.25;
+            const mesh = new THREE.Mesh(planeGeo, boxMat); 
+            mesh.position.set(center, (Y_TOP + Y_BOTTOM) / 2, -1); 
             mesh.position.z = -5;
             this.markerGroup.add(mesh);
             
@@ -71,15 +86,18 @@ export class ThreeMarkers {
                 new THREE.Vector3(m.end, Y_BOTTOM, 0)
             ];
             
+            const edgeMat = lineMat.clone();
+            if (selected) edgeMat.opacity = 1.0;
+            
             // Left Line
             const leftGeo = new THREE.BufferGeometry().setFromPoints([points[0], points[1]]);
-            const leftLine = new THREE.Line(leftGeo, lineMat.clone());
+            const leftLine = new THREE.Line(leftGeo, edgeMat);
             leftLine.position.z = -4; 
             this.markerGroup.add(leftLine);
             
             // Right Line
             const rightGeo = new THREE.BufferGeometry().setFromPoints([points[2], points[3]]);
-            const rightLine = new THREE.Line(rightGeo, lineMat.clone());
+            const rightLine = new THREE.Line(rightGeo, edgeMat);
             rightLine.position.z = -4;
             this.markerGroup.add(rightLine);
         });
@@ -95,7 +113,12 @@ export class ThreeMarkers {
         
         this.labelContainer.innerHTML = '';
         const { start, end } = range;
-        const Y_TOP = 2000;
+        const { yStart, yEnd } = resolveYRange(range);
+        const Y_TOP = yEnd;
+        
+        // Stretch the unit-height regions over the visible Y range
+        this.markerGroup.position.y = yStart;
+        this.markerGroup.scale.y = yEnd - yStart;
         
         const worldToScreen = (x: number, y: number) => {
              const vec = new THREE.Vector3(x, y, 0);
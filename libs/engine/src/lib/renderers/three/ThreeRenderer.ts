@@ -2,10 +2,16 @@
 import * as THREE from 'three';
 import { BehaviorSubject } from 'rxjs';
 import { Renderer } from '../../Renderer';
-import { DataChunk, MarkerConfig, GraphConfig, ViewportRange } from '../../interfaces';
+import { DataChunk, MarkerConfig, GraphConfig, ViewportRange, SeriesConfig, EventAnnotation, ThresholdLine } from '../../interfaces';
 import { ThreeGrid } from './ThreeGrid';
 import { ThreeMarkers } from './ThreeMarkers';
+import { ThreeAnnotations } from './ThreeAnnotations';
 import { ThreeDataLayer } from './ThreeDataLayer';
+import { resolveYRange } from '../../ViewportUtils';
+import { createProjection } from '../canvas/CanvasProjection';
+import { CanvasGrid } from '../canvas/CanvasGrid';
+import { CanvasMarkers } from '../canvas/CanvasMarkers';
+import { CanvasAnnotations } from '../canvas/CanvasAnnotations';
 
 export class ThreeRenderer<TConfig extends GraphConfig> extends Renderer<TConfig> {
   private scene: THREE.Scene;
@@ -14,7 +20,8 @@ export class ThreeRenderer<TConfig extends GraphConfig> extends Renderer<TConfig
   
   private grid: ThreeGrid<TConfig>;
   private markers: ThreeMarkers;
-  private dataLayer: ThreeDataLayer;
+  private annotations: ThreeAnnotations<TConfig>;
+  private dataLayer: ThreeDataLayer<TConfig>;
 
   constructor(
       container: HTMLElement, 
@@ -41,60 +48,154 @@ export class ThreeRenderer<TConfig extends GraphConfig> extends Renderer<TConfig
     // Components
     this.grid = new ThreeGrid(this, this.scene, this.container);
     this.markers = new ThreeMarkers(this.scene, this.container);
-    this.dataLayer = new ThreeDataLayer(this.scene);
+    this.annotations = new ThreeAnnotations(this, this.scene, this.container);
+    this.dataLayer = new ThreeDataLayer(this, this.scene);
     
     // Initial Render
     this.render();
   }
 
+  /**
+   * Whether a WebGL context can be created in this environment.
+   * Hosts can use this to fall back to the CanvasRenderer.
+   */
+  static isSupported(): boolean {
+      try {
+          const canvas = document.createElement('canvas');
+          return !!(canvas.getContext('webgl2') || canvas.getContext('webgl'));
+      } catch {
+          return false;
+      }
+  }
+
   override resize(width: number, height: number): void {
     super.resize(width, height);
     this.renderer.setSize(width, height);
     this.render();
   }
 
-  private updateCamera(range: ViewportRange): void {
-      const { start, end, yStart, yEnd } = range;
+  /**
+   * The range in world units: X as is, Y in the scaled space of the primary axis.
+   */
+  private toWorldRange(range: ViewportRange): ViewportRange {
+      const { yStart, yEnd } = resolveYRange(range);
+      const { forward } = this.getAxisLayout(range)[0].scale;
+      return { start: range.start, end: range.end, yStart: forward(yStart), yEnd: forward(yEnd) };
+  }
+
+  private updateCamera(range: ViewportRange, world: ViewportRange): void {
+      const { start, end } = world;
+      const { yStart, yEnd } = resolveYRange(world);
       this.camera.left = start;
       this.camera.right = end;
-      this.camera.top = (yEnd !== undefined) ? yEnd : 2000; 
-      this.camera.bottom = (yStart !== undefined) ? yStart : -2000;
+      this.camera.top = yEnd;
+      this.camera.bottom = yStart;
       this.camera.updateProjectionMatrix();
+      this.dataLayer.updateAxes(range, yStart, yEnd);
   }
 
   setData<TData>(chunk: DataChunk<TData>): void {
       if (!chunk) return;
       console.time('ThreeRenderer: setData');
       console.log(`[ThreeRenderer] setData called - start: ${chunk.start}, end: ${chunk.end}`);
-      this.dataLayer.setData(chunk, chunk.start, chunk.end);
+      this.dataLayer.setData(chunk);
       console.timeEnd('ThreeRenderer: setData');
       this.render();
   }
 
+  override appendData<TData>(chunk: DataChunk<TData>, appended: number[]): void {
+      this.dataLayer.appendData(chunk, appended);
+      this.render();
+  }
+
+  override setSeries(series: SeriesConfig[]): void {
+      super.setSeries(series);
+      this.dataLayer.refreshStyles();
+      this.render();
+  }
+
+  override setHighlight(seriesIndex: number | null): void {
+      super.setHighlight(seriesIndex);
+      this.dataLayer.refreshStyles();
+      this.render();
+  }
+
+  override setSelectedMarker(id: string | null): void {
+      super.setSelectedMarker(id);
+      this.markers.setSelected(id);
+      this.render();
+  }
+
   setMarkers(markers: MarkerConfig[]): void {
       this.markers.setMarkers(markers);
       this.render();
   }
 
+  override setEvents(events: EventAnnotation[]): void {
+      super.setEvents(events);
+      this.annotations.setEvents(this.events);
+      this.render();
+  }
+
+  override setThresholds(thresholds: ThresholdLine[]): void {
+      super.setThresholds(thresholds);
+      this.annotations.setThresholds(this.thresholds);
+      this.render();
+  }
+
   render(): void {
       console.time('ThreeRenderer: render');
       // Get latest state
       const range = this.range$.getValue();
+      const world = this.toWorldRange(range);
       
-      this.updateCamera(range);
+      this.updateCamera(range, world);
       
       // Update Components with latest view state
       // Note: setData handles data updates separately
-      this.grid.update(range, this.width, this.height, this.camera);
-      this.markers.update(range, this.width, this.height, this.camera);
+      this.grid.update(range, world, this.width, this.height, this.camera);
+      this.markers.update(world, this.width, this.height, this.camera);
+      this.annotations.update(range, world, this.width, this.height);
       
       this.renderer.render(this.scene, this.camera);
       console.timeEnd('ThreeRenderer: render');
   }
   
+  renderToContext(ctx: CanvasRenderingContext2D, width: number, height: number, scale: number): void {
+      // A separate WebGL context, so the export size is independent of the on-screen canvas
+      this.render();
+      const offscreen = new THREE.WebGLRenderer({ antialias: true, preserveDrawingBuffer: true });
+      try {
+          offscreen.setPixelRatio(scale);
+          offscreen.setSize(width, height, false);
+          offscreen.render(this.scene, this.camera);
+          ctx.drawImage(offscreen.domElement, 0, 0);
+      } finally {
+          offscreen.dispose();
+          offscreen.forceContextLoss();
+      }
+
+      // On screen the grid, marker and annotation labels are DOM overlays; draw them the way the Canvas2D renderer does
+      const range = this.range$.getValue();
+      const proj = createProjection(range, width, height, this.getAxisLayout(range)[0].scale);
+      const markers = new CanvasMarkers();
+      markers.setMarkers(this.markers.getMarkers());
+      const annotations = new CanvasAnnotations(this);
+      annotations.setEvents(this.events);
+      annotations.setThresholds(this.thresholds);
+
+      ctx.save();
+      ctx.setTransform(scale, 0, 0, scale, 0, 0);
+      new CanvasGrid(this).drawLabels(ctx, proj, range);
+      markers.drawLabels(ctx, proj);
+      annotations.drawLabels(ctx, proj, range);
+      ctx.restore();
+  }
+  
   destroy(): void {
       this.grid.destroy();
       this.markers.destroy();
+      this.annotations.destroy();
       this.dataLayer.destroy();
       this.renderer.dispose();
       this.container.removeChild(this.renderer.domElement); // Clean up DOM
@@ -1 +1,5 @@
 export * from './lib/MockServer';
+export * from './lib/Downsampling';
+export * from './lib/ProtocolServer';
+export * from './lib/DataWorker';
+export * from './lib/WorkerDataService';
@@ -0,0 +1,82 @@
+import type { DataChunk, DataExtent, DataRequest } from '@canvas-graph/engine';
+import { MockServer } from './MockServer';
+
+/** Main thread -> worker */
+export type DataWorkerRequest =
+  | { id: number; type: 'generate'; generator: string; nSeries: number; nPoints: number }
+  | { id: number; type: 'query'; request: DataRequest }
+  | { id: number; type: 'extent' }
+  | { id: number; type: 'cancel' };
+
+/** Worker -> main thread; `id` is the request's */
+export type DataWorkerResponse =
+  | { id: number; type: 'generated'; nSeries: number; nPoints: number }
+  | { id: number; type: 'chunk'; chunk: DataChunk }
+  | { id: number; type: 'extent'; extent: DataExtent | null }
+  | { id: number; type: 'error'; message: string };
+
+/** The parts of a worker's global scope (`self`) the host uses */
+export interface WorkerScopeLike {
+  onmessage: ((event: MessageEvent) => void) | null;
+  postMessage(message: unknown, options: { transfer: Transferable[] }): void;
+}
+
+/**
+ * Hosts a MockServer inside a Web Worker: data generation and LOD binning
+ * (`_processRequest`, `_processLegacyRequest`) run there, and result chunks are posted back
+ * with their buffers transferred, not copied. Call from the worker entry: `serveDataWorker(self)`.
+ * The main thread side is WorkerDataService.
+ */
+export function serveDataWorker(scope: WorkerScopeLike) {
+  const server = new MockServer(0, 0);
+  const queries = new Map<number, AbortController>();
+
+  const post = (response: DataWorkerResponse, transfer: Transferable[] = []) => scope.postMessage(response, { transfer });
+  const fail = (id: number, err: unknown) => post({ id, type: 'error', message: err instanceof Error ? err.message : String(err) });
+
+  scope.onmessage = async (event: MessageEvent) => {
+    const message = event.data as DataWorkerRequest;
+    const { id } = message;
+    try {
+      switch (message.type) {
+        case 'generate':
+          server.resize(message.nSeries, message.nPoints);
+          await server.generateData(message.generator);
+          post({ id, type: 'generated', nSeries: server.nSeries, nPoints: server.nPoints });
+          break;
+        case 'query': {
+          const controller = new AbortController();
+          queries.set(id, controller);
+          try {
+            const chunk = await server.fetchChunk(message.request, controller.signal);
+            post({ id, type: 'chunk', chunk }, chunkBuffers(chunk));
+          } catch (err) {
+            // A cancelled query gets no response, the main thread has already rejected it
+            if (!controller.signal.aborted) fail(id, err);
+          } finally {
+            queries.delete(id);
+          }
+          break;
+        }
+        case 'extent':
+          post({ id, type: 'extent', extent: await server.getExtent() });
+          break;
+        case 'cancel':
+          queries.get(id)?.abort();
+          break;
+        default:
+          fail(id, new Error(`Unknown request '${(message as { type: unknown }).type}'`));
+      }
+    } catch (err) {
+      fail(id, err);
+    }
+  };
+}
+
+// Every buffer of a chunk once (fresh arrays from the binning, so the server keeps its own data)
+function chunkBuffers(chunk: DataChunk): Transferable[] {
+  const buffers = new Set<ArrayBufferLike>();
+  for (const series of chunk.data) buffers.add(series.buffer);
+  for (const series of chunk.x ?? []) buffers.add(series.buffer);
+  return [...buffers] as Transferable[];
+}
@@ -0,0 +1,59 @@
+import { binAverage, binM4, lttb, SeriesSamples } from './Downsampling';
+
+function samples(y: number[], x: number[] | null = null, from = 0, to = y.length): SeriesSamples {
+  return { y: Float32Array.from(y), x: x && Float64Array.from(x), from, to };
+}
+
+describe('Downsampling', () => {
+  describe('binM4', () => {
+    it('should keep first, min, max and last per bin', () => {
+      const out = binM4(samples([1, 5, -2, 3, 4, 4, 0, 9]), { start: 0, size: 4, count: 2 });
+      expect(Array.from(out)).toEqual([1, -2, 5, 3, 4, 0, 9, 9]);
+    });
+
+    it('should leave empty bins at 0 and skip samples outside the grid', () => {
+      const out = binM4(samples([7, 2, 3, 7], [-1, 0, 9, 12]), { start: 0, size: 4, count: 3 });
+      expect(Array.from(out)).toEqual([2, 2, 2, 2, 0, 0, 0, 0, 3, 3, 3, 3]);
+    });
+
+    it('should zero the min or max of a bin containing a gap', () => {
+      const grid = { start: 0, size: 4, count: 1 };
+      const x = [0, 1, 3];
+      expect(Array.from(binM4(samples([5, 6, 7], x), grid, 1.5))).toEqual([5, 0, 7, 7]);
+      expect(Array.from(binM4(samples([-5, -6, -7], x), grid, 1.5))).toEqual([-5, -7, 0, -7]);
+      expect(Array.from(binM4(samples([5, 6, 7], x), grid))).toEqual([5, 5, 7, 7]);
+    });
+  });
+
+  describe('binAverage', () => {
+    it('should average each bin', () => {
+      const out = binAverage(samples([1, 5, -2, 3, 4, 4, 0, 9]), { start: 0, size: 4, count: 2 });
+      expect(Array.from(out)).toEqual([1.75, 4.25]);
+    });
+
+    it('should leave empty bins at 0', () => {
+      const out = binAverage(samples([1, 3, 5], [0, 1, 9]), { start: 0, size: 4, count: 3 });
+      expect(Array.from(out)).toEqual([2, 0, 5]);
+    });
+  });
+
+  describe('lttb', () => {
+    it.each([2, 4, 10])('should keep all samples with a threshold of %i for 4 samples', threshold => {
+      const out = lttb(samples([1, 2, 3, 4]), threshold);
+      expect(Array.from(out.x)).toEqual([0, 1, 2, 3]);
+      expect(Array.from(out.y)).toEqual([1, 2, 3, 4]);
+    });
+
+    it('should keep the samples of the range with their X values', () => {
+      const out = lttb(samples([1, 2, 3, 4], [10, 20, 30, 40], 1, 3), 2);
+      expect(Array.from(out.x)).toEqual([20, 30]);
+      expect(Array.from(out.y)).toEqual([2, 3]);
+    });
+
+    it('should keep the first and last samples and the extremes between them', () => {
+      const out = lttb(samples([0, 0, 10, 0, 0, 0, -10, 0, 0, 0]), 4);
+      expect(Array.from(out.x)).toEqual([0, 2, 6, 9]);
+      expect(Array.from(out.y)).toEqual([0, 10, -10, 0]);
+    });
+  });
+});
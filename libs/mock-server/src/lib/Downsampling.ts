@@ -0,0 +1,136 @@
+import type { DownsampleAlgorithm } from '@canvas-graph/engine';
+
+export const DOWNSAMPLE_ALGORITHMS: readonly DownsampleAlgorithm[] = ['minmax', 'm4', 'lttb', 'average'];
+
+/** Samples [from, to) of one series; without `x` the X of a sample is its index */
+export interface SeriesSamples {
+  y: ArrayLike<number>;
+  x: ArrayLike<number> | null;
+  from: number;
+  to: number;
+}
+
+/** `count` bins of `size` X units from `start` */
+export interface BinGrid {
+  start: number;
+  size: number;
+  count: number;
+}
+
+/**
+ * [first, min, max, last] per bin. Like the min/max bins of sparse data, a bin containing
+ * a gap (samples further apart than `gapThreshold`) reaches down to zero, and empty bins are 0.
+ */
+export function binM4(samples: SeriesSamples, grid: BinGrid, gapThreshold = Infinity): Float32Array {
+  const out = new Float32Array(grid.count * 4);
+  const { y, x } = samples;
+  let bin = -1;
+  let prevX = -Infinity;
+
+  for (let j = samples.from; j < samples.to; j++) {
+    const t = x ? x[j] : j;
+    const b = Math.floor((t - grid.start) / grid.size);
+    if (b < 0 || b >= grid.count) continue;
+    const val = y[j];
+    const k = b * 4;
+    if (b !== bin) {
+      bin = b;
+      out[k] = out[k + 1] = out[k + 2] = val;
+    } else {
+      if (val < out[k + 1]) out[k + 1] = val;
+      if (val > out[k + 2]) out[k + 2] = val;
+      if (t - prevX > gapThreshold) {
+        if (out[k + 1] > 0) out[k + 1] = 0;
+        if (out[k + 2] < 0) out[k + 2] = 0;
+      }
+    }
+    out[k + 3] = val;
+    prevX = t;
+  }
+  return out;
+}
+
+/**
+ * Mean per bin; empty bins are 0.
+ */
+export function binAverage(samples: SeriesSamples, grid: BinGrid): Float32Array {
+  const sums = new Float64Array(grid.count);
+  const counts = new Uint32Array(grid.count);
+  const { y, x } = samples;
+
+  for (let j = samples.from; j < samples.to; j++) {
+    const b = Math.floor(((x ? x[j] : j) - grid.start) / grid.size);
+    if (b < 0 || b >= grid.count) continue;
+    sums[b] += y[j];
+    counts[b]++;
+  }
+
+  const out = new Float32Array(grid.count);
+  for (let b = 0; b < grid.count; b++) {
+    if (counts[b] > 0) out[b] = sums[b] / counts[b];
+  }
+  return out;
+}
+
+/**
+ * Largest-Triangle-Three-Buckets: keeps the first and last sample and, from each of
+ * `threshold - 2` equal buckets in between, the sample forming the largest triangle with
+ * the previously kept one and the average of the next bucket. Fewer samples than
+ * `threshold` are kept as they are.
+ */
+export function lttb(samples: SeriesSamples, threshold: number): { x: Float64Array; y: Float32Array } {
+  const { y, x, from, to } = samples;
+  const getX = (j: number) => x ? x[j] : j;
+  const n = to - from;
+
+  if (threshold >= n || threshold < 3) {
+    const outX = new Float64Array(Math.max(0, n));
+    for (let j = 0; j < n; j++) outX[j] = getX(from + j);
+    return { x: outX, y: Float32Array.from({ length: Math.max(0, n) }, (_, j) => y[from + j]) };
+  }
+
+  const outX = new Float64Array(threshold);
+  const outY = new Float32Array(threshold);
+  const bucketSize = (n - 2) / (threshold - 2);
+  let kept = from;
+  outX[0] = getX(from);
+  outY[0] = y[from];
+
+  for (let i = 0; i < threshold - 2; i++) {
+    // Average of the next bucket (the last sample for the last bucket)
+    const nextStart = from + Math.floor((i + 1) * bucketSize) + 1;
+    const nextEnd = Math.min(to, from + Math.floor((i + 2) * bucketSize) + 1);
+    let avgX = 0;
+    let avgY = 0;
+    for (let j = nextStart; j < nextEnd; j++) {
+      avgX += getX(j);
+      avgY += y[j];
+    }
+    const nextCount = nextEnd - nextStart;
+    avgX /= nextCount;
+    avgY /= nextCount;
+
+    const keptX = getX(kept);
+    const keptY = y[kept];
+    const bucketStart = from + Math.floor(i * bucketSize) + 1;
+    const bucketEnd = from + Math.floor((i + 1) * bucketSize) + 1;
+    let maxArea = -1;
+    let chosen = bucketStart;
+    for (let j = bucketStart; j < bucketEnd; j++) {
+      // Twice the triangle area; only the comparison matters
+      const area = Math.abs((keptX - avgX) * (y[j] - keptY) - (keptX - getX(j)) * (avgY - keptY));
+      if (area > maxArea) {
+        maxArea = area;
+        chosen = j;
+      }
+    }
+
+    outX[i + 1] = getX(chosen);
+    outY[i + 1] = y[chosen];
+    kept = chosen;
+  }
+
+  outX[threshold - 1] = getX(to - 1);
+  outY[threshold - 1] = y[to - 1];
+  return { x: outX, y: outY };
+}
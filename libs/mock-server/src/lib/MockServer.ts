@@ -1,8 +1,10 @@
 // @ts-nocheck
 // TODO: Convert to strict TypeScript when stabilized
 import seedrandom from 'seedrandom';
+import type { DataChunk, DataExtent, DataProvider, DataRequest, DownsampleAlgorithm } from '@canvas-graph/engine';
+import { DOWNSAMPLE_ALGORITHMS, binAverage, binM4, lttb } from './Downsampling';
 
-export class MockServer {
+export class MockServer implements DataProvider {
   nSeries: number;
   nPoints: number;
   totalPoints: number;
@@ -10,6 +12,7 @@ export class MockServer {
   dataX: Float64Array[];
   rng: ReturnType<typeof seedrandom>;
   latency: number;
+  streamTimer: ReturnType<typeof setInterval> | null;
 
   constructor(nSeries = 100, nPoints = 100000) {
     this.nSeries = nSeries;
@@ -19,6 +22,7 @@ export class MockServer {
     this.dataX = [];
     this.rng = seedrandom('benchmark-seed');
     this.latency = 100;
+    this.streamTimer = null;
   }
 
   async init() {
@@ -153,14 +157,102 @@ export class MockServer {
     console.log(`Generated ${this.totalPoints.toLocaleString()} points (${type}).`);
   }
 
-  async getData(startIndex: number, endIndex: number, lodLevel = 1, sampleRate = 100): Promise<any> {
-    return new Promise((resolve) => {
-      setTimeout(() => {
-        resolve(this._processRequest(startIndex, endIndex, lodLevel, sampleRate));
+  // Live data: every `intervalMs`, emits the samples that came due since the last tick
+  // (one per `sampleInterval` ms, timestamped in ms since the epoch) of `nSeries` noisy waves
+  startStream(
+    onData: (seriesIndex: number, x: Float64Array, y: Float32Array) => void,
+    { nSeries = 4, intervalMs = 50, sampleInterval = 10 } = {}
+  ) {
+    this.stopStream();
+    const walks = new Array(nSeries).fill(0);
+    let next = Date.now();
+
+    this.streamTimer = setInterval(() => {
+      const count = Math.floor((Date.now() - next) / sampleInterval) + 1;
+      if (count <= 0) return;
+
+      const x = new Float64Array(count);
+      for (let j = 0; j < count; j++) {
+        x[j] = next + j * sampleInterval;
+      }
+      next += count * sampleInterval;
+
+      for (let i = 0; i < nSeries; i++) {
+        const y = new Float32Array(count);
+        for (let j = 0; j < count; j++) {
+          walks[i] += (this.rng() - 0.5) * 2;
+          y[j] = Math.sin(x[j] * 0.002 * (i + 1)) * 100 + walks[i] * 10 + i * 300;
+        }
+        onData(i, x, y);
+      }
+    }, intervalMs);
+  }
+
+  stopStream() {
+    if (this.streamTimer !== null) {
+      clearInterval(this.streamTimer);
+      this.streamTimer = null;
+    }
+  }
+
+  async getData(
+    startIndex: number,
+    endIndex: number,
+    lodLevel = 1,
+    sampleRate = 100,
+    algorithm: DownsampleAlgorithm = 'minmax'
+  ): Promise<any> {
+    return this.fetchChunk({ start: startIndex, end: endIndex, binSize: lodLevel, sampleRate, algorithm });
+  }
+
+  // DataProvider: simulated latency, cancellable through `signal`
+  fetchChunk(request: DataRequest, signal?: AbortSignal): Promise<DataChunk> {
+    const { start, end, binSize, sampleRate = 100, algorithm = 'minmax' } = request;
+
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(new DOMException('Request aborted', 'AbortError'));
+        return;
+      }
+      // The binning loops advance by the bin size
+      if (!(binSize >= 1)) {
+        reject(new Error(`MockServer: invalid binSize ${binSize}, must be at least 1`));
+        return;
+      }
+      if (!DOWNSAMPLE_ALGORITHMS.includes(algorithm)) {
+        reject(new Error(`MockServer: unknown downsampling algorithm '${algorithm}'`));
+        return;
+      }
+
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(new DOMException('Request aborted', 'AbortError'));
+      };
+
+      const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve(this._processRequest(start, end, binSize, sampleRate, algorithm));
       }, this.latency);
+
+      signal?.addEventListener('abort', onAbort, { once: true });
     });
   }
 
+  // DataProvider: X range of the generated data (timestamps for sparse data, indices otherwise)
+  async getExtent(): Promise<DataExtent | null> {
+    if (this.dataX.length > 0) {
+      let start = Infinity;
+      let end = -Infinity;
+      for (const x of this.dataX) {
+        if (x.length === 0) continue;
+        start = Math.min(start, x[0]);
+        end = Math.max(end, x[x.length - 1]);
+      }
+      return start <= end ? { start, end } : null;
+    }
+    return { start: 0, end: this.nPoints };
+  }
+
   _binarySearch(arr: Float64Array, target: number): number {
       let l = 0, r = arr.length - 1;
       while (l <= r) {
@@ -171,11 +263,11 @@ export class MockServer {
       return l;
   }
 
-  _processRequest(startArg: number, endArg: number, lodLevel: number, sampleRate = 100): any {
+  _processRequest(startArg: number, endArg: number, lodLevel: number, sampleRate = 100, algorithm: DownsampleAlgorithm = 'minmax'): any {
       if (!this.dataX || this.dataX.length === 0) {
           const start = Math.max(0, Math.floor(startArg));
           const end = Math.min(this.nPoints, Math.ceil(endArg));
-          return this._processLegacyRequest(start, end, lodLevel);
+          return this._processLegacyRequest(start, end, lodLevel, algorithm);
       }
       
       const startTime = startArg;
@@ -197,6 +289,9 @@ export class MockServer {
           }
           return { type: 'sparse', data: resultData, x: resultX, start: startTime, end: endTime, sampleRate };
       }
+      if (algorithm !== 'minmax') {
+          return this._processDownsampled(startTime, endTime, lodLevel, algorithm, sampleRate);
+      }
       
       const binSizeMs = lodLevel;
       const alignedStartTime = Math.floor(startTime / binSizeMs) * binSizeMs;
@@ -249,7 +344,7 @@ export class MockServer {
       return { type: 'sparse-aggregated', data: resultAgg, start: alignedStartTime, end: endTime, step: binSizeMs, sampleRate };
   }
 
-  _processLegacyRequest(startIndex: number, endIndex: number, lodLevel: number): any {
+  _processLegacyRequest(startIndex: number, endIndex: number, lodLevel: number, algorithm: DownsampleAlgorithm = 'minmax'): any {
     const start = Math.max(0, Math.floor(startIndex));
     const end = Math.min(this.nPoints, Math.ceil(endIndex));
     
@@ -260,6 +355,9 @@ export class MockServer {
         }
         return { type: 'raw', data: result, start, end };
     }
+    if (algorithm !== 'minmax') {
+        return this._processDownsampled(start, end, lodLevel, algorithm, null);
+    }
 
     const chunkSize = Math.floor(lodLevel);
     const result: Float32Array[] = [];
@@ -283,4 +381,40 @@ export class MockServer {
     
     return { type: 'aggregated', data: result, start, end, step: chunkSize };
   }
+
+  // M4 / LTTB / average over index data (sampleRate null) or timestamped data, see Downsampling
+  _processDownsampled(start: number, end: number, lodLevel: number, algorithm: DownsampleAlgorithm, sampleRate: number | null): DataChunk {
+    const sparse = sampleRate !== null;
+    const size = sparse ? lodLevel : Math.floor(lodLevel);
+    const gridStart = sparse ? Math.floor(start / size) * size : start;
+    const grid = { start: gridStart, size, count: Math.ceil((end - gridStart) / size) };
+    const result: Float32Array[] = [];
+    const resultX: Float64Array[] = [];
+
+    for (let i = 0; i < this.nSeries; i++) {
+      const rawX = sparse ? this.dataX[i] : null;
+      const length = rawX ? rawX.length : this.nPoints;
+
+      if (algorithm === 'lttb') {
+        // One sample beyond each edge, like sparse chunks, so lines reach the viewport borders
+        const from = Math.max(0, (rawX ? this._binarySearch(rawX, start) : start) - 1);
+        const to = Math.min(length, (rawX ? this._binarySearch(rawX, end) : end) + 1);
+        const reduced = lttb({ y: this.data[i], x: rawX, from, to }, grid.count + 2);
+        result.push(reduced.y);
+        resultX.push(reduced.x);
+        continue;
+      }
+
+      const from = rawX ? this._binarySearch(rawX, grid.start) : grid.start;
+      const to = rawX ? this._binarySearch(rawX, grid.start + grid.count * size) : Math.min(length, end);
+      const samples = { y: this.data[i], x: rawX, from, to };
+      result.push(algorithm === 'm4' ? binM4(samples, grid, sparse ? sampleRate : Infinity) : binAverage(samples, grid));
+    }
+
+    const extra = sparse ? { sampleRate } : {};
+    if (algorithm === 'lttb') {
+      return { type: 'lttb', data: result, x: resultX, start, end, ...extra };
+    }
+    return { type: algorithm, data: result, start: grid.start, end, step: size, ...extra };
+  }
 }
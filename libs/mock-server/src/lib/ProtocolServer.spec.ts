@@ -0,0 +1,157 @@
+import { EventEmitter } from 'events';
+import { RemoteDataProvider, createLoopback, invalidRequestReason, isClientMessage } from '@canvas-graph/engine';
+import type { ClientMessage, DataRequest, ServerMessage } from '@canvas-graph/engine';
+import { MockServer } from './MockServer';
+import { ProtocolServer, SocketTransport, WebSocketLike } from './ProtocolServer';
+
+const wait = (ms = 0) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Answers queries starting at 0 last, and records the signals it was given
+class TestServer extends MockServer {
+  signals: AbortSignal[] = [];
+
+  override fetchChunk(request: DataRequest, signal?: AbortSignal) {
+    if (signal) this.signals.push(signal);
+    this.latency = request.start === 0 ? 30 : 0;
+    return super.fetchChunk(request, signal);
+  }
+}
+
+describe('ProtocolServer', () => {
+  let server: TestServer;
+  let protocol: ProtocolServer;
+  let provider: RemoteDataProvider;
+
+  beforeEach(async () => {
+    // Data generation logs its timing
+    jest.spyOn(console, 'log').mockImplementation(() => undefined);
+    jest.spyOn(console, 'timeEnd').mockImplementation(() => undefined);
+    server = new TestServer(2, 1000);
+    await server.init();
+    protocol = new ProtocolServer(server, { liveSeries: 2, liveIntervalMs: 5 });
+    const [client, host] = createLoopback<ClientMessage, ServerMessage>();
+    protocol.accept(host);
+    provider = new RemoteDataProvider(client);
+  });
+
+  afterEach(() => {
+    provider.destroy();
+    protocol.close();
+    server.stopStream();
+    jest.restoreAllMocks();
+  });
+
+  // Raw client end, for the frames themselves
+  function connect(): { send: (message: unknown) => void; received: ServerMessage[] } {
+    const [client, host] = createLoopback<unknown, ServerMessage>();
+    protocol.accept(host);
+    const received: ServerMessage[] = [];
+    client.messages$.subscribe(message => received.push(message));
+    return { send: message => client.send(message), received };
+  }
+
+  it('should correlate responses with their requests by id', async () => {
+    const slow = provider.fetchChunk({ start: 0, end: 100, binSize: 1 });
+    const fast = provider.fetchChunk({ start: 200, end: 300, binSize: 10 });
+    const extent = provider.getExtent();
+    expect(await fast).toMatchObject({ start: 200, end: 300 });
+    expect(await slow).toMatchObject({ start: 0, end: 100 });
+    expect(await extent).toEqual({ start: 0, end: 1000 });
+  });
+
+  it.each([
+    [{ start: 0, end: 100, binSize: 0 }, 'Invalid binSize 0, must be at least 1'],
+    [{ start: 0, end: 100, binSize: 0.5 }, 'Invalid binSize 0.5, must be at least 1'],
+    [{ start: 100, end: 0, binSize: 1 }, 'Invalid range [100, 0]']
+  ])('should answer the query %p with an error frame', async (request, message) => {
+    const { send, received } = connect();
+    send({ type: 'query', id: 7, request });
+    await wait(10);
+    expect(received).toEqual([{ type: 'error', id: 7, message }]);
+    await expect(provider.fetchChunk(request)).rejects.toThrow(message);
+    expect(server.signals).toEqual([]);
+  });
+
+  it('should answer malformed messages with an error frame', async () => {
+    const { send, received } = connect();
+    send({ type: 'subscribe', id: 3, series: [1.5] });
+    send('query');
+    await wait(10);
+    expect(received).toEqual([
+      { type: 'error', id: 3, message: 'Malformed message' },
+      { type: 'error', id: null, message: 'Malformed message' }
+    ]);
+  });
+
+  it('should cancel aborted queries on the server', async () => {
+    const controller = new AbortController();
+    const request = provider.fetchChunk({ start: 0, end: 100, binSize: 1 }, controller.signal);
+    await wait(10);
+    controller.abort();
+    await expect(request).rejects.toMatchObject({ name: 'AbortError' });
+    await wait(10);
+    expect(server.signals.map(signal => signal.aborted)).toEqual([true]);
+  });
+
+  it('should push live updates of the subscribed series until unsubscribed', async () => {
+    const updates: number[] = [];
+    const sub = provider.live$([1]).subscribe(update => updates.push(update.seriesIndex));
+    await wait(50);
+    expect(updates.length).toBeGreaterThan(0);
+    expect(updates.every(seriesIndex => seriesIndex === 1)).toBe(true);
+
+    sub.unsubscribe();
+    await wait(10);
+    const count = updates.length;
+    await wait(50);
+    expect(updates.length).toBe(count);
+    expect(server.streamTimer).toBeNull();
+  });
+
+  it('should drop a socket connection on error', async () => {
+    const socket = Object.assign(new EventEmitter(), { send: jest.fn(), close: jest.fn() });
+    protocol.accept(new SocketTransport(socket as WebSocketLike));
+    expect(() => socket.emit('error', new Error('ECONNRESET'))).not.toThrow();
+    socket.emit('message', JSON.stringify({ type: 'extent', id: 1 }));
+    await wait(10);
+    expect(socket.send).not.toHaveBeenCalled();
+  });
+});
+
+describe('RemoteProtocol', () => {
+  it.each([
+    null,
+    'query',
+    { type: 'extent' },
+    { type: 'extent', id: '1' },
+    { type: 'query', id: 1 },
+    { type: 'query', id: 1, request: { start: 0, end: 10 } },
+    { type: 'query', id: 1, request: { start: 0, end: 10, binSize: 1, algorithm: 4 } },
+    { type: 'subscribe', id: 1, series: 5 },
+    { type: 'subscribe', id: 1, series: [1.5] },
+    { type: 'resubscribe', id: 1 }
+  ])('should reject the envelope %p', message => {
+    expect(isClientMessage(message)).toBe(false);
+  });
+
+  it.each([
+    { type: 'query', id: 1, request: { start: 0, end: 10, binSize: 1, algorithm: 'lttb' } },
+    { type: 'extent', id: 1 },
+    { type: 'subscribe', id: 1 },
+    { type: 'subscribe', id: 1, series: [0, 2] },
+    { type: 'unsubscribe', id: 1 }
+  ])('should accept the envelope %p', message => {
+    expect(isClientMessage(message)).toBe(true);
+  });
+
+  it.each([
+    [{ start: NaN, end: 10, binSize: 1 }, 'Invalid range [NaN, 10]'],
+    [{ start: 0, end: Infinity, binSize: 1 }, 'Invalid range [0, Infinity]'],
+    [{ start: 10, end: 10, binSize: 1 }, 'Invalid range [10, 10]'],
+    [{ start: 0, end: 10, binSize: 0.5 }, 'Invalid binSize 0.5, must be at least 1'],
+    [{ start: 0, end: 10, binSize: NaN }, 'Invalid binSize NaN, must be at least 1'],
+    [{ start: 0, end: 10, binSize: 1 }, null]
+  ])('should check the query %p', (request, reason) => {
+    expect(invalidRequestReason(request)).toBe(reason);
+  });
+});
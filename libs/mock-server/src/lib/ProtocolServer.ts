@@ -0,0 +1,191 @@
+import { Observable, Subject } from 'rxjs';
+import { invalidRequestReason, isClientMessage, toWireChunk } from '@canvas-graph/engine';
+import type { DataRequest, ServerMessage, Transport } from '@canvas-graph/engine';
+import { MockServer } from './MockServer';
+
+export interface ProtocolServerOptions {
+  /** Series streamed to live subscribers (default: 4) */
+  liveSeries?: number;
+  /** Interval of the live stream timer (default: 50ms) */
+  liveIntervalMs?: number;
+}
+
+/** The parts of a `ws` WebSocket the server uses */
+export interface WebSocketLike {
+  send(data: string): void;
+  close(): void;
+  on(event: string, listener: (data: unknown) => void): unknown;
+}
+
+/** The parts of a `ws` WebSocketServer the server uses */
+export interface WebSocketServerLike {
+  on(event: string, listener: (socket: WebSocketLike) => void): unknown;
+}
+
+// One client: its pending queries and its live subscriptions (series filter, null for all)
+interface Connection {
+  transport: Transport<ServerMessage, unknown>;
+  queries: Map<number, AbortController>;
+  subscriptions: Map<number, Set<number> | null>;
+}
+
+/**
+ * Server transport over a `ws` socket, one JSON message per text frame.
+ * Frames that are not JSON arrive as undefined (and are answered with an error frame).
+ */
+export class SocketTransport implements Transport<ServerMessage, unknown> {
+  readonly messages$: Observable<unknown>;
+  private readonly incoming = new Subject<unknown>();
+
+  constructor(private readonly socket: WebSocketLike) {
+    this.messages$ = this.incoming.asObservable();
+    socket.on('message', data => {
+      let message: unknown = undefined;
+      try {
+        message = JSON.parse(String(data));
+      } catch {
+        // Malformed, see above
+      }
+      this.incoming.next(message);
+    });
+    socket.on('close', () => this.incoming.complete());
+    // Without an 'error' listener a failing `ws` socket throws and takes the server down;
+    // an error ends the messages instead, so the connection is dropped ('close' follows)
+    socket.on('error', err => this.incoming.error(err instanceof Error ? err : new Error(String(err))));
+  }
+
+  send(message: ServerMessage) {
+    this.socket.send(JSON.stringify(message));
+  }
+
+  close() {
+    this.socket.close();
+  }
+}
+
+/**
+ * Serves a MockServer over the RemoteProtocol of the engine: range queries through
+ * MockServer.fetchChunk (cancellable), its extent, and live samples from one shared
+ * MockServer.startStream, running while anyone is subscribed.
+ * Connections come from createLoopback (in-process) or a Node `ws` server (listen).
+ */
+export class ProtocolServer {
+  private readonly connections = new Set<Connection>();
+  private streaming = false;
+
+  constructor(private readonly server: MockServer, private readonly options: ProtocolServerOptions = {}) {}
+
+  accept(transport: Transport<ServerMessage, unknown>) {
+    const connection: Connection = { transport, queries: new Map(), subscriptions: new Map() };
+    this.connections.add(connection);
+    transport.messages$.subscribe({
+      next: message => this.handle(connection, message),
+      error: () => this.drop(connection),
+      complete: () => this.drop(connection)
+    });
+  }
+
+  // e.g. listen(new WebSocketServer({ port: 8080 })) with the `ws` package
+  listen(wss: WebSocketServerLike) {
+    wss.on('connection', socket => this.accept(new SocketTransport(socket)));
+  }
+
+  close() {
+    for (const connection of [...this.connections]) {
+      this.drop(connection);
+      connection.transport.close();
+    }
+  }
+
+  private handle(connection: Connection, message: unknown) {
+    if (!isClientMessage(message)) {
+      const id = (message as { id?: unknown } | undefined)?.id;
+      this.send(connection, { type: 'error', id: typeof id === 'number' ? id : null, message: 'Malformed message' });
+      return;
+    }
+
+    switch (message.type) {
+      case 'query':
+        this.query(connection, message.id, message.request);
+        break;
+      case 'extent':
+        this.server.getExtent().then(
+          extent => this.send(connection, { type: 'extent', id: message.id, extent }),
+          err => this.send(connection, { type: 'error', id: message.id, message: errorMessage(err) })
+        );
+        break;
+      case 'subscribe':
+        connection.subscriptions.set(message.id, message.series ? new Set(message.series) : null);
+        this.updateStream();
+        break;
+      case 'unsubscribe':
+        connection.queries.get(message.id)?.abort();
+        connection.queries.delete(message.id);
+        connection.subscriptions.delete(message.id);
+        this.updateStream();
+        break;
+    }
+  }
+
+  private async query(connection: Connection, id: number, request: DataRequest) {
+    // Checked before the server sees it: a bin size below 1 would never finish binning
+    const invalid = invalidRequestReason(request);
+    if (invalid) {
+      this.send(connection, { type: 'error', id, message: invalid });
+      return;
+    }
+    const controller = new AbortController();
+    connection.queries.set(id, controller);
+    try {
+      const chunk = await this.server.fetchChunk(request, controller.signal);
+      this.send(connection, { type: 'chunk', id, chunk: toWireChunk(chunk) });
+    } catch (err) {
+      // Aborted queries were cancelled by the client, which expects no response
+      if (!controller.signal.aborted) this.send(connection, { type: 'error', id, message: errorMessage(err) });
+    } finally {
+      if (connection.queries.get(id) === controller) connection.queries.delete(id);
+    }
+  }
+
+  // Runs the live stream while any connection has a subscription
+  private updateStream() {
+    const wanted = [...this.connections].some(c => c.subscriptions.size > 0);
+    if (wanted === this.streaming) return;
+    this.streaming = wanted;
+    if (!wanted) {
+      this.server.stopStream();
+      return;
+    }
+    const { liveSeries = 4, liveIntervalMs = 50 } = this.options;
+    this.server.startStream((seriesIndex, x, y) => {
+      const frame = { seriesIndex, x: Array.from(x), y: Array.from(y) };
+      for (const connection of this.connections) {
+        for (const [id, series] of connection.subscriptions) {
+          if (!series || series.has(seriesIndex)) this.send(connection, { type: 'append', id, ...frame });
+        }
+      }
+    }, { nSeries: liveSeries, intervalMs: liveIntervalMs });
+  }
+
+  private drop(connection: Connection) {
+    if (!this.connections.delete(connection)) return;
+    for (const controller of connection.queries.values()) controller.abort();
+    connection.queries.clear();
+    connection.subscriptions.clear();
+    this.updateStream();
+  }
+
+  // Connections may close at any time; a failed send only loses that message
+  private send(connection: Connection, message: ServerMessage) {
+    if (!this.connections.has(connection)) return;
+    try {
+      connection.transport.send(message);
+    } catch {
+      this.drop(connection);
+    }
+  }
+}
+
+function errorMessage(err: unknown): string {
+  return err instanceof Error ? err.message : String(err);
+}
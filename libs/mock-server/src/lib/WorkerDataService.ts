@@ -0,0 +1,122 @@
+import type { DataChunk, DataExtent, DataProvider, DataRequest, DownsampleAlgorithm } from '@canvas-graph/engine';
+import type { DataWorkerRequest, DataWorkerResponse } from './DataWorker';
+
+// A request without its id, which request() assigns
+type WorkerRequestBody<R = DataWorkerRequest> = R extends DataWorkerRequest ? Omit<R, 'id'> : never;
+
+interface PendingRequest {
+  resolve: (response: DataWorkerResponse) => void;
+  reject: (err: Error) => void;
+}
+
+/**
+ * Main thread side of a data worker (serveDataWorker): the MockServer API with generation
+ * and binning off the main thread. Pass a worker running the host, e.g.
+ * `new WorkerDataService(new Worker(new URL('./data.worker.ts', import.meta.url), { type: 'module' }))`.
+ */
+export class WorkerDataService implements DataProvider {
+  nSeries: number;
+  nPoints: number;
+  totalPoints: number;
+
+  private nextId = 1;
+  private readonly pending = new Map<number, PendingRequest>();
+
+  constructor(private readonly worker: Worker, nSeries = 100, nPoints = 100000) {
+    this.nSeries = nSeries;
+    this.nPoints = nPoints;
+    this.totalPoints = nSeries * nPoints;
+    this.worker.onmessage = (event: MessageEvent<DataWorkerResponse>) => this.onMessage(event.data);
+    this.worker.onerror = (event: ErrorEvent) => this.failAll(new Error(`WorkerDataService: ${event.message}`));
+  }
+
+  async init() {
+    await this.generateData('random-walk');
+  }
+
+  // Applies to the next generateData, as MockServer.resize
+  resize(nSeries: number, nPoints: number) {
+    this.nSeries = nSeries;
+    this.nPoints = nPoints;
+    this.totalPoints = nSeries * nPoints;
+  }
+
+  async generateData(type: string) {
+    const response = await this.request({ type: 'generate', generator: type, nSeries: this.nSeries, nPoints: this.nPoints });
+    if (response.type !== 'generated') return;
+    // Some generators pick their own series count
+    this.resize(response.nSeries, response.nPoints);
+  }
+
+  getData(
+    startIndex: number,
+    endIndex: number,
+    lodLevel = 1,
+    sampleRate = 100,
+    algorithm: DownsampleAlgorithm = 'minmax'
+  ): Promise<DataChunk> {
+    return this.fetchChunk({ start: startIndex, end: endIndex, binSize: lodLevel, sampleRate, algorithm });
+  }
+
+  async fetchChunk(request: DataRequest, signal?: AbortSignal): Promise<DataChunk> {
+    const response = await this.request({ type: 'query', request }, signal);
+    if (response.type !== 'chunk') throw new Error(`WorkerDataService: unexpected '${response.type}' response to a query`);
+    return response.chunk;
+  }
+
+  async getExtent(): Promise<DataExtent | null> {
+    const response = await this.request({ type: 'extent' });
+    return response.type === 'extent' ? response.extent : null;
+  }
+
+  /**
+   * Stops the worker; pending requests fail.
+   */
+  terminate() {
+    this.worker.terminate();
+    this.failAll(new Error('WorkerDataService: terminated'));
+  }
+
+  private request(body: WorkerRequestBody, signal?: AbortSignal): Promise<DataWorkerResponse> {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(new DOMException('Request aborted', 'AbortError'));
+        return;
+      }
+      const id = this.nextId++;
+      const onAbort = () => {
+        if (!this.pending.delete(id)) return;
+        this.worker.postMessage({ id, type: 'cancel' } satisfies DataWorkerRequest);
+        reject(new DOMException('Request aborted', 'AbortError'));
+      };
+      this.pending.set(id, {
+        resolve: response => {
+          signal?.removeEventListener('abort', onAbort);
+          resolve(response);
+        },
+        reject: err => {
+          signal?.removeEventListener('abort', onAbort);
+          reject(err);
+        }
+      });
+      signal?.addEventListener('abort', onAbort, { once: true });
+      this.worker.postMessage({ ...body, id } as DataWorkerRequest);
+    });
+  }
+
+  private onMessage(response: DataWorkerResponse) {
+    const pending = this.pending.get(response.id);
+    if (!pending) return; // Cancelled meanwhile
+    this.pending.delete(response.id);
+    if (response.type === 'error') {
+      pending.reject(new Error(`WorkerDataService: ${response.message}`));
+    } else {
+      pending.resolve(response);
+    }
+  }
+
+  private failAll(err: Error) {
+    for (const pending of this.pending.values()) pending.reject(err);
+    this.pending.clear();
+  }
+}
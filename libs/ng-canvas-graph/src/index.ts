@@ -1 +1,2 @@
 export * from './lib/graph-view/graph-view.component';
+export * from './lib/graph-group/graph-group.service';
@@ -0,0 +1,35 @@
+import { Injectable } from '@angular/core';
+import { GraphEngine, GraphGroup } from '@canvas-graph/engine';
+
+/**
+ * Registry of GraphGroups by id, so graph views link declaratively through their `group` input.
+ * A group exists while it has members.
+ */
+@Injectable({ providedIn: 'root' })
+export class GraphGroupService {
+  private groups = new Map<string, GraphGroup>();
+
+  public join(id: string, engine: GraphEngine): GraphGroup {
+      let group = this.groups.get(id);
+      if (!group) {
+          group = new GraphGroup();
+          this.groups.set(id, group);
+      }
+      group.add(engine);
+      return group;
+  }
+
+  public leave(id: string, engine: GraphEngine): void {
+      const group = this.groups.get(id);
+      if (!group) return;
+      group.remove(engine);
+      if (group.engines.length === 0) {
+          group.destroy();
+          this.groups.delete(id);
+      }
+  }
+
+  public get(id: string): GraphGroup | undefined {
+      return this.groups.get(id);
+  }
+}
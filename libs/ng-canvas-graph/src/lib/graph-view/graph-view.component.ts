@@ -1,15 +1,33 @@
 
-import { Component, ElementRef, OnInit, OnDestroy, ViewChild, Input } from '@angular/core';
+import { Component, ElementRef, OnInit, OnDestroy, OnChanges, SimpleChanges, ViewChild, Input, Output, EventEmitter } from '@angular/core';
 import { CommonModule } from '@angular/common';
 import { Subscription } from 'rxjs';
 import { 
   GraphEngine, 
   ThreeRenderer, 
+  CanvasRenderer, 
   GraphConfig, 
   ViewportRange, 
   DataChunk, 
-  InteractionMode 
+  DataProvider, 
+  DataProviderOptions, 
+  HoverInfo, 
+  InteractionMode,
+  SeriesConfig,
+  YAxisConfig,
+  ScaleType,
+  ViewConstraints,
+  RangeChangeOptions,
+  ImageExportOptions,
+  DataExportOptions,
+  DataExportFormat,
+  MarkerConfig,
+  MarkerEvent,
+  EventAnnotation,
+  ThresholdLine,
+  FollowState
 } from '@canvas-graph/engine';
+import { GraphGroupService } from '../graph-group/graph-group.service';
 
 @Component({
   selector: 'app-graph-view',
@@ -18,28 +36,51 @@ import {
   templateUrl: './graph-view.component.html',
   styleUrls: ['./graph-view.component.css']
 })
-export class GraphViewComponent implements OnInit, OnDestroy {
+export class GraphViewComponent implements OnInit, OnChanges, OnDestroy {
   @ViewChild('graphContainer', { static: true }) container!: ElementRef<HTMLDivElement>;
+  @ViewChild('navigatorContainer', { static: true }) navigatorContainer!: ElementRef<HTMLDivElement>;
+  @Input() rendererType: GraphConfig['rendererType'] = 'three';
+  /** Views with the same group id share their X range and crosshair (GraphGroup) */
+  @Input() group: string | null = null;
+  /** Show the overview strip with a range brush under the plot */
+  @Input() navigator = false;
+  /** Marker edits and selection changes (GraphEngine.markerEvents$) */
+  @Output() markerEvent = new EventEmitter<MarkerEvent>();
   
-  public currentMode: 'pan' | 'box-zoom' | 'x-zoom' = 'pan'; 
+  public currentMode: 'pan' | 'box-zoom' | 'x-zoom' | 'marker-edit' = 'pan'; 
+  public currentYScale: ScaleType = 'linear';
+  public canGoBack = false;
+  public canGoForward = false;
+  public followState: FollowState = 'off';
   public statusMessage: string = 'Ready';
   
   private engine!: GraphEngine;
   private rangeSub!: Subscription;
+  private hoverSub!: Subscription;
+  private historySub!: Subscription;
+  private markerSub!: Subscription;
+  private followSub!: Subscription;
+  private modeMessage = 'Ready';
 
-  constructor() {}
+  constructor(private groups: GraphGroupService) {}
 
   ngOnInit(): void {
       // Initialize Engine
+      // Fall back to Canvas2D on machines without WebGL
+      const rendererType = this.rendererType === 'three' && !ThreeRenderer.isSupported() ? 'canvas' : this.rendererType;
+
       this.engine = new GraphEngine(this.container.nativeElement, {
-          rendererType: 'three',
+          rendererType,
           lineWidth: 1,
-          showMarkers: true
+          showMarkers: true,
+          crosshair: true,
+          showLegend: true,
+          autoscaleY: 'always'
       } as GraphConfig);
 
       // Set Renderer
       // We pass the constructor of the specific renderer we want to use
-      this.engine.setRenderer(ThreeRenderer);
+      this.engine.setRenderer(rendererType === 'canvas' ? CanvasRenderer : ThreeRenderer);
 
       // Subscribe to Range Changes (from Engine)
       this.rangeSub = this.engine.range$.subscribe((range: ViewportRange) => {
@@ -49,6 +90,24 @@ export class GraphViewComponent implements OnInit, OnDestroy {
           // this.statusMessage = `Range: [${range.start.toFixed(0)}, ${range.end.toFixed(0)}]`;
       });
       
+      // Show the values under the crosshair in the status overlay
+      this.hoverSub = this.engine.hover$.subscribe((info: HoverInfo | null) => {
+          this.statusMessage = info ? this.formatHover(info) : this.modeMessage;
+      });
+      
+      this.historySub = this.engine.history$.subscribe(state => {
+          this.canGoBack = state.canGoBack;
+          this.canGoForward = state.canGoForward;
+      });
+
+      this.markerSub = this.engine.markerEvents$.subscribe(event => this.markerEvent.emit(event));
+
+      // A paused follow mode shows the "Live" button
+      this.followSub = this.engine.follow$.subscribe(state => this.followState = state);
+
+      if (this.group) this.groups.join(this.group, this.engine);
+      if (this.navigator) this.engine.setNavigator(this.navigatorContainer.nativeElement);
+      
       // Handle Resize
       const resizeObserver = new ResizeObserver(entries => {
           for (let entry of entries) {
@@ -62,7 +121,24 @@ export class GraphViewComponent implements OnInit, OnDestroy {
       resizeObserver.observe(this.container.nativeElement);
   }
   
-  public setMode(modeStr: 'pan' | 'box-zoom' | 'x-zoom'): void {
+  ngOnChanges(changes: SimpleChanges): void {
+      // Initial values are applied in ngOnInit, once the engine exists
+      if (!this.engine) return;
+      const group = changes['group'];
+      if (group && !group.firstChange) {
+          if (group.previousValue) this.groups.leave(group.previousValue, this.engine);
+          if (this.group) this.groups.join(this.group, this.engine);
+      }
+      const navigator = changes['navigator'];
+      if (navigator && !navigator.firstChange) this.setNavigator(this.navigator);
+  }
+  
+  public setNavigator(visible: boolean): void {
+      this.navigator = visible;
+      this.engine.setNavigator(visible ? this.navigatorContainer.nativeElement : null);
+  }
+  
+  public setMode(modeStr: 'pan' | 'box-zoom' | 'x-zoom' | 'marker-edit'): void {
       this.currentMode = modeStr;
       let mode = InteractionMode.PAN;
       
@@ -71,17 +147,56 @@ export class GraphViewComponent implements OnInit, OnDestroy {
           this.statusMessage = 'Box Selection Mode';
       } else if (modeStr === 'x-zoom') {
           mode = InteractionMode.X_ZOOM;
-          this.statusMessage = 'X-Axis Selection Mode';
+          this.statusMessage = 'X-Axis Selection Mode (Esc to cancel)';
+      } else if (modeStr === 'marker-edit') {
+          mode = InteractionMode.MARKER_EDIT;
+          this.statusMessage = 'Marker Mode (drag: create / move / resize, Del: delete, double-click: rename)';
       } else {
-          this.statusMessage = 'Pan Mode';
+          this.statusMessage = 'Pan Mode (Shift + drag: X select)';
       }
       
+      this.modeMessage = this.statusMessage;
       this.engine.setMode(mode);
   }
+
+  private formatHover(info: HoverInfo): string {
+      const fmt = (v: number) => Number.isInteger(v) ? v.toString() : v.toFixed(2);
+      const series = this.engine.series$.getValue();
+      const values = info.seriesValues.slice(0, 3).map(v => {
+          const name = series[v.seriesIndex]?.name ?? `S${v.seriesIndex}`;
+          return v.value !== undefined
+              ? `${name}: ${fmt(v.value)}`
+              : `${name}: ${fmt(v.min ?? NaN)}…${fmt(v.max ?? NaN)}`;
+      });
+      if (info.seriesValues.length > values.length) values.push('…');
+      return [`X: ${fmt(info.x)}`, ...values].join(' | ');
+  }
   
   public resetZoom(): void {
-      // Logic to reset zoom (e.g. back to 0-100 or full data range)
-      this.engine.setRange(0, 100); 
+      // Full extent of the data source (or of the loaded data)
+      this.engine.resetToExtent();
+  }
+
+  public back(): void {
+      this.engine.back();
+  }
+
+  public forward(): void {
+      this.engine.forward();
+  }
+
+  // Browser-style shortcuts while the graph has focus
+  public onKeyDown(e: KeyboardEvent): void {
+      if (e.altKey && e.key === 'ArrowLeft') {
+          this.back();
+      } else if (e.altKey && e.key === 'ArrowRight') {
+          this.forward();
+      } else if (e.key === 'Home') {
+          this.resetZoom();
+      } else {
+          return;
+      }
+      e.preventDefault();
   }
   
   // Public API for Parent Components to call
@@ -89,20 +204,133 @@ export class GraphViewComponent implements OnInit, OnDestroy {
       this.engine.setData(data);
   }
 
-  public setRange(start: number, end: number): void {
-      this.engine.setRange(start, end);
+  public setDataProvider(provider: DataProvider | null, options?: DataProviderOptions): void {
+      this.engine.setDataProvider(provider, options);
+  }
+
+  public refreshData(): void {
+      this.engine.refreshData();
+  }
+
+  public appendData(seriesIndex: number, x: ArrayLike<number>, y: ArrayLike<number>): void {
+      this.engine.appendData(seriesIndex, x, y);
+  }
+
+  public clearLiveData(): void {
+      this.engine.clearLiveData();
+  }
+
+  public setFollow(span: number | null): void {
+      this.engine.setFollow(span);
+  }
+
+  public resumeFollow(): void {
+      this.engine.resumeFollow();
+  }
+
+  public setRange(start: number, end: number, options?: RangeChangeOptions): void {
+      this.engine.setRange(start, end, options);
+  }
+
+  public setSeries(series: SeriesConfig[]): void {
+      this.engine.setSeries(series);
+  }
+
+  public toggleSeries(seriesIndex: number): void {
+      this.engine.toggleSeries(seriesIndex);
+  }
+
+  public setYAxes(axes: YAxisConfig[]): void {
+      this.engine.setYAxes(axes);
+  }
+
+  public setConstraints(constraints: ViewConstraints): void {
+      this.engine.setConstraints(constraints);
+  }
+
+  public setYScale(type: ScaleType): void {
+      this.currentYScale = type;
+      this.engine.setYScale(type);
+  }
+
+  public cycleYScale(): void {
+      const order: ScaleType[] = ['linear', 'log', 'symlog'];
+      this.setYScale(order[(order.indexOf(this.currentYScale) + 1) % order.length]);
+      this.statusMessage = `Y Scale: ${this.currentYScale}`;
+  }
+
+  public exportImage(options?: ImageExportOptions): Promise<Blob> {
+      return this.engine.exportImage(options);
   }
 
-  public setMarkers(markers: any[]): void {
+  /**
+   * Exports the current view and saves it through a temporary download link.
+   */
+  public async downloadImage(format: 'png' | 'svg' = 'png'): Promise<void> {
+      try {
+          const blob = await this.engine.exportImage({ format, scale: window.devicePixelRatio || 1 });
+          this.download(blob, `graph.${format}`);
+      } catch (err) {
+          this.statusMessage = `Export failed: ${(err as Error).message}`;
+      }
+  }
+
+  public exportData(options?: DataExportOptions): Promise<Blob> {
+      return this.engine.exportData(options);
+  }
+
+  /**
+   * Exports the visible range at native resolution and saves it through a temporary download link.
+   */
+  public async downloadData(format: DataExportFormat = 'csv'): Promise<void> {
+      try {
+          const blob = await this.engine.exportData({
+              format,
+              onProgress: fraction => this.statusMessage = `Exporting data… ${Math.round(fraction * 100)}%`
+          });
+          this.download(blob, `data.${format}`);
+      } catch (err) {
+          this.statusMessage = `Export failed: ${(err as Error).message}`;
+      }
+  }
+
+  private download(blob: Blob, filename: string): void {
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = filename;
+      link.click();
+      setTimeout(() => URL.revokeObjectURL(url));
+      this.statusMessage = `Saved ${filename}`;
+  }
+
+  public setMarkers(markers: MarkerConfig[]): void {
       this.engine.setMarkers(markers);
   }
 
+  public getMarkers(): MarkerConfig[] {
+      return this.engine.markers$.getValue();
+  }
+
+  public setEvents(events: EventAnnotation[]): void {
+      this.engine.setEvents(events);
+  }
+
+  public setThresholds(thresholds: ThresholdLine[]): void {
+      this.engine.setThresholds(thresholds);
+  }
+
   public setConfig(config: Partial<GraphConfig>): void {
       this.engine.updateConfig(config);
   }
 
   ngOnDestroy(): void {
       this.rangeSub?.unsubscribe();
+      this.hoverSub?.unsubscribe();
+      this.historySub?.unsubscribe();
+      this.markerSub?.unsubscribe();
+      this.followSub?.unsubscribe();
+      if (this.group) this.groups.leave(this.group, this.engine);
       this.engine.destroy();
   }
 }